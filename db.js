@@ -5,6 +5,7 @@
 // Import required modules
 const mysql = require('mysql2/promise'); // Use promise-based MySQL
 const bcrypt = require('bcrypt'); // For password hashing
+const crypto = require('crypto'); // For hashing cache keys
 require('dotenv').config(); // Load environment variables from .env file
 
 // Database connection configuration
@@ -56,6 +57,11 @@ async function createTables() {
         password_hash VARCHAR(255) NOT NULL,
         full_name VARCHAR(255) NOT NULL,
         theme_preference ENUM('light', 'dark') DEFAULT 'light',
+        cost_basis_method ENUM('fifo', 'lifo', 'average') DEFAULT 'fifo',
+        display_currency VARCHAR(3) DEFAULT 'USD',
+        notification_preferences JSON NULL,
+        chart_timeframe VARCHAR(10) DEFAULT '7d',
+        balance_visible BOOLEAN DEFAULT TRUE,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
       )
@@ -85,8 +91,8 @@ async function createTables() {
         coin_symbol VARCHAR(20) NOT NULL, // Like BTC, ETH
         coin_name VARCHAR(100) NOT NULL,
         amount DECIMAL(20, 8) NOT NULL, // Support up to 8 decimal places for crypto
-        purchase_price DECIMAL(20, 2) NOT NULL, // In USD
-        current_price DECIMAL(20, 2), // Updated from API
+        purchase_price DECIMAL(30, 18) NOT NULL, // In USD, precise enough for sub-cent tokens
+        current_price DECIMAL(30, 18), // Updated from API
         current_value DECIMAL(20, 2), // amount * current_price
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -102,11 +108,12 @@ async function createTables() {
         user_id INT NOT NULL,
         coin_id VARCHAR(100) NOT NULL,
         coin_symbol VARCHAR(20) NOT NULL,
-        transaction_type ENUM('buy', 'sell') NOT NULL,
+        transaction_type ENUM('buy', 'sell', 'adjustment') NOT NULL,
         amount DECIMAL(20, 8) NOT NULL,
-        price_per_unit DECIMAL(20, 2) NOT NULL,
+        price_per_unit DECIMAL(30, 18) NOT NULL,
         total_value DECIMAL(20, 2) NOT NULL,
         transaction_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        recorded_at TIMESTAMP NULL,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
       )
     `);
@@ -125,6 +132,125 @@ async function createTables() {
       )
     `);
     
+    // FX_rates table - history of fiat exchange rates (units of quote per 1 base)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS fx_rates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        base_currency VARCHAR(3) NOT NULL,
+        quote_currency VARCHAR(3) NOT NULL,
+        rate DECIMAL(24, 10) NOT NULL,
+        source VARCHAR(50) NOT NULL,
+        fetched_at TIMESTAMP NOT NULL,
+        INDEX idx_fx_pair_time (base_currency, quote_currency, fetched_at),
+        INDEX idx_fx_fetched_at (fetched_at)
+      )
+    `);
+    
+    // Price_alerts table - user-defined alert conditions
+    // coin_id is NULL for portfolio-total alerts; threshold is a price, a percent or a portfolio value
+    // condition_met: whether the condition held at the last check (NULL = not observed yet)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS price_alerts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        alert_type ENUM('price_above', 'price_below', 'percent_change', 'portfolio_above', 'portfolio_below') NOT NULL,
+        coin_id VARCHAR(100) NULL,
+        coin_symbol VARCHAR(20) NULL,
+        threshold DECIMAL(24, 8) NOT NULL,
+        is_active BOOLEAN DEFAULT TRUE,
+        last_triggered_at TIMESTAMP NULL,
+        condition_met BOOLEAN NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_alerts_active (is_active)
+      )
+    `);
+    
+    // Alert_events table - every time an alert fired, shown to the user once
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS alert_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        alert_id INT NOT NULL,
+        user_id INT NOT NULL,
+        triggered_value DECIMAL(24, 8) NOT NULL,
+        message VARCHAR(255) NOT NULL,
+        is_seen BOOLEAN DEFAULT FALSE,
+        triggered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (alert_id) REFERENCES price_alerts(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_alert_events_user_seen (user_id, is_seen)
+      )
+    `);
+    
+    // Portfolio_snapshots table - periodic record of each user's holdings and total value (USD)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        total_value DECIMAL(20, 2) NOT NULL,
+        holdings JSON NOT NULL,
+        captured_at TIMESTAMP NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_snapshots_user_time (user_id, captured_at)
+      )
+    `);
+    
+    // Market_snapshots table - one row per UTC day of global market totals (USD), for sparklines
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS market_snapshots (
+        captured_on DATE PRIMARY KEY,
+        total_market_cap DECIMAL(24, 2) NOT NULL,
+        total_volume_24h DECIMAL(24, 2) NOT NULL,
+        bitcoin_dominance DECIMAL(6, 2) NOT NULL,
+        captured_at TIMESTAMP NOT NULL
+      )
+    `);
+    
+    // Coin_catalog table - local copy of the provider's coin list (for search and symbol lookups)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS coin_catalog (
+        coin_id VARCHAR(100) PRIMARY KEY,
+        symbol VARCHAR(50) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        market_rank INT NOT NULL DEFAULT 0,
+        is_active BOOLEAN DEFAULT TRUE,
+        is_new BOOLEAN DEFAULT FALSE,
+        coin_type VARCHAR(20),
+        synced_at TIMESTAMP NOT NULL,
+        INDEX idx_coin_catalog_symbol (symbol)
+      )
+    `);
+    
+    // Api_cache table - persistent tier of the market-data cache (survives restarts)
+    // Keys are request URLs, stored hashed so any length fits the primary key
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS api_cache (
+        key_hash CHAR(64) PRIMARY KEY,
+        cache_key TEXT NOT NULL,
+        payload LONGTEXT NOT NULL,
+        fetched_at TIMESTAMP(3) NOT NULL,
+        expires_at TIMESTAMP(3) NOT NULL,
+        INDEX idx_api_cache_expires (expires_at)
+      )
+    `);
+    
+    // Columns added after the first release - older databases need them added
+    await ensureColumn(connection, 'users', 'cost_basis_method',
+      "ENUM('fifo', 'lifo', 'average') DEFAULT 'fifo'");
+    await ensureColumn(connection, 'users', 'display_currency', "VARCHAR(3) DEFAULT 'USD'");
+    await ensureColumn(connection, 'users', 'notification_preferences', 'JSON NULL');
+    await ensureColumn(connection, 'users', 'chart_timeframe', "VARCHAR(10) DEFAULT '7d'");
+    await ensureColumn(connection, 'users', 'balance_visible', 'BOOLEAN DEFAULT TRUE');
+    await ensureEnumValue(connection, 'transactions', 'transaction_type', 'adjustment',
+      "ENUM('buy', 'sell', 'adjustment') NOT NULL");
+    // When a row was entered (transaction_date may be back-dated); NULL for rows from before it was kept
+    await ensureColumn(connection, 'transactions', 'recorded_at', 'TIMESTAMP NULL');
+    await ensureColumn(connection, 'price_alerts', 'condition_met', 'BOOLEAN NULL');
+    // Unit prices used to be stored to the cent, which rounded sub-cent tokens down to 0
+    await ensureColumnType(connection, 'portfolio', 'purchase_price', 'decimal(30,18)', 'DECIMAL(30, 18) NOT NULL');
+    await ensureColumnType(connection, 'portfolio', 'current_price', 'decimal(30,18)', 'DECIMAL(30, 18)');
+    await ensureColumnType(connection, 'transactions', 'price_per_unit', 'decimal(30,18)', 'DECIMAL(30, 18) NOT NULL');
+    
     console.log('  All database tables created/verified');
   } catch (error) {
     console.error(' Error creating tables:', error);
@@ -135,6 +261,53 @@ async function createTables() {
   }
 }
 
+// Add a column to an existing table if it is missing
+// CREATE TABLE IF NOT EXISTS never alters tables created by older versions
+async function ensureColumn(connection, table, column, definition) {
+  const [rows] = await connection.execute(
+    `SELECT COUNT(*) AS count 
+     FROM information_schema.COLUMNS 
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  
+  if (rows[0].count === 0) {
+    await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`  Added column ${table}.${column}`);
+  }
+}
+
+// Widen an ENUM column that an older version created without the given value
+async function ensureEnumValue(connection, table, column, value, definition) {
+  const [rows] = await connection.execute(
+    `SELECT COLUMN_TYPE AS type 
+     FROM information_schema.COLUMNS 
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  
+  if (rows.length > 0 && !rows[0].type.includes(`'${value}'`)) {
+    await connection.execute(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+    console.log(`  Added '${value}' to ${table}.${column}`);
+  }
+}
+
+// Change the type of a column that an older version created with a different one
+// type is compared with information_schema's COLUMN_TYPE, e.g. 'decimal(30,18)'
+async function ensureColumnType(connection, table, column, type, definition) {
+  const [rows] = await connection.execute(
+    `SELECT COLUMN_TYPE AS type 
+     FROM information_schema.COLUMNS 
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  
+  if (rows.length > 0 && rows[0].type.toLowerCase() !== type) {
+    await connection.execute(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${definition}`);
+    console.log(`  Changed ${table}.${column} from ${rows[0].type} to ${type}`);
+  }
+}
+
 // User-related database operations
 
 // Create a new user with hashed password
@@ -198,6 +371,113 @@ async function verifyUser(email, password) {
   }
 }
 
+// Get user's preferred cost basis method (fifo, lifo or average)
+async function getCostBasisMethod(userId) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      'SELECT cost_basis_method FROM users WHERE id = ?',
+      [userId]
+    );
+    
+    return rows.length > 0 && rows[0].cost_basis_method ? rows[0].cost_basis_method : 'fifo';
+  } catch (error) {
+    console.error(' Error getting cost basis method:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Map setting names to their users table columns
+const SETTINGS_COLUMNS = {
+  theme: 'theme_preference',
+  currency: 'display_currency',
+  notifications: 'notification_preferences',
+  chart_timeframe: 'chart_timeframe',
+  balance_visible: 'balance_visible',
+  cost_basis_method: 'cost_basis_method'
+};
+
+// Get user's stored settings (null columns are left for the caller to default)
+async function getUserSettings(userId) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      `SELECT 
+        theme_preference,
+        display_currency,
+        notification_preferences,
+        chart_timeframe,
+        balance_visible,
+        cost_basis_method
+      FROM users 
+      WHERE id = ?`,
+      [userId]
+    );
+    
+    if (rows.length === 0) {
+      return null;
+    }
+    
+    const row = rows[0];
+    
+    // JSON columns arrive parsed from MySQL but as text from MariaDB
+    const notifications = typeof row.notification_preferences === 'string'
+      ? JSON.parse(row.notification_preferences)
+      : row.notification_preferences;
+    
+    return {
+      theme: row.theme_preference,
+      currency: row.display_currency,
+      notifications,
+      chart_timeframe: row.chart_timeframe,
+      balance_visible: row.balance_visible === null ? null : Boolean(row.balance_visible),
+      cost_basis_method: row.cost_basis_method
+    };
+  } catch (error) {
+    console.error(' Error getting user settings:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Update some or all of a user's settings (keys must be in SETTINGS_COLUMNS)
+async function updateUserSettings(userId, updates) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const assignments = [];
+    const params = [];
+    
+    for (const [key, value] of Object.entries(updates)) {
+      const column = SETTINGS_COLUMNS[key];
+      if (!column) continue;
+      
+      assignments.push(`${column} = ?`);
+      params.push(key === 'notifications' ? JSON.stringify(value) : value);
+    }
+    
+    if (assignments.length === 0) {
+      return;
+    }
+    
+    params.push(userId);
+    await connection.execute(
+      `UPDATE users SET ${assignments.join(', ')} WHERE id = ?`,
+      params
+    );
+  } catch (error) {
+    console.error('Error updating user settings:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
 // Portfolio-related database operations
 
 // Get user's portfolio with current values
@@ -231,6 +511,8 @@ async function getUserPortfolio(userId) {
 }
 
 // Add a coin to user's portfolio
+// Buying more of a held coin blends the purchase price into a weighted average
+// (purchase_price must be assigned before amount - MySQL applies them in order)
 async function addToPortfolio(userId, coinData) {
   const connection = await pool.getConnection();
   
@@ -240,8 +522,8 @@ async function addToPortfolio(userId, coinData) {
         (user_id, coin_id, coin_symbol, coin_name, amount, purchase_price, current_price, current_value) 
        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
        ON DUPLICATE KEY UPDATE
+        purchase_price = (purchase_price * amount + VALUES(purchase_price) * VALUES(amount)) / (amount + VALUES(amount)),
         amount = amount + VALUES(amount),
-        purchase_price = VALUES(purchase_price),
         updated_at = CURRENT_TIMESTAMP`,
       [
         userId,
@@ -264,6 +546,84 @@ async function addToPortfolio(userId, coinData) {
   }
 }
 
+// Get a single holding from user's portfolio
+async function getPortfolioHolding(userId, coinId) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      `SELECT 
+        coin_id,
+        coin_symbol,
+        coin_name,
+        amount,
+        purchase_price,
+        current_price,
+        current_value
+      FROM portfolio 
+      WHERE user_id = ? AND coin_id = ?`,
+      [userId, coinId]
+    );
+    
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    console.error(' Error getting holding:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Update a holding's amount and/or purchase price
+// current_value is recalculated from the stored current price
+async function updatePortfolioHolding(userId, coinId, updates) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [result] = await connection.execute(
+      `UPDATE portfolio 
+       SET amount = COALESCE(?, amount),
+           purchase_price = COALESCE(?, purchase_price),
+           current_value = COALESCE(?, amount) * COALESCE(current_price, 0),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND coin_id = ?`,
+      [
+        updates.amount ?? null,
+        updates.purchase_price ?? null,
+        updates.amount ?? null,
+        userId,
+        coinId
+      ]
+    );
+    
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error('Error updating holding:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Remove a coin from user's portfolio
+async function removeFromPortfolio(userId, coinId) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [result] = await connection.execute(
+      'DELETE FROM portfolio WHERE user_id = ? AND coin_id = ?',
+      [userId, coinId]
+    );
+    
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error('Error removing from portfolio:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
 // Update portfolio prices from API
 async function updatePortfolioPrices(userId, priceUpdates) {
   const connection = await pool.getConnection();
@@ -287,6 +647,945 @@ async function updatePortfolioPrices(userId, priceUpdates) {
   }
 }
 
+// Watchlist operations
+
+// Get user's watchlist (most recently added first)
+async function getUserWatchlist(userId) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      `SELECT 
+        coin_id,
+        coin_symbol,
+        coin_name,
+        added_at
+      FROM coin_watchlist 
+      WHERE user_id = ? 
+      ORDER BY added_at DESC`,
+      [userId]
+    );
+    
+    return rows;
+  } catch (error) {
+    console.error(' Error getting watchlist:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Add a coin to user's watchlist
+async function addToWatchlist(userId, coinData) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [result] = await connection.execute(
+      'INSERT INTO coin_watchlist (user_id, coin_id, coin_symbol, coin_name) VALUES (?, ?, ?, ?)',
+      [userId, coinData.coin_id, coinData.coin_symbol, coinData.coin_name]
+    );
+    
+    return result;
+  } catch (error) {
+    console.error('Error adding to watchlist:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Remove a coin from user's watchlist
+async function removeFromWatchlist(userId, coinId) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [result] = await connection.execute(
+      'DELETE FROM coin_watchlist WHERE user_id = ? AND coin_id = ?',
+      [userId, coinId]
+    );
+    
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error('Error removing from watchlist:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Transaction ledger operations
+
+// Insert one ledger row on an open connection, returning its id
+async function insertTransaction(connection, userId, transactionData) {
+  const [result] = await connection.execute(
+    `INSERT INTO transactions 
+      (user_id, coin_id, coin_symbol, transaction_type, amount, price_per_unit, total_value, transaction_date, recorded_at) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [
+      userId,
+      transactionData.coin_id,
+      transactionData.coin_symbol,
+      transactionData.transaction_type,
+      transactionData.amount,
+      transactionData.price_per_unit,
+      transactionData.total_value,
+      transactionData.transaction_date || new Date()
+    ]
+  );
+  
+  return result.insertId;
+}
+
+// Move a holding by a signed number of units inside an open database transaction
+// Added units open the holding if it is missing and are blended into its purchase price;
+// removing more units than are held throws an INSUFFICIENT_HOLDING error, and a holding left at zero is closed
+async function shiftHolding(connection, userId, coin, units, unitPrice) {
+  if (units > 0) {
+    await connection.execute(
+      `INSERT INTO portfolio 
+        (user_id, coin_id, coin_symbol, coin_name, amount, purchase_price) 
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+        purchase_price = (purchase_price * amount + VALUES(purchase_price) * VALUES(amount)) / (amount + VALUES(amount)),
+        amount = amount + VALUES(amount),
+        current_value = amount * COALESCE(current_price, 0),
+        updated_at = CURRENT_TIMESTAMP`,
+      [userId, coin.coin_id, coin.coin_symbol, coin.coin_name || coin.coin_symbol, units, unitPrice]
+    );
+    return;
+  }
+  
+  if (units < 0) {
+    const [result] = await connection.execute(
+      `UPDATE portfolio 
+       SET amount = amount - ?,
+           current_value = amount * COALESCE(current_price, 0),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND coin_id = ? AND amount >= ?`,
+      [-units, userId, coin.coin_id, -units]
+    );
+    
+    if (result.affectedRows === 0) {
+      const error = new Error(`Not enough ${coin.coin_symbol} held`);
+      error.code = 'INSUFFICIENT_HOLDING';
+      throw error;
+    }
+    
+    await connection.execute(
+      'DELETE FROM portfolio WHERE user_id = ? AND coin_id = ? AND amount <= 0',
+      [userId, coin.coin_id]
+    );
+  }
+}
+
+// Record a buy, sell or adjustment in the transaction ledger
+// Adjustments carry a signed amount; their total_value is the market value moved in or out
+async function addTransaction(userId, transactionData) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const id = await insertTransaction(connection, userId, transactionData);
+    
+    return { id, ...transactionData };
+  } catch (error) {
+    console.error('Error adding transaction:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Record a buy or sell and apply it to the user's holding in one database transaction,
+// so the ledger and the portfolio can't drift apart (coinName is used if the buy opens the holding)
+// A sell of more than is held throws an INSUFFICIENT_HOLDING error and writes nothing
+async function recordTrade(userId, transactionData, coinName = null) {
+  const connection = await pool.getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    
+    const id = await insertTransaction(connection, userId, transactionData);
+    
+    const units = transactionData.transaction_type === 'sell' ? -transactionData.amount : transactionData.amount;
+    await shiftHolding(connection, userId, { ...transactionData, coin_name: coinName }, units, transactionData.price_per_unit);
+    
+    await connection.commit();
+    
+    return { id, ...transactionData };
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error recording trade:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Get user's transactions, oldest first, optionally filtered by coin
+async function getUserTransactions(userId, coinId = null) {
+  const connection = await pool.getConnection();
+  
+  try {
+    let query = `SELECT 
+        id,
+        coin_id,
+        coin_symbol,
+        transaction_type,
+        amount,
+        price_per_unit,
+        total_value,
+        transaction_date,
+        recorded_at
+      FROM transactions 
+      WHERE user_id = ?`;
+    const params = [userId];
+    
+    if (coinId) {
+      query += ' AND coin_id = ?';
+      params.push(coinId);
+    }
+    
+    query += ' ORDER BY transaction_date ASC, id ASC';
+    
+    const [rows] = await connection.execute(query, params);
+    
+    return rows;
+  } catch (error) {
+    console.error(' Error getting transactions:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Delete a single transaction (only if it belongs to the user) and undo it on the holding
+// in the same database transaction: a deleted buy removes its units, a deleted sell puts them back
+// Throws an INSUFFICIENT_HOLDING error (deleting nothing) if the units a buy added were sold since
+async function deleteTransaction(userId, transactionId) {
+  const connection = await pool.getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    
+    const [rows] = await connection.execute(
+      `SELECT coin_id, coin_symbol, transaction_type, amount, price_per_unit 
+       FROM transactions 
+       WHERE id = ? AND user_id = ? 
+       FOR UPDATE`,
+      [transactionId, userId]
+    );
+    
+    if (rows.length === 0) {
+      await connection.rollback();
+      return false;
+    }
+    
+    const transaction = rows[0];
+    const amount = parseFloat(transaction.amount);
+    
+    // Adjustment amounts are already signed
+    const units = transaction.transaction_type === 'sell' ? amount : -amount;
+    await shiftHolding(connection, userId, transaction, units, parseFloat(transaction.price_per_unit));
+    
+    await connection.execute(
+      'DELETE FROM transactions WHERE id = ? AND user_id = ?',
+      [transactionId, userId]
+    );
+    
+    await connection.commit();
+    
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error deleting transaction:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Exchange rate history
+
+// Store one fetch of exchange rates (all rows share the same timestamp)
+async function storeFxRates(source, baseCurrency, rates) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const fetchedAt = new Date();
+    const rows = Object.entries(rates)
+      .filter(([currency]) => currency !== baseCurrency)
+      .map(([currency, rate]) => [baseCurrency, currency, rate, source, fetchedAt]);
+    
+    if (rows.length === 0) {
+      return;
+    }
+    
+    await connection.query(
+      'INSERT INTO fx_rates (base_currency, quote_currency, rate, source, fetched_at) VALUES ?',
+      [rows]
+    );
+  } catch (error) {
+    console.error('Error storing FX rates:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Get the most recently stored set of exchange rates
+async function getLatestFxRates(baseCurrency) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      `SELECT quote_currency, rate, source, fetched_at 
+       FROM fx_rates 
+       WHERE base_currency = ? 
+         AND fetched_at = (SELECT MAX(fetched_at) FROM fx_rates WHERE base_currency = ?)`,
+      [baseCurrency, baseCurrency]
+    );
+    
+    const rates = {};
+    rows.forEach(row => {
+      rates[row.quote_currency] = parseFloat(row.rate);
+    });
+    
+    return {
+      rates,
+      source: rows.length > 0 ? rows[0].source : null,
+      fetched_at: rows.length > 0 ? rows[0].fetched_at : null
+    };
+  } catch (error) {
+    console.error(' Error getting latest FX rates:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Get stored rate history for one currency over the last N days
+async function getFxRateHistory(baseCurrency, quoteCurrency, days) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      `SELECT rate, source, fetched_at 
+       FROM fx_rates 
+       WHERE base_currency = ? AND quote_currency = ? 
+         AND fetched_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+       ORDER BY fetched_at ASC`,
+      [baseCurrency, quoteCurrency, days]
+    );
+    
+    return rows.map(row => ({
+      rate: parseFloat(row.rate),
+      source: row.source,
+      fetched_at: row.fetched_at
+    }));
+  } catch (error) {
+    console.error(' Error getting FX rate history:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Portfolio snapshot operations
+
+// Get every holding of every user (for the snapshot job)
+async function getAllHoldings() {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      `SELECT 
+        user_id,
+        coin_id,
+        coin_symbol,
+        amount,
+        current_price
+      FROM portfolio 
+      ORDER BY user_id`
+    );
+    
+    return rows;
+  } catch (error) {
+    console.error(' Error getting all holdings:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Store a batch of snapshots (one row per user, all sharing the same timestamp)
+async function addPortfolioSnapshots(snapshots) {
+  const connection = await pool.getConnection();
+  
+  try {
+    if (snapshots.length === 0) {
+      return;
+    }
+    
+    const capturedAt = new Date();
+    const rows = snapshots.map(snapshot => [
+      snapshot.user_id,
+      snapshot.total_value,
+      JSON.stringify(snapshot.holdings),
+      capturedAt
+    ]);
+    
+    await connection.query(
+      'INSERT INTO portfolio_snapshots (user_id, total_value, holdings, captured_at) VALUES ?',
+      [rows]
+    );
+  } catch (error) {
+    console.error('Error storing portfolio snapshots:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Get user's snapshots, oldest first, optionally only those since a date
+async function getPortfolioSnapshots(userId, since = null) {
+  const connection = await pool.getConnection();
+  
+  try {
+    let query = `SELECT 
+        total_value,
+        captured_at
+      FROM portfolio_snapshots 
+      WHERE user_id = ?`;
+    const params = [userId];
+    
+    if (since) {
+      query += ' AND captured_at >= ?';
+      params.push(since);
+    }
+    
+    query += ' ORDER BY captured_at ASC';
+    
+    const [rows] = await connection.execute(query, params);
+    
+    return rows.map(row => ({
+      total_value: parseFloat(row.total_value),
+      captured_at: row.captured_at
+    }));
+  } catch (error) {
+    console.error(' Error getting portfolio snapshots:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Market snapshot operations
+
+// Store today's global market totals (later captures on the same UTC day replace earlier ones)
+async function saveMarketSnapshot(snapshot, capturedAt = new Date()) {
+  const connection = await pool.getConnection();
+  
+  try {
+    await connection.execute(
+      `INSERT INTO market_snapshots 
+        (captured_on, total_market_cap, total_volume_24h, bitcoin_dominance, captured_at) 
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE 
+        total_market_cap = VALUES(total_market_cap),
+        total_volume_24h = VALUES(total_volume_24h),
+        bitcoin_dominance = VALUES(bitcoin_dominance),
+        captured_at = VALUES(captured_at)`,
+      [
+        capturedAt.toISOString().slice(0, 10),
+        snapshot.total_market_cap,
+        snapshot.total_volume_24h,
+        snapshot.bitcoin_dominance,
+        capturedAt
+      ]
+    );
+  } catch (error) {
+    console.error('Error storing market snapshot:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Get the daily market snapshots of the last `days` days, oldest first
+async function getMarketSnapshots(days) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    
+    const [rows] = await connection.execute(
+      `SELECT 
+        DATE_FORMAT(captured_on, '%Y-%m-%d') AS date,
+        total_market_cap,
+        total_volume_24h,
+        bitcoin_dominance
+      FROM market_snapshots 
+      WHERE captured_on >= ?
+      ORDER BY captured_on ASC`,
+      [since]
+    );
+    
+    return rows.map(row => ({
+      date: row.date,
+      total_market_cap: parseFloat(row.total_market_cap),
+      total_volume_24h: parseFloat(row.total_volume_24h),
+      bitcoin_dominance: parseFloat(row.bitcoin_dominance)
+    }));
+  } catch (error) {
+    console.error(' Error getting market snapshots:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Coin catalog operations
+
+// Replace the catalog with a freshly synced coin list (coins missing from it are removed)
+async function replaceCoinCatalog(coins, syncedAt = new Date()) {
+  const connection = await pool.getConnection();
+  
+  try {
+    if (coins.length === 0) {
+      return;
+    }
+    
+    await connection.beginTransaction();
+    
+    // The full list is tens of thousands of coins - insert it in batches
+    const BATCH_SIZE = 1000;
+    for (let i = 0; i < coins.length; i += BATCH_SIZE) {
+      const rows = coins.slice(i, i + BATCH_SIZE).map(coin => [
+        coin.id,
+        coin.symbol,
+        coin.name,
+        coin.rank || 0,
+        coin.is_active !== false,
+        coin.is_new === true,
+        coin.type || null,
+        syncedAt
+      ]);
+      
+      await connection.query(
+        `INSERT INTO coin_catalog 
+          (coin_id, symbol, name, market_rank, is_active, is_new, coin_type, synced_at) 
+        VALUES ?
+        ON DUPLICATE KEY UPDATE 
+          symbol = VALUES(symbol),
+          name = VALUES(name),
+          market_rank = VALUES(market_rank),
+          is_active = VALUES(is_active),
+          is_new = VALUES(is_new),
+          coin_type = VALUES(coin_type),
+          synced_at = VALUES(synced_at)`,
+        [rows]
+      );
+    }
+    
+    await connection.execute('DELETE FROM coin_catalog WHERE synced_at < ?', [syncedAt]);
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error replacing coin catalog:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Get the whole coin catalog
+async function getCoinCatalog() {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      `SELECT 
+        coin_id,
+        symbol,
+        name,
+        market_rank,
+        is_active,
+        is_new,
+        coin_type,
+        synced_at
+      FROM coin_catalog`
+    );
+    
+    return rows.map(row => ({
+      id: row.coin_id,
+      symbol: row.symbol,
+      name: row.name,
+      rank: row.market_rank,
+      is_active: Boolean(row.is_active),
+      is_new: Boolean(row.is_new),
+      type: row.coin_type,
+      synced_at: row.synced_at
+    }));
+  } catch (error) {
+    console.error(' Error getting coin catalog:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Price alert operations
+
+// Parse DECIMAL/BOOLEAN columns of an alert row
+function formatAlertRow(row) {
+  return {
+    ...row,
+    threshold: parseFloat(row.threshold),
+    is_active: Boolean(row.is_active),
+    condition_met: row.condition_met === null ? null : Boolean(row.condition_met)
+  };
+}
+
+// Get user's alerts (newest first)
+async function getUserAlerts(userId) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      `SELECT 
+        id,
+        alert_type,
+        coin_id,
+        coin_symbol,
+        threshold,
+        is_active,
+        condition_met,
+        last_triggered_at,
+        created_at
+      FROM price_alerts 
+      WHERE user_id = ? 
+      ORDER BY created_at DESC, id DESC`,
+      [userId]
+    );
+    
+    return rows.map(formatAlertRow);
+  } catch (error) {
+    console.error(' Error getting alerts:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Create a new alert for a user
+async function createAlert(userId, alertData) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [result] = await connection.execute(
+      `INSERT INTO price_alerts (user_id, alert_type, coin_id, coin_symbol, threshold, condition_met) 
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        alertData.alert_type,
+        alertData.coin_id || null,
+        alertData.coin_symbol || null,
+        alertData.threshold,
+        alertData.condition_met ?? null
+      ]
+    );
+    
+    return { id: result.insertId, condition_met: null, ...alertData, is_active: true };
+  } catch (error) {
+    console.error('Error creating alert:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Update an alert's threshold and/or active flag (only if it belongs to the user)
+// The observed condition is cleared, so the next check records the side again instead of firing
+async function updateAlert(userId, alertId, updates) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [result] = await connection.execute(
+      `UPDATE price_alerts 
+       SET threshold = COALESCE(?, threshold),
+           is_active = COALESCE(?, is_active),
+           condition_met = NULL
+       WHERE id = ? AND user_id = ?`,
+      [
+        updates.threshold ?? null,
+        updates.is_active ?? null,
+        alertId,
+        userId
+      ]
+    );
+    
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error('Error updating alert:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Delete an alert (only if it belongs to the user)
+async function deleteAlert(userId, alertId) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [result] = await connection.execute(
+      'DELETE FROM price_alerts WHERE id = ? AND user_id = ?',
+      [alertId, userId]
+    );
+    
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error('Error deleting alert:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Get every active alert across all users (for the background evaluator)
+async function getActiveAlerts() {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      `SELECT 
+        id,
+        user_id,
+        alert_type,
+        coin_id,
+        coin_symbol,
+        threshold,
+        is_active,
+        condition_met,
+        last_triggered_at
+      FROM price_alerts 
+      WHERE is_active = TRUE`
+    );
+    
+    return rows.map(formatAlertRow);
+  } catch (error) {
+    console.error(' Error getting active alerts:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Record whether an alert's condition held at the latest check
+async function setAlertCondition(alertId, conditionMet) {
+  const connection = await pool.getConnection();
+  
+  try {
+    await connection.execute(
+      'UPDATE price_alerts SET condition_met = ? WHERE id = ?',
+      [conditionMet, alertId]
+    );
+  } catch (error) {
+    console.error('Error updating alert condition:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Record that an alert fired and switch it off (alerts are one-shot until re-enabled)
+async function recordAlertTrigger(alert, triggeredValue, message) {
+  const connection = await pool.getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    
+    await connection.execute(
+      'INSERT INTO alert_events (alert_id, user_id, triggered_value, message) VALUES (?, ?, ?, ?)',
+      [alert.id, alert.user_id, triggeredValue, message]
+    );
+    
+    await connection.execute(
+      'UPDATE price_alerts SET is_active = FALSE, condition_met = TRUE, last_triggered_at = NOW() WHERE id = ?',
+      [alert.id]
+    );
+    
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error recording alert trigger:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Get user's fired alerts (newest first), optionally only those not yet shown
+async function getAlertEvents(userId, unseenOnly = false, limit = 50) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.query(
+      `SELECT 
+        e.id,
+        e.alert_id,
+        a.alert_type,
+        a.coin_id,
+        a.coin_symbol,
+        e.triggered_value,
+        e.message,
+        e.is_seen,
+        e.triggered_at
+      FROM alert_events e
+      JOIN price_alerts a ON a.id = e.alert_id
+      WHERE e.user_id = ?${unseenOnly ? ' AND e.is_seen = FALSE' : ''}
+      ORDER BY e.triggered_at DESC, e.id DESC
+      LIMIT ?`,
+      [userId, limit]
+    );
+    
+    return rows.map(row => ({
+      ...row,
+      triggered_value: parseFloat(row.triggered_value),
+      is_seen: Boolean(row.is_seen)
+    }));
+  } catch (error) {
+    console.error(' Error getting alert events:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Mark fired alerts as shown to the user
+async function markAlertEventsSeen(userId, eventIds) {
+  const connection = await pool.getConnection();
+  
+  try {
+    if (eventIds.length === 0) {
+      return 0;
+    }
+    
+    const [result] = await connection.query(
+      'UPDATE alert_events SET is_seen = TRUE WHERE user_id = ? AND id IN (?)',
+      [userId, eventIds]
+    );
+    
+    return result.affectedRows;
+  } catch (error) {
+    console.error('Error marking alert events seen:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Market data cache operations
+
+// Hash a cache key for the api_cache primary key
+function hashCacheKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Turn an api_cache row back into a cache entry
+function formatCacheRow(row) {
+  return {
+    key: row.cache_key,
+    data: JSON.parse(row.payload),
+    fetchedAt: new Date(row.fetched_at).getTime(),
+    expiresAt: new Date(row.expires_at).getTime()
+  };
+}
+
+// Store (or replace) a cached response
+async function saveCacheEntry(key, data, fetchedAt, expiresAt) {
+  const connection = await pool.getConnection();
+  
+  try {
+    await connection.execute(
+      `INSERT INTO api_cache (key_hash, cache_key, payload, fetched_at, expires_at) 
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE 
+         payload = VALUES(payload),
+         fetched_at = VALUES(fetched_at),
+         expires_at = VALUES(expires_at)`,
+      [hashCacheKey(key), key, JSON.stringify(data), new Date(fetchedAt), new Date(expiresAt)]
+    );
+  } catch (error) {
+    console.error('Error saving cache entry:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Get one cached response (null if not stored)
+async function getCacheEntry(key) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      'SELECT cache_key, payload, fetched_at, expires_at FROM api_cache WHERE key_hash = ?',
+      [hashCacheKey(key)]
+    );
+    
+    return rows.length > 0 ? formatCacheRow(rows[0]) : null;
+  } catch (error) {
+    console.error(' Error getting cache entry:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Get the most recently fetched responses that expired no earlier than a date (for warming)
+async function getCacheEntries(expiredSince, limit) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.query(
+      `SELECT cache_key, payload, fetched_at, expires_at 
+       FROM api_cache 
+       WHERE expires_at >= ? 
+       ORDER BY fetched_at DESC 
+       LIMIT ?`,
+      [expiredSince, limit]
+    );
+    
+    return rows.map(formatCacheRow);
+  } catch (error) {
+    console.error(' Error getting cache entries:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Delete cached responses that expired before a date
+async function pruneCacheEntries(expiredBefore) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [result] = await connection.execute(
+      'DELETE FROM api_cache WHERE expires_at < ?',
+      [expiredBefore]
+    );
+    
+    return result.affectedRows;
+  } catch (error) {
+    console.error('Error pruning cache entries:', error);
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
 // Session management
 
 // Store JWT token hash in database
@@ -353,9 +1652,45 @@ module.exports = {
   initializeDatabase,
   createUser,
   verifyUser,
+  getCostBasisMethod,
+  getUserSettings,
+  updateUserSettings,
   getUserPortfolio,
   addToPortfolio,
+  getPortfolioHolding,
+  updatePortfolioHolding,
+  removeFromPortfolio,
   updatePortfolioPrices,
+  getUserWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+  addTransaction,
+  recordTrade,
+  getUserTransactions,
+  deleteTransaction,
+  storeFxRates,
+  getLatestFxRates,
+  getFxRateHistory,
+  getAllHoldings,
+  addPortfolioSnapshots,
+  getPortfolioSnapshots,
+  saveMarketSnapshot,
+  getMarketSnapshots,
+  replaceCoinCatalog,
+  getCoinCatalog,
+  saveCacheEntry,
+  getCacheEntry,
+  getCacheEntries,
+  pruneCacheEntries,
+  getUserAlerts,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  getActiveAlerts,
+  setAlertCondition,
+  recordAlertTrigger,
+  getAlertEvents,
+  markAlertEventsSeen,
   storeSessionToken,
   verifySessionToken,
   cleanupExpiredSessions,
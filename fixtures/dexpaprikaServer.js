@@ -0,0 +1,62 @@
+// fixtures/dexpaprikaServer.js
+// Local stand-in for the DexPaprika API that replays recorded responses from fixtures/dex
+// Run it, then point the app at it:
+//   node fixtures/dexpaprikaServer.js
+//   DEXPAPRIKA_API_URL=http://localhost:4010 npm start
+//
+// A request path maps to <path>.json under the fixture directory, e.g.
+//   GET /networks/ethereum/tokens/0xabc  ->  fixtures/dex/networks/ethereum/tokens/0xabc.json
+// Requests with an ?interval= (pool candles) prefer <path>.<interval>.json when it was recorded
+// Other query parameters are ignored; anything not recorded gets a 404 like the real API
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, 'dex');
+
+// Find the recording for a request path (null if none)
+function findRecording(dir, pathname, interval) {
+  const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  // Never serve anything outside the fixture directory
+  if (segments.length === 0 || segments.some(segment => segment === '..' || segment.includes(path.sep))) {
+    return null;
+  }
+
+  const base = path.join(dir, ...segments);
+  const candidates = interval ? [`${base}.${interval}.json`, `${base}.json`] : [`${base}.json`];
+
+  return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+// Create (but don't start) a fixture server for a directory of recordings
+function createFixtureServer(dir = DEFAULT_DIR) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const file = req.method === 'GET' ? findRecording(dir, url.pathname, url.searchParams.get('interval')) : null;
+
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: `No recording for ${req.method} ${url.pathname}` }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    fs.createReadStream(file).pipe(res);
+  });
+}
+
+module.exports = {
+  createFixtureServer
+};
+
+// Started directly: serve fixtures/dex (or DEX_FIXTURE_DIR) on DEXPAPRIKA_FIXTURE_PORT
+if (require.main === module) {
+  const port = parseInt(process.env.DEXPAPRIKA_FIXTURE_PORT, 10) || 4010;
+  const dir = process.env.DEX_FIXTURE_DIR || DEFAULT_DIR;
+
+  createFixtureServer(dir).listen(port, () => {
+    console.log(`🧪 DexPaprika fixtures from ${dir} on http://localhost:${port}`);
+  });
+}
@@ -10,12 +10,71 @@ const AppState = {
     currentUser: null,
     portfolio: [],
     popularTokens: [],
+    watchlist: [],
+    alerts: [],
+    alertPollTimer: null,
+    historyRange: '7D',
+    staleDataWarned: false,
+    priceStream: null,
+    // Coin details chart (mode survives switching coins)
+    coinChart: {
+        coinId: null,
+        timeframe: '7d',
+        mode: 'candles',
+        points: []
+    },
     currentView: 'home',
-    theme: localStorage.getItem('theme') || 'light',
+    theme: 'light',
     apiBaseUrl: window.location.origin,
-    balanceVisible: localStorage.getItem('balanceVisible') !== 'false'
+    balanceVisible: true,
+    // Server-side settings (loaded at login, see loadUserSettings)
+    settings: {
+        currency: 'USD',
+        chart_timeframe: '7d',
+        cost_basis_method: 'fifo',
+        notifications: {
+            enabled: true,
+            price_alerts: true,
+            portfolio_alerts: true
+        }
+    },
+    settingsOptions: {
+        currencies: ['USD'],
+        chart_timeframes: ['7d'],
+        cost_basis_methods: ['fifo', 'lifo', 'average']
+    }
+};
+
+// Display names for cost basis methods
+const COST_BASIS_LABELS = {
+    fifo: 'FIFO',
+    lifo: 'LIFO',
+    average: 'Weighted Average'
+};
+
+// Display names for alert types (thresholds are USD, or % for 24h moves)
+const ALERT_TYPE_LABELS = {
+    price_above: 'Price above (USD)',
+    price_below: 'Price below (USD)',
+    percent_change: '24h move of at least (%)',
+    portfolio_above: 'Portfolio above (USD)',
+    portfolio_below: 'Portfolio below (USD)'
+};
+
+// Labels and icons for the kinds of links in a coin profile (others get a generic link icon)
+const COIN_LINK_TYPES = {
+    website: { label: 'Website', icon: 'fas fa-globe' },
+    explorer: { label: 'Explorer', icon: 'fas fa-cubes' },
+    source_code: { label: 'Source Code', icon: 'fab fa-github' },
+    reddit: { label: 'Reddit', icon: 'fab fa-reddit' },
+    facebook: { label: 'Facebook', icon: 'fab fa-facebook' },
+    youtube: { label: 'YouTube', icon: 'fab fa-youtube' },
+    medium: { label: 'Medium', icon: 'fab fa-medium' }
 };
 
+// How often to ask the server for fired alerts
+const ALERT_POLL_INTERVAL = 60 * 1000;
+
 // ======================================
 // 2. DOM ELEMENT REFERENCES
 // ======================================
@@ -44,10 +103,22 @@ const moreBtn = document.getElementById('more-btn');
 // Promotional banner
 const copyLinkBtn = document.getElementById('copy-link-btn');
 
+// Market overview section
+const marketOverview = document.getElementById('market-overview');
+
 // Tokens section
 const viewAllTokensBtn = document.getElementById('view-all-tokens');
 const popularTokensList = document.getElementById('popular-tokens-list');
 
+// Watchlist section
+const refreshWatchlistBtn = document.getElementById('refresh-watchlist');
+const watchlistList = document.getElementById('watchlist-list');
+
+// Performance section
+const performanceRanges = document.getElementById('performance-ranges');
+const performanceSummary = document.getElementById('performance-summary');
+const performanceChart = document.getElementById('performance-chart');
+
 // Portfolio section
 const refreshPortfolioBtn = document.getElementById('refresh-portfolio');
 const portfolioList = document.getElementById('portfolio-list');
@@ -57,10 +128,12 @@ const addFirstCryptoBtn = document.getElementById('add-first-crypto');
 const navItems = document.querySelectorAll('.nav-item');
 
 // View sections
-const homeView = document.querySelector('.app-main');
+const homeView = document.getElementById('home-view');
 const searchView = document.getElementById('search-view');
 const trendingView = document.getElementById('trending-view');
 const settingsView = document.getElementById('settings-view');
+const coinView = document.getElementById('coin-view');
+const tagView = document.getElementById('tag-view');
 
 // Modals
 const authModal = document.getElementById('auth-modal');
@@ -113,15 +186,20 @@ function showToast(type, title, message, duration = 5000) {
         <div class="toast-icon">
             ${type === 'success' ? '<i class="fas fa-check-circle"></i>' : 
               type === 'error' ? '<i class="fas fa-exclamation-circle"></i>' : 
+              type === 'warning' ? '<i class="fas fa-bell"></i>' : 
               '<i class="fas fa-info-circle"></i>'}
         </div>
         <div class="toast-content">
-            <div class="toast-title">${title}</div>
-            <div class="toast-message">${message}</div>
+            <div class="toast-title"></div>
+            <div class="toast-message"></div>
         </div>
         <button class="toast-close"><i class="fas fa-times"></i></button>
     `;
     
+    // Titles and messages often carry coin names and server text - never parse them as HTML
+    toast.querySelector('.toast-title').textContent = title;
+    toast.querySelector('.toast-message').textContent = message;
+    
     toastContainer.appendChild(toast);
     
     // Add close functionality
@@ -147,9 +225,25 @@ function showToast(type, title, message, duration = 5000) {
 }
 
 /**
- * Formats currency amounts
+ * Warn (once, until fresh data arrives) when the server answered from saved market data
+ */
+function checkDataStatus(data) {
+    const stale = Boolean(data?.data_status?.stale);
+    
+    if (stale && !AppState.staleDataWarned) {
+        const asOf = data.data_status.as_of
+            ? ` from ${new Date(data.data_status.as_of).toLocaleTimeString()}`
+            : '';
+        showToast('warning', 'Prices May Be Out of Date', `Live market data is unavailable, showing saved prices${asOf}.`);
+    }
+    
+    AppState.staleDataWarned = stale;
+}
+
+/**
+ * Formats currency amounts (defaults to the user's display currency)
  */
-function formatCurrency(amount, currency = 'USD') {
+function formatCurrency(amount, currency = AppState.settings.currency) {
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
         currency: currency,
@@ -170,6 +264,9 @@ function formatPercent(value) {
  * Formats large numbers with abbreviations
  */
 function formatNumber(num) {
+    if (num >= 1e12) {
+        return (num / 1e12).toFixed(2) + 'T';
+    }
     if (num >= 1e9) {
         return (num / 1e9).toFixed(2) + 'B';
     }
@@ -182,15 +279,6 @@ function formatNumber(num) {
     return num.toFixed(2);
 }
 
-/**
- * Converts USD to NGN (using approximate exchange rate)
- */
-function convertToNGN(usdAmount) {
-    // Using approximate exchange rate (you could update this from an API)
-    const exchangeRate = 1400;
-    return usdAmount * exchangeRate;
-}
-
 /**
  * Debounce function to limit API calls
  */
@@ -206,6 +294,18 @@ function debounce(func, wait) {
     };
 }
 
+/**
+ * Escape text from the API before it goes into innerHTML
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Toggle element visibility
  */
@@ -355,6 +455,10 @@ async function handleLogout() {
         AppState.isAuthenticated = false;
         AppState.currentUser = null;
         AppState.portfolio = [];
+        AppState.watchlist = [];
+        AppState.alerts = [];
+        stopAlertPolling();
+        stopPriceStream();
         updateUIForUnauthenticatedUser();
         showAuthModal();
         showToast('success', 'Logged Out', 'You have been logged out successfully');
@@ -380,11 +484,14 @@ function updateUIForAuthenticatedUser() {
 function updateUIForUnauthenticatedUser() {
     userName.textContent = 'Guest';
     welcomeText.textContent = 'Welcome';
-    portfolioTotal.textContent = '$0.00';
+    portfolioTotal.textContent = formatCurrency(0, 'USD');
     portfolioChange.textContent = '0.00%';
     portfolioChange.className = 'change-amount neutral';
     portfolioConverted.textContent = '~ NGN 0.00';
     portfolioList.innerHTML = '';
+    watchlistList.innerHTML = '';
+    performanceSummary.innerHTML = '';
+    performanceChart.innerHTML = '';
 }
 
 // ======================================
@@ -396,10 +503,22 @@ function updateUIForUnauthenticatedUser() {
  */
 async function loadInitialData() {
     try {
+        // Settings first so theme, currency and visibility apply to everything else
+        await loadUserSettings();
+        
+        // Open the page the URL points at (e.g. a shared #/coin/<id> link)
+        handleRoute();
+        
         await Promise.all([
             loadPortfolio(),
-            loadPopularTokens()
+            loadPortfolioHistory(),
+            loadMarketOverview(),
+            loadPopularTokens(),
+            loadWatchlist()
         ]);
+        
+        startAlertPolling();
+        startPriceStream();
     } catch (error) {
         console.error('Failed to load initial data:', error);
         showToast('error', 'Data Error', 'Failed to load data');
@@ -421,6 +540,7 @@ async function loadPortfolio() {
         
         const data = await response.json();
         AppState.portfolio = data.portfolio || [];
+        checkDataStatus(data);
         
         updatePortfolioDisplay(data);
         updatePortfolioList(AppState.portfolio);
@@ -440,7 +560,8 @@ function updatePortfolioDisplay(data) {
     const totalValue = data.summary.total_value || 0;
     const changePercent = data.summary.total_gain_loss_percentage || 0;
     
-    // Update portfolio total
+    // Update portfolio total (real value kept for when the balance is hidden)
+    portfolioTotal.setAttribute('data-real-value', formatCurrency(totalValue));
     portfolioTotal.textContent = formatCurrency(totalValue);
     
     // Update change percentage
@@ -448,14 +569,110 @@ function updatePortfolioDisplay(data) {
     portfolioChange.className = 'change-amount ' + 
         (changePercent > 0 ? 'positive' : changePercent < 0 ? 'negative' : 'neutral');
     
-    // Update converted amount
-    const ngnAmount = convertToNGN(totalValue);
-    portfolioConverted.textContent = `~ NGN ${formatNumber(ngnAmount)}`;
+    // Update converted amount (server converts with live exchange rates)
+    const converted = data.summary.converted;
+    portfolioConverted.textContent = converted
+        ? `~ ${converted.currency} ${formatNumber(converted.total_value || 0)}`
+        : '';
     
     // Apply visibility setting
     updateBalanceVisibility();
 }
 
+/**
+ * Subscribe to live price updates from the server (safe to call more than once)
+ * The server pushes a "prices" event with the portfolio, summary and watchlist whenever prices change
+ */
+function startPriceStream() {
+    if (AppState.priceStream || typeof EventSource === 'undefined') return;
+    
+    const stream = new EventSource('/api/stream/prices', { withCredentials: true });
+    
+    stream.addEventListener('prices', (event) => {
+        applyPriceUpdate(JSON.parse(event.data));
+    });
+    
+    // EventSource reconnects by itself; only a stream the server refused is given up
+    stream.addEventListener('error', () => {
+        if (stream.readyState === EventSource.CLOSED && AppState.priceStream === stream) {
+            AppState.priceStream = null;
+        }
+    });
+    
+    AppState.priceStream = stream;
+}
+
+/**
+ * Stop live price updates
+ */
+function stopPriceStream() {
+    AppState.priceStream?.close();
+    AppState.priceStream = null;
+}
+
+/**
+ * Apply a streamed update: totals first, then list rows in place
+ * Lists are only re-rendered when their coins changed (added or removed elsewhere)
+ */
+function applyPriceUpdate(data) {
+    AppState.portfolio = data.portfolio || [];
+    AppState.watchlist = data.watchlist || [];
+    
+    checkDataStatus(data);
+    updatePortfolioDisplay(data);
+    
+    if (!updateRowsInPlace(portfolioList, '.portfolio-item', AppState.portfolio, (row, item) => {
+        setPriceText(row.querySelector('.portfolio-value'), formatCurrency(item.current_value || 0));
+        setChangeText(row.querySelector('.portfolio-change'), parseFloat(item.gain_loss_percentage || 0));
+    })) {
+        updatePortfolioList(AppState.portfolio);
+    }
+    
+    if (!updateRowsInPlace(watchlistList, '.watchlist-item', AppState.watchlist, (row, item) => {
+        setPriceText(row.querySelector('.current-price'), formatCurrency(item.price || 0));
+        setChangeText(row.querySelector('.price-change'), parseFloat(item.change_24h || 0));
+    })) {
+        updateWatchlistDisplay(AppState.watchlist);
+    }
+}
+
+/**
+ * Update rows matched by data-coin-id; returns false if the rows don't match the items
+ */
+function updateRowsInPlace(container, selector, items, updateRow) {
+    const rows = container.querySelectorAll(selector);
+    if (rows.length !== items.length) return false;
+    
+    const rowsById = new Map([...rows].map(row => [row.getAttribute('data-coin-id'), row]));
+    if (!items.every(item => rowsById.has(item.coin_id))) return false;
+    
+    items.forEach(item => updateRow(rowsById.get(item.coin_id), item));
+    return true;
+}
+
+/**
+ * Set a price cell, flashing it when the value changed
+ */
+function setPriceText(element, text) {
+    if (!element || element.textContent === text) return;
+    
+    element.textContent = text;
+    element.classList.remove('price-flash');
+    void element.offsetWidth; // Restart the animation
+    element.classList.add('price-flash');
+}
+
+/**
+ * Set a percentage cell and its positive/negative colour
+ */
+function setChangeText(element, value) {
+    if (!element) return;
+    
+    element.textContent = formatPercent(value);
+    element.classList.toggle('positive', value >= 0);
+    element.classList.toggle('negative', value < 0);
+}
+
 /**
  * Update portfolio list display
  */
@@ -479,13 +696,13 @@ function updatePortfolioList(portfolioItems) {
     }
     
     portfolioList.innerHTML = portfolioItems.map(item => `
-        <div class="portfolio-item" data-coin-id="${item.coin_id}">
+        <div class="portfolio-item" data-coin-id="${escapeHtml(item.coin_id)}">
             <div class="token-icon">
                 <i class="fas fa-coins"></i>
             </div>
             <div class="token-info">
-                <div class="token-name">${item.coin_name}</div>
-                <div class="token-symbol">${item.coin_symbol}</div>
+                <div class="token-name">${escapeHtml(item.coin_name)}</div>
+                <div class="token-symbol">${escapeHtml(item.coin_symbol)}</div>
             </div>
             <div class="portfolio-amount">
                 <div class="portfolio-value">${formatCurrency(item.current_value || 0)}</div>
@@ -493,6 +710,14 @@ function updatePortfolioList(portfolioItems) {
                     ${formatPercent(parseFloat(item.gain_loss_percentage || 0))}
                 </div>
             </div>
+            <div class="holding-actions">
+                <button class="holding-action-btn edit-holding-btn" data-coin-id="${escapeHtml(item.coin_id)}" aria-label="Edit holding">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button class="holding-action-btn remove-holding-btn" data-coin-id="${escapeHtml(item.coin_id)}" aria-label="Remove holding">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
         </div>
     `).join('');
     
@@ -503,147 +728,532 @@ function updatePortfolioList(portfolioItems) {
             showCoinDetails(coinId);
         });
     });
+    
+    // Edit and remove controls (don't open coin details)
+    document.querySelectorAll('.edit-holding-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showManageHoldingForm(btn.getAttribute('data-coin-id'));
+        });
+    });
+    
+    document.querySelectorAll('.remove-holding-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeHolding(btn.getAttribute('data-coin-id'));
+        });
+    });
 }
 
 /**
- * Update balance visibility based on user preference
+ * Show edit/sell form for a holding in the details modal
  */
-function updateBalanceVisibility() {
-    if (AppState.balanceVisible) {
-        portfolioTotal.textContent = portfolioTotal.getAttribute('data-real-value') || '$0.00';
-        balanceVisibilityBtn.innerHTML = '<i class="fas fa-eye"></i>';
-    } else {
-        portfolioTotal.setAttribute('data-real-value', portfolioTotal.textContent);
-        portfolioTotal.textContent = '******';
-        balanceVisibilityBtn.innerHTML = '<i class="fas fa-eye-slash"></i>';
-    }
+function showManageHoldingForm(coinId) {
+    const holding = AppState.portfolio.find(item => item.coin_id === coinId);
+    if (!holding) return;
+    
+    cryptoModalTitle.textContent = `Manage ${holding.coin_name} (${holding.coin_symbol})`;
+    
+    cryptoDetailsModal.querySelector('.modal-body').innerHTML = `
+        <div class="add-coin-form">
+            <h3>Edit Holding</h3>
+            <div class="form-group">
+                <label for="edit-amount">Amount Owned</label>
+                <input type="number" id="edit-amount" step="0.00000001" min="0.00000001" value="${parseFloat(holding.amount)}">
+            </div>
+            <div class="form-group">
+                <label for="edit-purchase-price">Purchase Price (USD per coin)</label>
+                <input type="number" id="edit-purchase-price" step="any" min="0" value="${parseFloat(holding.purchase_price)}">
+            </div>
+            <div class="form-actions">
+                <button class="primary-btn" id="save-holding-btn">Save Changes</button>
+            </div>
+        </div>
+        
+        <div class="add-coin-form">
+            <h3>Sell ${escapeHtml(holding.coin_symbol)}</h3>
+            <div class="form-group">
+                <label for="sell-amount">Amount to Sell</label>
+                <input type="number" id="sell-amount" step="0.00000001" min="0.00000001" max="${parseFloat(holding.amount)}" placeholder="0.00000000">
+                <small>You hold ${parseFloat(holding.amount)} ${escapeHtml(holding.coin_symbol)}</small>
+            </div>
+            <div class="form-group">
+                <label for="sell-price">Sale Price (USD per coin)</label>
+                <input type="number" id="sell-price" step="any" min="0" placeholder="Current market price">
+                <small>Leave empty to use the current market price</small>
+            </div>
+            <div class="form-actions">
+                <button class="secondary-btn" id="sell-all-btn">Sell All</button>
+                <button class="primary-btn" id="sell-holding-btn">Sell</button>
+            </div>
+        </div>
+    `;
+    
+    document.getElementById('save-holding-btn').addEventListener('click', () => {
+        const amount = parseFloat(document.getElementById('edit-amount').value);
+        const purchasePrice = parseFloat(document.getElementById('edit-purchase-price').value);
+        
+        if (!amount || amount <= 0 || !purchasePrice || purchasePrice <= 0) {
+            showToast('error', 'Invalid Input', 'Please enter valid amount and price');
+            return;
+        }
+        
+        updateHolding(coinId, { amount, purchase_price: purchasePrice });
+    });
+    
+    document.getElementById('sell-all-btn').addEventListener('click', () => {
+        document.getElementById('sell-amount').value = parseFloat(holding.amount);
+    });
+    
+    document.getElementById('sell-holding-btn').addEventListener('click', () => {
+        const amount = parseFloat(document.getElementById('sell-amount').value);
+        const price = document.getElementById('sell-price').value;
+        
+        if (!amount || amount <= 0 || amount > parseFloat(holding.amount)) {
+            showToast('error', 'Invalid Input', 'Please enter an amount you hold');
+            return;
+        }
+        
+        sellHolding(coinId, amount, price ? parseFloat(price) : undefined);
+    });
+    
+    showCryptoDetailsModal();
 }
 
-// ======================================
-// 6. CRYPTO DATA FUNCTIONS
-// ======================================
-
 /**
- * Load popular tokens
+ * Save edited amount / purchase price
  */
-async function loadPopularTokens() {
+async function updateHolding(coinId, updates) {
     try {
-        const response = await fetch('/api/trending', {
+        const response = await fetch(`/api/portfolio/${encodeURIComponent(coinId)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(updates),
             credentials: 'include'
         });
         
-        if (!response.ok) {
-            throw new Error('Failed to load trending tokens');
+        const data = await response.json();
+        
+        if (response.ok) {
+            showToast('success', 'Saved', 'Holding updated');
+            hideCryptoDetailsModal();
+            await loadPortfolio();
+        } else {
+            showToast('error', 'Failed', data.error || 'Failed to update holding');
         }
+    } catch (error) {
+        console.error('Update holding error:', error);
+        showToast('error', 'Error', 'Failed to update holding');
+    }
+}
+
+/**
+ * Sell part or all of a holding
+ */
+async function sellHolding(coinId, amount, pricePerUnit) {
+    try {
+        const response = await fetch(`/api/portfolio/${encodeURIComponent(coinId)}/sell`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ amount, price_per_unit: pricePerUnit }),
+            credentials: 'include'
+        });
         
         const data = await response.json();
-        AppState.popularTokens = data.popular || [];
-        
-        updatePopularTokensDisplay(AppState.popularTokens.slice(0, 3));
         
+        if (response.ok) {
+            showToast('success', 'Sold', data.message);
+            playSound(successSound);
+            hideCryptoDetailsModal();
+            await loadPortfolio();
+        } else {
+            showToast('error', 'Failed', data.error || 'Failed to sell');
+        }
     } catch (error) {
-        console.error('Popular tokens load error:', error);
-        showToast('error', 'Data Error', 'Failed to load popular tokens');
+        console.error('Sell holding error:', error);
+        showToast('error', 'Error', 'Failed to sell');
     }
 }
 
 /**
- * Update popular tokens display
+ * Remove a holding after confirmation
  */
-function updatePopularTokensDisplay(tokens) {
-    if (!tokens || tokens.length === 0) {
-        popularTokensList.innerHTML = `
-            <div class="token-loading">
-                <div class="loading-shimmer"></div>
-                <div class="loading-shimmer"></div>
-                <div class="loading-shimmer"></div>
-            </div>
-        `;
-        return;
-    }
-    
-    popularTokensList.innerHTML = tokens.map(token => `
-        <div class="token-item" data-coin-id="${token.id}">
-            <div class="token-icon">
-                <i class="fas fa-coins"></i>
-            </div>
-            <div class="token-info">
-                <div class="token-name">${token.name}</div>
-                <div class="token-symbol">${token.symbol}</div>
-            </div>
-            <div class="token-price">
-                <div class="current-price">${formatCurrency(token.price || 0)}</div>
-                <div class="price-change ${(token.change_24h || 0) >= 0 ? 'positive' : 'negative'}">
-                    ${formatPercent(parseFloat(token.change_24h || 0))}
-                </div>
-            </div>
-        </div>
-    `).join('');
+async function removeHolding(coinId) {
+    const holding = AppState.portfolio.find(item => item.coin_id === coinId);
+    if (!holding || !confirm(`Remove ${holding.coin_name} from your portfolio?`)) return;
     
-    // Add click event to token items
-    document.querySelectorAll('.token-item').forEach(item => {
-        item.addEventListener('click', () => {
-            const coinId = item.getAttribute('data-coin-id');
-            showCoinDetails(coinId);
+    try {
+        const response = await fetch(`/api/portfolio/${encodeURIComponent(coinId)}`, {
+            method: 'DELETE',
+            credentials: 'include'
         });
-    });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            showToast('success', 'Removed', `${holding.coin_name} removed from portfolio`);
+            await loadPortfolio();
+        } else {
+            showToast('error', 'Failed', data.error || 'Failed to remove coin');
+        }
+    } catch (error) {
+        console.error('Remove holding error:', error);
+        showToast('error', 'Error', 'Failed to remove coin');
+    }
 }
 
 /**
- * Search for cryptocurrencies
+ * Load portfolio value history for the performance chart
  */
-const searchCryptos = debounce(async (query) => {
-    if (!query || query.length < 2) {
-        cryptoSearchResults.innerHTML = '<p class="text-muted text-center">Type at least 2 characters to search</p>';
-        return;
-    }
-    
+async function loadPortfolioHistory(range = AppState.historyRange) {
     try {
-        const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`, {
+        const response = await fetch(`/api/portfolio/history?range=${range}`, {
             credentials: 'include'
         });
         
         if (!response.ok) {
-            throw new Error('Search failed');
+            throw new Error('Failed to load portfolio history');
         }
         
         const data = await response.json();
-        displaySearchResults(data.results || []);
+        AppState.historyRange = data.range;
+        
+        performanceRanges.querySelectorAll('.range-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-range') === data.range);
+        });
+        
+        updatePerformanceDisplay(data);
         
     } catch (error) {
-        console.error('Search error:', error);
-        cryptoSearchResults.innerHTML = '<p class="text-muted text-center">Search failed. Please try again.</p>';
+        console.error('Portfolio history error:', error);
+        performanceChart.innerHTML = '<p class="text-muted text-center">Performance history unavailable</p>';
     }
-}, 500);
+}
 
 /**
- * Display search results
+ * Update the performance summary and chart
  */
-function displaySearchResults(results) {
-    if (results.length === 0) {
-        cryptoSearchResults.innerHTML = '<p class="text-muted text-center">No cryptocurrencies found</p>';
+function updatePerformanceDisplay(data) {
+    const points = data.points || [];
+    
+    if (points.length < 2) {
+        performanceSummary.innerHTML = '';
+        performanceChart.innerHTML = '<p class="text-muted text-center">Not enough history yet - check back after the next snapshot</p>';
         return;
     }
     
-    cryptoSearchResults.innerHTML = results.slice(0, 10).map(coin => `
-        <div class="token-item search-result" data-coin-id="${coin.id}">
-            <div class="token-icon">
-                <i class="fas fa-coins"></i>
-            </div>
-            <div class="token-info">
-                <div class="token-name">${coin.name}</div>
-                <div class="token-symbol">${coin.symbol}</div>
-            </div>
-            <button class="add-coin-btn" data-coin-id="${coin.id}" data-coin-name="${coin.name}" data-coin-symbol="${coin.symbol}">
-                <i class="fas fa-plus"></i>
-            </button>
+    const twr = data.time_weighted_return || 0;
+    performanceSummary.innerHTML = `
+        <div class="performance-stat">
+            <span class="stat-label">Time-weighted return</span>
+            <span class="stat-value ${twr >= 0 ? 'positive' : 'negative'}">${formatPercent(twr)}</span>
         </div>
-    `).join('');
+        <div class="performance-stat">
+            <span class="stat-label">Value change</span>
+            <span class="stat-value">${formatCurrency(data.change_value || 0, data.currency)}</span>
+        </div>
+    `;
     
-    // Add event listeners to add buttons
-    document.querySelectorAll('.add-coin-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
+    renderPerformanceChart(points, data.currency, twr >= 0);
+}
+
+/**
+ * Draw an SVG line chart of portfolio value with a hover crosshair
+ */
+function renderPerformanceChart(points, currency, isPositive) {
+    const width = 320;
+    const height = 120;
+    const values = points.map(point => point.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const spread = max - min || 1;
+    
+    const coords = points.map((point, i) => ({
+        x: (i / (points.length - 1)) * width,
+        y: height - ((point.value - min) / spread) * (height - 10) - 5
+    }));
+    const line = coords.map(c => `${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ');
+    
+    performanceChart.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="${isPositive ? 'positive' : 'negative'}">
+            <polygon class="chart-area" points="0,${height} ${line} ${width},${height}"></polygon>
+            <polyline class="chart-line" points="${line}"></polyline>
+            <line class="chart-crosshair hidden" y1="0" y2="${height}"></line>
+        </svg>
+        <div class="chart-tooltip hidden"></div>
+    `;
+    
+    const svg = performanceChart.querySelector('svg');
+    const crosshair = svg.querySelector('.chart-crosshair');
+    const tooltip = performanceChart.querySelector('.chart-tooltip');
+    
+    svg.addEventListener('mousemove', (e) => {
+        const rect = svg.getBoundingClientRect();
+        const index = Math.round(((e.clientX - rect.left) / rect.width) * (points.length - 1));
+        const point = points[Math.max(0, Math.min(points.length - 1, index))];
+        const x = coords[points.indexOf(point)].x;
+        
+        crosshair.setAttribute('x1', x);
+        crosshair.setAttribute('x2', x);
+        crosshair.classList.remove('hidden');
+        
+        tooltip.innerHTML = `
+            <strong>${AppState.balanceVisible ? formatCurrency(point.value, currency) : '******'}</strong>
+            <span>${new Date(point.timestamp).toLocaleString()}</span>
+        `;
+        tooltip.style.left = `${(x / width) * 100}%`;
+        tooltip.classList.remove('hidden');
+    });
+    
+    svg.addEventListener('mouseleave', () => {
+        crosshair.classList.add('hidden');
+        tooltip.classList.add('hidden');
+    });
+}
+
+/**
+ * Update balance visibility based on user preference
+ */
+function updateBalanceVisibility() {
+    if (AppState.balanceVisible) {
+        portfolioTotal.textContent = portfolioTotal.getAttribute('data-real-value') || '$0.00';
+        balanceVisibilityBtn.innerHTML = '<i class="fas fa-eye"></i>';
+    } else {
+        portfolioTotal.textContent = '******';
+        balanceVisibilityBtn.innerHTML = '<i class="fas fa-eye-slash"></i>';
+    }
+}
+
+// ======================================
+// 6. CRYPTO DATA FUNCTIONS
+// ======================================
+
+/**
+ * Load global market totals and their daily history
+ */
+async function loadMarketOverview() {
+    try {
+        const response = await fetch('/api/market/global?days=30', {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to load market overview');
+        }
+        
+        const data = await response.json();
+        checkDataStatus(data);
+        updateMarketOverviewDisplay(data);
+        
+    } catch (error) {
+        console.error('Market overview error:', error);
+        marketOverview.innerHTML = '<p class="text-muted text-center">Market overview unavailable</p>';
+    }
+}
+
+/**
+ * Update the market overview card (market cap, volume, BTC dominance)
+ */
+function updateMarketOverviewDisplay(data) {
+    const history = data.history || [];
+    const stats = [
+        {
+            label: 'Market Cap',
+            value: `${formatNumber(data.total_market_cap || 0)} ${data.currency}`,
+            change: data.market_cap_change_24h,
+            series: history.map(day => day.total_market_cap)
+        },
+        {
+            label: '24h Volume',
+            value: `${formatNumber(data.total_volume_24h || 0)} ${data.currency}`,
+            change: data.volume_change_24h,
+            series: history.map(day => day.total_volume_24h)
+        },
+        {
+            label: 'BTC Dominance',
+            value: `${(data.bitcoin_dominance || 0).toFixed(2)}%`,
+            // Percentage points, not a relative change
+            change: data.bitcoin_dominance_change_24h,
+            unit: ' pts',
+            series: history.map(day => day.bitcoin_dominance)
+        }
+    ];
+    
+    marketOverview.innerHTML = stats.map(stat => {
+        const hasChange = typeof stat.change === 'number';
+        const changeClass = hasChange ? (stat.change >= 0 ? 'positive' : 'negative') : '';
+        const changeText = hasChange
+            ? `${stat.change >= 0 ? '+' : ''}${stat.change.toFixed(2)}${stat.unit || '%'}`
+            : '—';
+        
+        return `
+            <div class="market-stat">
+                <span class="stat-label">${stat.label}</span>
+                <span class="stat-value">${stat.value}</span>
+                <span class="stat-change ${changeClass}">${changeText} <small>24h</small></span>
+                ${renderSparkline(stat.series)}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Small SVG line of a series (empty until there are two points)
+ */
+function renderSparkline(values) {
+    if (values.length < 2) {
+        return '<div class="sparkline"></div>';
+    }
+    
+    const width = 100;
+    const height = 30;
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const spread = max - min || 1;
+    
+    const line = values.map((value, i) => {
+        const x = (i / (values.length - 1)) * width;
+        const y = height - ((value - min) / spread) * (height - 4) - 2;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+    
+    const isPositive = values[values.length - 1] >= values[0];
+    
+    return `
+        <svg class="sparkline ${isPositive ? 'positive' : 'negative'}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            <polyline class="chart-line" points="${line}"></polyline>
+        </svg>
+    `;
+}
+
+/**
+ * Load popular tokens
+ */
+async function loadPopularTokens() {
+    try {
+        const response = await fetch('/api/trending', {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to load trending tokens');
+        }
+        
+        const data = await response.json();
+        AppState.popularTokens = data.popular || [];
+        
+        updatePopularTokensDisplay(AppState.popularTokens.slice(0, 3));
+        
+    } catch (error) {
+        console.error('Popular tokens load error:', error);
+        showToast('error', 'Data Error', 'Failed to load popular tokens');
+    }
+}
+
+/**
+ * Update popular tokens display
+ */
+function updatePopularTokensDisplay(tokens) {
+    if (!tokens || tokens.length === 0) {
+        popularTokensList.innerHTML = `
+            <div class="token-loading">
+                <div class="loading-shimmer"></div>
+                <div class="loading-shimmer"></div>
+                <div class="loading-shimmer"></div>
+            </div>
+        `;
+        return;
+    }
+    
+    popularTokensList.innerHTML = tokens.map(token => `
+        <div class="token-item" data-coin-id="${escapeHtml(token.id)}">
+            <div class="token-icon">
+                <i class="fas fa-coins"></i>
+            </div>
+            <div class="token-info">
+                <div class="token-name">${escapeHtml(token.name)}</div>
+                <div class="token-symbol">${escapeHtml(token.symbol)}</div>
+            </div>
+            <div class="token-price">
+                <div class="current-price">${formatCurrency(token.price || 0)}</div>
+                <div class="price-change ${(token.change_24h || 0) >= 0 ? 'positive' : 'negative'}">
+                    ${formatPercent(parseFloat(token.change_24h || 0))}
+                </div>
+            </div>
+        </div>
+    `).join('');
+    
+    // Add click event to token items
+    document.querySelectorAll('.token-item').forEach(item => {
+        item.addEventListener('click', () => {
+            const coinId = item.getAttribute('data-coin-id');
+            showCoinDetails(coinId);
+        });
+    });
+}
+
+/**
+ * Search for cryptocurrencies
+ */
+const searchCryptos = debounce(async (query) => {
+    if (!query || query.length < 2) {
+        cryptoSearchResults.innerHTML = '<p class="text-muted text-center">Type at least 2 characters to search</p>';
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`, {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Search failed');
+        }
+        
+        const data = await response.json();
+        displaySearchResults(data.results || []);
+        
+    } catch (error) {
+        console.error('Search error:', error);
+        cryptoSearchResults.innerHTML = '<p class="text-muted text-center">Search failed. Please try again.</p>';
+    }
+}, 500);
+
+/**
+ * Display search results
+ */
+function displaySearchResults(results) {
+    if (results.length === 0) {
+        cryptoSearchResults.innerHTML = '<p class="text-muted text-center">No cryptocurrencies found</p>';
+        return;
+    }
+    
+    cryptoSearchResults.innerHTML = results.slice(0, 10).map(coin => `
+        <div class="token-item search-result" data-coin-id="${escapeHtml(coin.id)}">
+            <div class="token-icon">
+                <i class="fas fa-coins"></i>
+            </div>
+            <div class="token-info">
+                <div class="token-name">${escapeHtml(coin.name)}</div>
+                <div class="token-symbol">${escapeHtml(coin.symbol)}</div>
+            </div>
+            ${renderWatchButton(coin.id, coin.name, coin.symbol)}
+            <button class="add-coin-btn" data-coin-id="${escapeHtml(coin.id)}" data-coin-name="${escapeHtml(coin.name)}" data-coin-symbol="${escapeHtml(coin.symbol)}">
+                <i class="fas fa-plus"></i>
+            </button>
+        </div>
+    `).join('');
+    
+    attachWatchButtons(cryptoSearchResults);
+    
+    // Add event listeners to add buttons
+    document.querySelectorAll('.add-coin-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
             const coinId = btn.getAttribute('data-coin-id');
             const coinName = btn.getAttribute('data-coin-name');
             const coinSymbol = btn.getAttribute('data-coin-symbol');
@@ -651,189 +1261,947 @@ function displaySearchResults(results) {
         });
     });
     
-    // Add click event to search result items
-    document.querySelectorAll('.search-result').forEach(item => {
+    // Add click event to search result items
+    document.querySelectorAll('.search-result').forEach(item => {
+        item.addEventListener('click', () => {
+            const coinId = item.getAttribute('data-coin-id');
+            showCoinDetails(coinId);
+        });
+    });
+}
+
+/**
+ * Show add coin form
+ */
+function showAddCoinForm(coinId, coinName, coinSymbol) {
+    const name = escapeHtml(coinName);
+    const symbol = escapeHtml(coinSymbol);
+    const formHtml = `
+        <div class="add-coin-form">
+            <h3>Add ${name} (${symbol}) to Portfolio</h3>
+            <div class="form-group">
+                <label for="coin-amount">Amount Owned</label>
+                <input type="number" id="coin-amount" step="0.00000001" min="0.00000001" placeholder="0.00000000" required>
+                <small>Enter the amount of ${symbol} you own</small>
+            </div>
+            <div class="form-group">
+                <label for="purchase-date">Purchase Date (optional)</label>
+                <input type="date" id="purchase-date" max="${new Date().toISOString().slice(0, 10)}">
+                <small>Pick a date to fill in the price ${symbol} traded at</small>
+            </div>
+            <div class="form-group">
+                <label for="purchase-price">Purchase Price (USD per coin)</label>
+                <input type="number" id="purchase-price" step="any" min="0" placeholder="0.00">
+                <small>Enter the price you paid per ${symbol}, or leave it empty to use the date's price</small>
+            </div>
+            <div class="form-actions">
+                <button class="secondary-btn cancel-add">Cancel</button>
+                <button class="primary-btn confirm-add">Add to Portfolio</button>
+            </div>
+        </div>
+    `;
+    
+    cryptoSearchResults.innerHTML = formHtml;
+    
+    // Add event listeners
+    document.querySelector('.cancel-add').addEventListener('click', () => {
+        cryptoSearchInput.value = '';
+        cryptoSearchResults.innerHTML = '<p class="text-muted text-center">Search for cryptocurrencies...</p>';
+    });
+    
+    const purchaseDateInput = document.getElementById('purchase-date');
+    const purchasePriceInput = document.getElementById('purchase-price');
+    
+    // Prices typed by the user are never overwritten by a date lookup
+    purchasePriceInput.addEventListener('input', () => {
+        purchasePriceInput.dataset.edited = purchasePriceInput.value ? 'true' : '';
+    });
+    
+    purchaseDateInput.addEventListener('change', async () => {
+        if (!purchaseDateInput.value || purchasePriceInput.dataset.edited) return;
+        
+        const price = await fetchPriceAt(coinId, purchaseDateInput.value);
+        if (price !== null && !purchasePriceInput.dataset.edited) {
+            purchasePriceInput.value = price;
+        }
+    });
+    
+    document.querySelector('.confirm-add').addEventListener('click', async () => {
+        const amount = parseFloat(document.getElementById('coin-amount').value);
+        const purchasePrice = parseFloat(purchasePriceInput.value);
+        const purchaseDate = purchaseDateInput.value;
+        
+        // Without a price the server looks it up from the purchase date
+        if (!amount || amount <= 0 || (!(purchasePrice > 0) && !purchaseDate)) {
+            showToast('error', 'Invalid Input', 'Please enter a valid amount and a price or purchase date');
+            return;
+        }
+        
+        await addCoinToPortfolio(coinId, coinSymbol, coinName, amount, purchasePrice || null, purchaseDate || null);
+    });
+}
+
+/**
+ * Fetch a coin's USD price on a past date (null if there is none)
+ */
+async function fetchPriceAt(coinId, date) {
+    try {
+        const response = await fetch(`/api/coin/${encodeURIComponent(coinId)}/price-at?date=${date}&currency=USD`, {
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showToast('warning', 'No Price Found', data.error || 'Enter the purchase price yourself');
+            return null;
+        }
+        
+        return data.price;
+    } catch (error) {
+        console.error('Historical price error:', error);
+        return null;
+    }
+}
+
+/**
+ * Add coin to portfolio
+ */
+async function addCoinToPortfolio(coinId, coinSymbol, coinName, amount, purchasePrice, purchaseDate = null) {
+    try {
+        const response = await fetch('/api/portfolio/add', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                coin_id: coinId,
+                coin_symbol: coinSymbol,
+                coin_name: coinName,
+                amount: amount,
+                purchase_price: purchasePrice,
+                purchase_date: purchaseDate
+            }),
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            showToast('success', 'Success', `${coinName} added to portfolio`);
+            playSound(successSound);
+            
+            // Close modal and refresh portfolio
+            hideAddCryptoModal();
+            await loadPortfolio();
+        } else {
+            showToast('error', 'Failed', data.error || 'Failed to add coin');
+        }
+    } catch (error) {
+        console.error('Add coin error:', error);
+        showToast('error', 'Error', 'Failed to add coin to portfolio');
+    }
+}
+
+/**
+ * Show coin details
+ */
+async function showCoinDetails(coinId) {
+    try {
+        const response = await fetch(`/api/coin/${coinId}?timeframe=${AppState.settings.chart_timeframe}`, {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to load coin details');
+        }
+        
+        const data = await response.json();
+        checkDataStatus(data);
+        displayCoinDetails(data.coin, AppState.settings.chart_timeframe);
+        
+    } catch (error) {
+        console.error('Coin details error:', error);
+        showToast('error', 'Error', 'Failed to load coin details');
+    }
+}
+
+/**
+ * Display coin details in modal
+ */
+function displayCoinDetails(coin, timeframe) {
+    cryptoModalTitle.textContent = `${coin.name} (${coin.symbol})`;
+    
+    const name = escapeHtml(coin.name);
+    const symbol = escapeHtml(coin.symbol);
+    const detailsHtml = `
+        <div class="coin-details">
+            <div class="coin-price-header">
+                ${renderWatchButton(coin.id, coin.name, coin.symbol)}
+                <div class="current-price-large">${formatCurrency(coin.metrics?.price || 0)}</div>
+                <div class="price-change-large ${(coin.metrics?.percent_change_24h || 0) >= 0 ? 'positive' : 'negative'}">
+                    ${formatPercent(parseFloat(coin.metrics?.percent_change_24h || 0))} (24h)
+                </div>
+            </div>
+            
+            <div class="coin-chart-card">
+                <div class="coin-chart-toolbar">
+                    <div class="range-buttons" id="coin-chart-timeframes">
+                        ${AppState.settingsOptions.chart_timeframes.map(tf => `
+                            <button class="range-btn ${tf === timeframe ? 'active' : ''}" data-timeframe="${tf}">${tf.toUpperCase()}</button>
+                        `).join('')}
+                    </div>
+                    <div class="range-buttons" id="coin-chart-modes">
+                        <button class="range-btn" data-chart-mode="candles" aria-label="Candlestick chart" title="Candlesticks">
+                            <i class="fas fa-chart-column"></i>
+                        </button>
+                        <button class="range-btn" data-chart-mode="line" aria-label="Line chart" title="Line">
+                            <i class="fas fa-chart-line"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="coin-chart" id="coin-chart"></div>
+            </div>
+            
+            <div class="range-buttons coin-tabs" id="coin-detail-tabs">
+                <button class="range-btn active" data-coin-tab="overview">Overview</button>
+                <button class="range-btn" data-coin-tab="markets">Markets</button>
+            </div>
+            
+            <div class="coin-tab" id="coin-tab-overview">
+                <div class="coin-stats-grid">
+                    <div class="stat-item">
+                        <div class="stat-label">Market Cap</div>
+                        <div class="stat-value">${formatCurrency(coin.metrics?.market_cap || 0)}</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="stat-label">24h Volume</div>
+                        <div class="stat-value">${formatCurrency(coin.metrics?.volume_24h || 0)}</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="stat-label">Circulating Supply</div>
+                        <div class="stat-value">${formatNumber(coin.metrics?.circulating_supply || 0)} ${symbol}</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="stat-label">Total Supply</div>
+                        <div class="stat-value">${coin.metrics?.total_supply ? formatNumber(coin.metrics.total_supply) : '∞'}</div>
+                    </div>
+                </div>
+            
+                ${coin.pools?.length ? `
+                    <div class="coin-pools">
+                        <h4>Top Pools</h4>
+                        ${coin.pools.map(pool => `
+                            <div class="token-item">
+                                <div class="token-icon">
+                                    <i class="fas fa-water"></i>
+                                </div>
+                                <div class="token-info">
+                                    <div class="token-name">${escapeHtml(pool.tokens.map(token => token.symbol).join(' / '))}</div>
+                                    <div class="token-symbol">${escapeHtml(pool.dex_name)}</div>
+                                </div>
+                                <div class="token-price">
+                                    <div class="current-price">${formatCurrency(pool.volume_24h || 0)}</div>
+                                    <div class="price-change">24h volume</div>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            
+                ${coin.description ? `
+                    <div class="coin-description">
+                        <h4>About ${name}</h4>
+                        <p>${escapeHtml(coin.description.substring(0, 300))}${coin.description.length > 300 ? '...' : ''}</p>
+                    </div>
+                ` : ''}
+            </div>
+            
+            <div class="coin-tab coin-markets hidden" id="coin-tab-markets"></div>
+            
+            <a class="view-all-btn coin-profile-link" href="#/coin/${encodeURIComponent(coin.id)}">
+                View full profile <i class="fas fa-arrow-right"></i>
+            </a>
+            
+            <div class="coin-actions">
+                <button class="secondary-btn" id="add-to-portfolio-btn" data-coin-id="${escapeHtml(coin.id)}" data-coin-name="${name}" data-coin-symbol="${symbol}">
+                    <i class="fas fa-plus"></i> Add to Portfolio
+                </button>
+                <button class="secondary-btn" id="set-alert-btn">
+                    <i class="fas fa-bell"></i> Set Alert
+                </button>
+                <button class="primary-btn" id="buy-now-btn">
+                    <i class="fas fa-shopping-cart"></i> Buy Now
+                </button>
+            </div>
+            
+            <div class="add-coin-form alert-form hidden" id="coin-alert-form">
+                <h3>Alert me when</h3>
+                <div class="form-group">
+                    <label for="coin-alert-type">Condition</label>
+                    <select id="coin-alert-type">
+                        ${renderOptions(['price_above', 'price_below', 'percent_change'], 'price_above', ALERT_TYPE_LABELS)}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="coin-alert-threshold">Threshold</label>
+                    <input type="number" id="coin-alert-threshold" step="any" min="0" placeholder="0.00">
+                </div>
+                <div class="form-actions">
+                    <button class="primary-btn" id="create-coin-alert-btn">Create Alert</button>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    cryptoDetailsModal.querySelector('.modal-body').innerHTML = detailsHtml;
+    attachWatchButtons(cryptoDetailsModal);
+    
+    // The profile may already be the open page, in which case the hash doesn't change
+    cryptoDetailsModal.querySelector('.coin-profile-link').addEventListener('click', hideCryptoDetailsModal);
+    
+    AppState.coinChart.coinId = coin.id;
+    AppState.coinChart.timeframe = timeframe;
+    AppState.coinChart.points = coin.chart_data || [];
+    renderCoinChart();
+    
+    document.querySelectorAll('#coin-chart-timeframes .range-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            loadCoinChart(btn.getAttribute('data-timeframe'));
+        });
+    });
+    
+    document.querySelectorAll('#coin-chart-modes .range-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            AppState.coinChart.mode = btn.getAttribute('data-chart-mode');
+            renderCoinChart();
+        });
+    });
+    
+    // Markets are only fetched the first time their tab is opened
+    document.querySelectorAll('#coin-detail-tabs .range-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const tab = btn.getAttribute('data-coin-tab');
+            
+            document.querySelectorAll('#coin-detail-tabs .range-btn').forEach(other => {
+                other.classList.toggle('active', other === btn);
+            });
+            document.querySelectorAll('.coin-tab').forEach(panel => {
+                panel.classList.toggle('hidden', panel.id !== `coin-tab-${tab}`);
+            });
+            
+            const marketsPanel = document.getElementById('coin-tab-markets');
+            if (tab === 'markets' && !marketsPanel.dataset.loaded) {
+                marketsPanel.dataset.loaded = 'true';
+                loadCoinMarkets(coin.id, marketsPanel);
+            }
+        });
+    });
+    
+    document.getElementById('set-alert-btn')?.addEventListener('click', () => {
+        document.getElementById('coin-alert-form').classList.toggle('hidden');
+    });
+    
+    document.getElementById('create-coin-alert-btn')?.addEventListener('click', async () => {
+        const created = await createAlert({
+            alert_type: document.getElementById('coin-alert-type').value,
+            coin_id: coin.id,
+            coin_symbol: coin.symbol,
+            threshold: parseFloat(document.getElementById('coin-alert-threshold').value)
+        });
+        
+        if (created) {
+            document.getElementById('coin-alert-form').classList.add('hidden');
+        }
+    });
+    
+    // Add event listeners
+    document.getElementById('add-to-portfolio-btn')?.addEventListener('click', () => {
+        const coinId = document.getElementById('add-to-portfolio-btn').getAttribute('data-coin-id');
+        const coinName = document.getElementById('add-to-portfolio-btn').getAttribute('data-coin-name');
+        const coinSymbol = document.getElementById('add-to-portfolio-btn').getAttribute('data-coin-symbol');
+        
+        hideCryptoDetailsModal();
+        showAddCryptoModal();
+        
+        // Pre-fill search with selected coin
+        cryptoSearchInput.value = coinSymbol;
+        searchCryptos(coinSymbol);
+    });
+    
+    showCryptoDetailsModal();
+}
+
+
+/**
+ * Load the exchanges and pairs a coin trades on into the markets tab
+ */
+async function loadCoinMarkets(coinId, container) {
+    container.innerHTML = '<div class="loading-spinner small"></div>';
+    
+    try {
+        const response = await fetch(`/api/coin/${encodeURIComponent(coinId)}/markets?limit=20`, {
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            container.innerHTML = `<p class="text-muted text-center">${escapeHtml(data.error || 'Markets are unavailable')}</p>`;
+            return;
+        }
+        
+        checkDataStatus(data);
+        displayCoinMarkets(data.markets, data.total, container);
+    } catch (error) {
+        console.error('Coin markets error:', error);
+        container.innerHTML = '<p class="text-muted text-center">Failed to load markets</p>';
+        delete container.dataset.loaded;
+    }
+}
+
+/**
+ * Render a coin's markets (price, share of volume, last update)
+ */
+function displayCoinMarkets(markets, total, container) {
+    if (!markets || markets.length === 0) {
+        container.innerHTML = '<p class="text-muted text-center">No markets listed for this coin</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        ${markets.map(market => `
+            <div class="token-item">
+                <div class="token-icon">
+                    <i class="fas ${market.category === 'DEX' ? 'fa-water' : 'fa-building-columns'}"></i>
+                </div>
+                <div class="token-info">
+                    <div class="token-name">
+                        ${escapeHtml(market.pair)}
+                        ${market.outlier ? '<span class="market-outlier" title="Price is far from other markets">Outlier</span>' : ''}
+                    </div>
+                    <div class="token-symbol">
+                        ${parseHttpUrl(market.market_url)
+                            ? `<a href="${escapeHtml(parseHttpUrl(market.market_url).href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(market.exchange_name)}</a>`
+                            : escapeHtml(market.exchange_name)}
+                        ${market.last_updated ? ` · ${new Date(market.last_updated).toLocaleString()}` : ''}
+                    </div>
+                </div>
+                <div class="token-price">
+                    <div class="current-price">${market.price !== null ? formatCurrency(market.price) : '—'}</div>
+                    <div class="price-change">${formatCurrency(market.volume_24h || 0)} · ${(market.volume_share || 0).toFixed(2)}%</div>
+                </div>
+            </div>
+        `).join('')}
+        <p class="text-muted text-center"><small>24h volume · share of volume${total > markets.length ? ` · top ${markets.length} of ${total} markets` : ''}</small></p>
+    `;
+}
+
+/**
+ * Reload the coin details chart for another timeframe
+ */
+async function loadCoinChart(timeframe) {
+    const coinId = AppState.coinChart.coinId;
+    const chart = document.getElementById('coin-chart');
+    chart?.classList.add('loading');
+    
+    try {
+        const response = await fetch(`/api/coin/${coinId}?timeframe=${timeframe}`, {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to load chart data');
+        }
+        
+        const data = await response.json();
+        
+        // The modal may have moved on to another coin meanwhile
+        if (AppState.coinChart.coinId !== coinId) return;
+        
+        AppState.coinChart.timeframe = timeframe;
+        AppState.coinChart.points = data.coin.chart_data || [];
+        
+        document.querySelectorAll('#coin-chart-timeframes .range-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-timeframe') === timeframe);
+        });
+        
+        renderCoinChart();
+        
+    } catch (error) {
+        console.error('Coin chart error:', error);
+        showToast('error', 'Chart Error', 'Failed to load chart data');
+    } finally {
+        chart?.classList.remove('loading');
+    }
+}
+
+/**
+ * Draw the coin chart (candlesticks or line) over a volume pane, with a hover crosshair
+ */
+function renderCoinChart() {
+    const container = document.getElementById('coin-chart');
+    if (!container) return;
+    
+    const { points, mode } = AppState.coinChart;
+    
+    document.querySelectorAll('#coin-chart-modes .range-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.getAttribute('data-chart-mode') === mode);
+    });
+    
+    if (points.length === 0) {
+        container.innerHTML = '<p class="text-muted text-center">Chart data unavailable</p>';
+        return;
+    }
+    
+    // Price pane on top, volume pane below
+    const width = 320;
+    const priceHeight = 150;
+    const volumeTop = 160;
+    const height = 200;
+    
+    const min = Math.min(...points.map(point => point.low ?? point.close));
+    const max = Math.max(...points.map(point => point.high ?? point.close));
+    const spread = max - min || 1;
+    const maxVolume = Math.max(...points.map(point => point.volume || 0)) || 1;
+    
+    const slot = width / points.length;
+    const barWidth = slot * 0.7;
+    const xOf = (i) => slot * (i + 0.5);
+    const yOf = (value) => priceHeight - ((value - min) / spread) * (priceHeight - 10) - 5;
+    const isUp = (point) => point.close >= point.open;
+    
+    const volumeBars = points.map((point, i) => {
+        const barHeight = ((point.volume || 0) / maxVolume) * (height - volumeTop);
+        return `<rect class="volume-bar ${isUp(point) ? 'up' : 'down'}" x="${(xOf(i) - barWidth / 2).toFixed(2)}" y="${(height - barHeight).toFixed(2)}" width="${barWidth.toFixed(2)}" height="${barHeight.toFixed(2)}"></rect>`;
+    }).join('');
+    
+    let priceMarks;
+    if (mode === 'candles') {
+        priceMarks = points.map((point, i) => {
+            const top = yOf(Math.max(point.open, point.close));
+            const bottom = yOf(Math.min(point.open, point.close));
+            return `
+                <g class="candle ${isUp(point) ? 'up' : 'down'}">
+                    <line x1="${xOf(i).toFixed(2)}" x2="${xOf(i).toFixed(2)}" y1="${yOf(point.high ?? point.close).toFixed(2)}" y2="${yOf(point.low ?? point.close).toFixed(2)}"></line>
+                    <rect x="${(xOf(i) - barWidth / 2).toFixed(2)}" y="${top.toFixed(2)}" width="${barWidth.toFixed(2)}" height="${Math.max(bottom - top, 0.5).toFixed(2)}"></rect>
+                </g>
+            `;
+        }).join('');
+    } else {
+        const line = points.map((point, i) => `${xOf(i).toFixed(1)},${yOf(point.close).toFixed(1)}`).join(' ');
+        priceMarks = `
+            <polygon class="chart-area" points="${xOf(0).toFixed(1)},${priceHeight} ${line} ${xOf(points.length - 1).toFixed(1)},${priceHeight}"></polygon>
+            <polyline class="chart-line" points="${line}"></polyline>
+        `;
+    }
+    
+    const isPositive = points[points.length - 1].close >= points[0].open;
+    
+    container.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="${isPositive ? 'positive' : 'negative'}">
+            ${priceMarks}
+            <line class="chart-divider" x1="0" x2="${width}" y1="${volumeTop - 5}" y2="${volumeTop - 5}"></line>
+            ${volumeBars}
+            <line class="chart-crosshair crosshair-x hidden" y1="0" y2="${height}"></line>
+            <line class="chart-crosshair crosshair-y hidden" x1="0" x2="${width}"></line>
+        </svg>
+        <div class="chart-tooltip hidden"></div>
+    `;
+    
+    const svg = container.querySelector('svg');
+    const crosshairX = svg.querySelector('.crosshair-x');
+    const crosshairY = svg.querySelector('.crosshair-y');
+    const tooltip = container.querySelector('.chart-tooltip');
+    
+    svg.addEventListener('mousemove', (e) => {
+        const rect = svg.getBoundingClientRect();
+        const index = Math.max(0, Math.min(points.length - 1, Math.floor(((e.clientX - rect.left) / rect.width) * points.length)));
+        const point = points[index];
+        const x = xOf(index);
+        const y = yOf(point.close);
+        
+        crosshairX.setAttribute('x1', x);
+        crosshairX.setAttribute('x2', x);
+        crosshairY.setAttribute('y1', y);
+        crosshairY.setAttribute('y2', y);
+        crosshairX.classList.remove('hidden');
+        crosshairY.classList.remove('hidden');
+        
+        tooltip.innerHTML = `
+            <strong>${formatCurrency(point.close)}</strong>
+            <span>O ${formatCurrency(point.open)} · H ${formatCurrency(point.high ?? point.close)} · L ${formatCurrency(point.low ?? point.close)}</span>
+            <span>Vol ${formatNumber(point.volume || 0)}</span>
+            <span>${new Date(point.timestamp).toLocaleString()}</span>
+        `;
+        tooltip.style.left = `${Math.max(20, Math.min(80, (x / width) * 100))}%`;
+        tooltip.classList.remove('hidden');
+    });
+    
+    svg.addEventListener('mouseleave', () => {
+        crosshairX.classList.add('hidden');
+        crosshairY.classList.add('hidden');
+        tooltip.classList.add('hidden');
+    });
+}
+
+/**
+ * Load user watchlist with live prices
+ */
+async function loadWatchlist() {
+    try {
+        const response = await fetch('/api/watchlist', {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to load watchlist');
+        }
+        
+        const data = await response.json();
+        AppState.watchlist = data.watchlist || [];
+        checkDataStatus(data);
+        
+        updateWatchlistDisplay(AppState.watchlist);
+        
+    } catch (error) {
+        console.error('Watchlist load error:', error);
+        showToast('error', 'Data Error', 'Failed to load watchlist');
+    }
+}
+
+/**
+ * Update watchlist display
+ */
+function updateWatchlistDisplay(items) {
+    if (!items || items.length === 0) {
+        watchlistList.innerHTML = '<p class="empty-watchlist text-muted text-center">Star a coin to keep an eye on it here</p>';
+        return;
+    }
+    
+    watchlistList.innerHTML = items.map(item => `
+        <div class="token-item watchlist-item" data-coin-id="${escapeHtml(item.coin_id)}">
+            <div class="token-icon">
+                <i class="fas fa-coins"></i>
+            </div>
+            <div class="token-info">
+                <div class="token-name">${escapeHtml(item.coin_name)}</div>
+                <div class="token-symbol">${escapeHtml(item.coin_symbol)}</div>
+            </div>
+            <div class="token-price">
+                <div class="current-price">${formatCurrency(item.price || 0)}</div>
+                <div class="price-change ${(item.change_24h || 0) >= 0 ? 'positive' : 'negative'}">
+                    ${formatPercent(parseFloat(item.change_24h || 0))}
+                </div>
+            </div>
+            ${renderWatchButton(item.coin_id, item.coin_name, item.coin_symbol)}
+        </div>
+    `).join('');
+    
+    // Add click event to watchlist items
+    document.querySelectorAll('.watchlist-item').forEach(item => {
         item.addEventListener('click', () => {
             const coinId = item.getAttribute('data-coin-id');
             showCoinDetails(coinId);
         });
     });
+    
+    attachWatchButtons(watchlistList);
 }
 
 /**
- * Show add coin form
+ * Check whether a coin is on the watchlist
  */
-function showAddCoinForm(coinId, coinName, coinSymbol) {
-    const formHtml = `
-        <div class="add-coin-form">
-            <h3>Add ${coinName} (${coinSymbol}) to Portfolio</h3>
-            <div class="form-group">
-                <label for="coin-amount">Amount Owned</label>
-                <input type="number" id="coin-amount" step="0.00000001" min="0.00000001" placeholder="0.00000000" required>
-                <small>Enter the amount of ${coinSymbol} you own</small>
-            </div>
-            <div class="form-group">
-                <label for="purchase-price">Purchase Price (USD per coin)</label>
-                <input type="number" id="purchase-price" step="0.01" min="0.01" placeholder="0.00" required>
-                <small>Enter the price you paid per ${coinSymbol}</small>
-            </div>
-            <div class="form-actions">
-                <button class="secondary-btn cancel-add">Cancel</button>
-                <button class="primary-btn confirm-add">Add to Portfolio</button>
-            </div>
-        </div>
+function isWatched(coinId) {
+    return AppState.watchlist.some(item => item.coin_id === coinId);
+}
+
+/**
+ * Render a star toggle for a coin
+ */
+function renderWatchButton(coinId, coinName, coinSymbol) {
+    const watched = isWatched(coinId);
+    return `
+        <button class="watch-btn ${watched ? 'active' : ''}" data-coin-id="${escapeHtml(coinId)}" data-coin-name="${escapeHtml(coinName)}" data-coin-symbol="${escapeHtml(coinSymbol)}" aria-label="${watched ? 'Remove from' : 'Add to'} watchlist">
+            <i class="${watched ? 'fas' : 'far'} fa-star"></i>
+        </button>
     `;
-    
-    cryptoSearchResults.innerHTML = formHtml;
-    
-    // Add event listeners
-    document.querySelector('.cancel-add').addEventListener('click', () => {
-        cryptoSearchInput.value = '';
-        cryptoSearchResults.innerHTML = '<p class="text-muted text-center">Search for cryptocurrencies...</p>';
+}
+
+/**
+ * Attach click handlers to star toggles inside a container
+ */
+function attachWatchButtons(container) {
+    container.querySelectorAll('.watch-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleWatchlist(
+                btn.getAttribute('data-coin-id'),
+                btn.getAttribute('data-coin-name'),
+                btn.getAttribute('data-coin-symbol')
+            );
+        });
     });
+}
+
+/**
+ * Add or remove a coin from the watchlist
+ */
+async function toggleWatchlist(coinId, coinName, coinSymbol) {
+    playSound(clickSound);
+    const watched = isWatched(coinId);
     
-    document.querySelector('.confirm-add').addEventListener('click', async () => {
-        const amount = parseFloat(document.getElementById('coin-amount').value);
-        const purchasePrice = parseFloat(document.getElementById('purchase-price').value);
+    try {
+        const response = watched
+            ? await fetch(`/api/watchlist/${encodeURIComponent(coinId)}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            })
+            : await fetch('/api/watchlist', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ coin_id: coinId, coin_name: coinName, coin_symbol: coinSymbol }),
+                credentials: 'include'
+            });
         
-        if (!amount || amount <= 0 || !purchasePrice || purchasePrice <= 0) {
-            showToast('error', 'Invalid Input', 'Please enter valid amount and price');
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showToast('error', 'Failed', data.error || 'Failed to update watchlist');
             return;
         }
         
-        await addCoinToPortfolio(coinId, coinSymbol, coinName, amount, purchasePrice);
+        showToast('success', 'Watchlist', watched ? `${coinName} removed from watchlist` : `${coinName} added to watchlist`);
+        await loadWatchlist();
+        
+        // Sync every visible star for this coin
+        document.querySelectorAll(`.watch-btn[data-coin-id="${coinId}"]`).forEach(btn => {
+            btn.classList.toggle('active', !watched);
+            btn.querySelector('i').className = `${watched ? 'far' : 'fas'} fa-star`;
+        });
+    } catch (error) {
+        console.error('Watchlist error:', error);
+        showToast('error', 'Error', 'Failed to update watchlist');
+    }
+}
+
+/**
+ * Load user's price alerts
+ */
+async function loadAlerts() {
+    try {
+        const response = await fetch('/api/alerts', {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to load alerts');
+        }
+        
+        const data = await response.json();
+        AppState.alerts = data.alerts || [];
+        
+        updateAlertsDisplay(AppState.alerts);
+        
+    } catch (error) {
+        console.error('Alerts load error:', error);
+        showToast('error', 'Alerts Error', 'Failed to load alerts');
+    }
+}
+
+/**
+ * Render the alert list in the settings view
+ */
+function updateAlertsDisplay(alerts) {
+    const alertsList = document.getElementById('alerts-list');
+    if (!alertsList) return;
+    
+    if (!alerts || alerts.length === 0) {
+        alertsList.innerHTML = '<p class="text-muted">No alerts yet. Set one from a coin\'s details or below.</p>';
+        return;
+    }
+    
+    alertsList.innerHTML = alerts.map(alert => `
+        <div class="settings-item alert-item" data-alert-id="${alert.id}">
+            <div class="settings-label">
+                ${alert.coin_symbol ? `<strong>${escapeHtml(alert.coin_symbol)}</strong> ` : ''}${ALERT_TYPE_LABELS[alert.alert_type]}: 
+                ${alert.alert_type === 'percent_change' ? `${alert.threshold}%` : formatCurrency(alert.threshold, 'USD')}
+                ${alert.last_triggered_at ? `<small class="text-muted">Last fired ${new Date(alert.last_triggered_at).toLocaleString()}</small>` : ''}
+            </div>
+            <div class="settings-value">
+                <button class="toggle-switch alert-toggle ${alert.is_active ? 'active' : ''}" aria-label="Toggle alert">
+                    <div class="toggle-slider"></div>
+                </button>
+                <button class="holding-action-btn remove-holding-btn alert-delete" aria-label="Delete alert">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        </div>
+    `).join('');
+    
+    alertsList.querySelectorAll('.alert-item').forEach(item => {
+        const alertId = parseInt(item.getAttribute('data-alert-id'), 10);
+        const alert = AppState.alerts.find(a => a.id === alertId);
+        
+        item.querySelector('.alert-toggle').addEventListener('click', () => {
+            updateAlert(alertId, { is_active: !alert.is_active });
+        });
+        item.querySelector('.alert-delete').addEventListener('click', () => {
+            deleteAlert(alertId);
+        });
     });
 }
 
 /**
- * Add coin to portfolio
+ * Create a price or portfolio alert
  */
-async function addCoinToPortfolio(coinId, coinSymbol, coinName, amount, purchasePrice) {
+async function createAlert(alertData) {
+    if (!alertData.threshold || alertData.threshold <= 0) {
+        showToast('error', 'Invalid Threshold', 'Please enter a positive threshold');
+        return false;
+    }
+    
     try {
-        const response = await fetch('/api/portfolio/add', {
+        const response = await fetch('/api/alerts', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({
-                coin_id: coinId,
-                coin_symbol: coinSymbol,
-                coin_name: coinName,
-                amount: amount,
-                purchase_price: purchasePrice
-            }),
+            body: JSON.stringify(alertData),
             credentials: 'include'
         });
         
         const data = await response.json();
         
-        if (response.ok) {
-            showToast('success', 'Success', `${coinName} added to portfolio`);
-            playSound(successSound);
-            
-            // Close modal and refresh portfolio
-            hideAddCryptoModal();
-            await loadPortfolio();
-        } else {
-            showToast('error', 'Failed', data.error || 'Failed to add coin');
+        if (!response.ok) {
+            showToast('error', 'Failed', data.error || 'Failed to create alert');
+            return false;
         }
+        
+        playSound(successSound);
+        showToast('success', 'Alert Created', "We'll let you know when it triggers");
+        await loadAlerts();
+        return true;
     } catch (error) {
-        console.error('Add coin error:', error);
-        showToast('error', 'Error', 'Failed to add coin to portfolio');
+        console.error('Create alert error:', error);
+        showToast('error', 'Error', 'Failed to create alert');
+        return false;
     }
 }
 
 /**
- * Show coin details
+ * Update an alert (re-enable after it fired, or switch it off)
  */
-async function showCoinDetails(coinId) {
+async function updateAlert(alertId, updates) {
     try {
-        const response = await fetch(`/api/coin/${coinId}?timeframe=7d`, {
+        const response = await fetch(`/api/alerts/${alertId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(updates),
             credentials: 'include'
         });
         
+        const data = await response.json();
+        
         if (!response.ok) {
-            throw new Error('Failed to load coin details');
+            showToast('error', 'Failed', data.error || 'Failed to update alert');
+            return;
         }
         
+        await loadAlerts();
+    } catch (error) {
+        console.error('Update alert error:', error);
+        showToast('error', 'Error', 'Failed to update alert');
+    }
+}
+
+/**
+ * Delete an alert
+ */
+async function deleteAlert(alertId) {
+    if (!confirm('Delete this alert?')) return;
+    
+    try {
+        const response = await fetch(`/api/alerts/${alertId}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+        
         const data = await response.json();
-        displayCoinDetails(data.coin);
         
+        if (!response.ok) {
+            showToast('error', 'Failed', data.error || 'Failed to delete alert');
+            return;
+        }
+        
+        showToast('success', 'Alert Deleted', 'The alert has been removed');
+        await loadAlerts();
     } catch (error) {
-        console.error('Coin details error:', error);
-        showToast('error', 'Error', 'Failed to load coin details');
+        console.error('Delete alert error:', error);
+        showToast('error', 'Error', 'Failed to delete alert');
     }
 }
 
 /**
- * Display coin details in modal
+ * Show toasts for alerts fired since the last check, then mark them seen
  */
-function displayCoinDetails(coin) {
-    cryptoModalTitle.textContent = `${coin.name} (${coin.symbol})`;
-    
-    const detailsHtml = `
-        <div class="coin-details">
-            <div class="coin-price-header">
-                <div class="current-price-large">${formatCurrency(coin.metrics?.price || 0)}</div>
-                <div class="price-change-large ${(coin.metrics?.percent_change_24h || 0) >= 0 ? 'positive' : 'negative'}">
-                    ${formatPercent(parseFloat(coin.metrics?.percent_change_24h || 0))} (24h)
-                </div>
-            </div>
-            
-            <div class="coin-stats-grid">
-                <div class="stat-item">
-                    <div class="stat-label">Market Cap</div>
-                    <div class="stat-value">${formatCurrency(coin.metrics?.market_cap || 0)}</div>
-                </div>
-                <div class="stat-item">
-                    <div class="stat-label">24h Volume</div>
-                    <div class="stat-value">${formatCurrency(coin.metrics?.volume_24h || 0)}</div>
-                </div>
-                <div class="stat-item">
-                    <div class="stat-label">Circulating Supply</div>
-                    <div class="stat-value">${formatNumber(coin.metrics?.circulating_supply || 0)} ${coin.symbol}</div>
-                </div>
-                <div class="stat-item">
-                    <div class="stat-label">Total Supply</div>
-                    <div class="stat-value">${coin.metrics?.total_supply ? formatNumber(coin.metrics.total_supply) : '∞'}</div>
-                </div>
-            </div>
-            
-            ${coin.description ? `
-                <div class="coin-description">
-                    <h4>About ${coin.name}</h4>
-                    <p>${coin.description.substring(0, 300)}${coin.description.length > 300 ? '...' : ''}</p>
-                </div>
-            ` : ''}
-            
-            <div class="coin-actions">
-                <button class="secondary-btn" id="add-to-portfolio-btn" data-coin-id="${coin.id}" data-coin-name="${coin.name}" data-coin-symbol="${coin.symbol}">
-                    <i class="fas fa-plus"></i> Add to Portfolio
-                </button>
-                <button class="primary-btn" id="buy-now-btn">
-                    <i class="fas fa-shopping-cart"></i> Buy Now
-                </button>
-            </div>
-        </div>
-    `;
-    
-    cryptoDetailsModal.querySelector('.modal-body').innerHTML = detailsHtml;
-    
-    // Add event listeners
-    document.getElementById('add-to-portfolio-btn')?.addEventListener('click', () => {
-        const coinId = document.getElementById('add-to-portfolio-btn').getAttribute('data-coin-id');
-        const coinName = document.getElementById('add-to-portfolio-btn').getAttribute('data-coin-name');
-        const coinSymbol = document.getElementById('add-to-portfolio-btn').getAttribute('data-coin-symbol');
+async function checkAlertEvents() {
+    try {
+        const response = await fetch('/api/alerts/events?unseen=true', {
+            credentials: 'include'
+        });
         
-        hideCryptoDetailsModal();
-        showAddCryptoModal();
+        if (!response.ok) return;
         
-        // Pre-fill search with selected coin
-        cryptoSearchInput.value = coinSymbol;
-        searchCryptos(coinSymbol);
-    });
+        const data = await response.json();
+        const events = data.events || [];
+        
+        if (events.length === 0) return;
+        
+        // Oldest first so toasts stack in the order alerts fired
+        [...events].reverse().forEach(event => {
+            showToast('warning', event.coin_symbol ? `${event.coin_symbol} Alert` : 'Portfolio Alert', event.message, 10000);
+        });
+        playSound(successSound);
+        
+        await fetch('/api/alerts/events/seen', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ ids: events.map(event => event.id) }),
+            credentials: 'include'
+        });
+        
+        // Fired alerts switch themselves off
+        if (AppState.currentView === 'settings') {
+            await loadAlerts();
+        }
+    } catch (error) {
+        console.error('Alert events error:', error);
+    }
+}
+
+/**
+ * Start polling for fired alerts (safe to call more than once)
+ */
+function startAlertPolling() {
+    if (AppState.alertPollTimer) return;
     
-    showCryptoDetailsModal();
+    checkAlertEvents();
+    AppState.alertPollTimer = setInterval(checkAlertEvents, ALERT_POLL_INTERVAL);
+}
+
+/**
+ * Stop polling for fired alerts
+ */
+function stopAlertPolling() {
+    clearInterval(AppState.alertPollTimer);
+    AppState.alertPollTimer = null;
 }
 
 // ======================================
@@ -897,10 +2265,14 @@ function toggleTheme() {
     
     AppState.theme = AppState.theme === 'light' ? 'dark' : 'light';
     document.documentElement.setAttribute('data-theme', AppState.theme);
-    localStorage.setItem('theme', AppState.theme);
     
     updateThemeToggleIcon();
     showToast('success', 'Theme Changed', `Switched to ${AppState.theme} mode`);
+    
+    // Persist so the theme follows the user to other devices
+    if (AppState.isAuthenticated) {
+        saveSettings({ theme: AppState.theme });
+    }
 }
 
 /**
@@ -939,6 +2311,13 @@ function switchView(viewName) {
     toggleElement(searchView, false);
     toggleElement(trendingView, false);
     toggleElement(settingsView, false);
+    toggleElement(coinView, false);
+    toggleElement(tagView, false);
+    
+    // Leaving a linked page drops its hash (kept in history, so Back returns to it)
+    if (!['coin', 'tag'].includes(viewName) && window.location.hash) {
+        history.pushState(null, '', window.location.pathname + window.location.search);
+    }
     
     // Show selected view
     AppState.currentView = viewName;
@@ -959,6 +2338,12 @@ function switchView(viewName) {
             toggleElement(settingsView, true);
             loadSettingsView();
             break;
+        case 'coin':
+            toggleElement(coinView, true);
+            break;
+        case 'tag':
+            toggleElement(tagView, true);
+            break;
     }
 }
 
@@ -971,7 +2356,7 @@ function loadSearchView() {
             <div class="search-header">
                 <div class="search-box large">
                     <i class="fas fa-search"></i>
-                    <input type="text" id="main-search-input" placeholder="Search cryptocurrencies...">
+                    <input type="text" id="main-search-input" placeholder="Search cryptocurrencies or paste network:address...">
                 </div>
             </div>
             <div class="search-results-container" id="main-search-results">
@@ -980,76 +2365,77 @@ function loadSearchView() {
         </div>
     `;
     
-    // Add event listener to search input
-    const mainSearchInput = document.getElementById('main-search-input');
-    mainSearchInput.addEventListener('input', (e) => {
-        const query = e.target.value;
+    // One debounced search shared by every keystroke, so only the last one in a burst is sent
+    const debouncedSearch = debounce(async (searchQuery) => {
+        if (!searchQuery || searchQuery.length < 2) {
+            document.getElementById('main-search-results').innerHTML = 
+                '<p class="text-muted text-center">Type at least 2 characters to search</p>';
+            return;
+        }
         
-        // Use debounced search function
-        const debouncedSearch = debounce(async (searchQuery) => {
-            if (!searchQuery || searchQuery.length < 2) {
+        try {
+            const response = await fetch(`/api/search?q=${encodeURIComponent(searchQuery)}`, {
+                credentials: 'include'
+            });
+            
+            if (!response.ok) throw new Error('Search failed');
+            
+            const data = await response.json();
+            const results = data.results || [];
+            
+            if (results.length === 0) {
                 document.getElementById('main-search-results').innerHTML = 
-                    '<p class="text-muted text-center">Type at least 2 characters to search</p>';
+                    '<p class="text-muted text-center">No cryptocurrencies found</p>';
                 return;
             }
             
-            try {
-                const response = await fetch(`/api/search?q=${encodeURIComponent(searchQuery)}`, {
-                    credentials: 'include'
-                });
-                
-                if (!response.ok) throw new Error('Search failed');
-                
-                const data = await response.json();
-                const results = data.results || [];
-                
-                if (results.length === 0) {
-                    document.getElementById('main-search-results').innerHTML = 
-                        '<p class="text-muted text-center">No cryptocurrencies found</p>';
-                    return;
-                }
-                
-                document.getElementById('main-search-results').innerHTML = results.slice(0, 20).map(coin => `
-                    <div class="token-item search-result" data-coin-id="${coin.id}">
-                        <div class="token-icon">
-                            <i class="fas fa-coins"></i>
-                        </div>
-                        <div class="token-info">
-                            <div class="token-name">${coin.name}</div>
-                            <div class="token-symbol">${coin.symbol}</div>
-                        </div>
-                        <button class="add-coin-btn" data-coin-id="${coin.id}" data-coin-name="${coin.name}" data-coin-symbol="${coin.symbol}">
-                            <i class="fas fa-plus"></i>
-                        </button>
+            document.getElementById('main-search-results').innerHTML = results.slice(0, 20).map(coin => `
+                <div class="token-item search-result" data-coin-id="${escapeHtml(coin.id)}">
+                    <div class="token-icon">
+                        <i class="fas fa-coins"></i>
                     </div>
-                `).join('');
-                
-                // Add event listeners
-                document.querySelectorAll('.add-coin-btn').forEach(btn => {
-                    btn.addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        const coinId = btn.getAttribute('data-coin-id');
-                        const coinName = btn.getAttribute('data-coin-name');
-                        const coinSymbol = btn.getAttribute('data-coin-symbol');
-                        showAddCoinForm(coinId, coinName, coinSymbol);
-                    });
+                    <div class="token-info">
+                        <div class="token-name">${escapeHtml(coin.name)}</div>
+                        <div class="token-symbol">${escapeHtml(coin.symbol)}</div>
+                    </div>
+                    ${renderWatchButton(coin.id, coin.name, coin.symbol)}
+                    <button class="add-coin-btn" data-coin-id="${escapeHtml(coin.id)}" data-coin-name="${escapeHtml(coin.name)}" data-coin-symbol="${escapeHtml(coin.symbol)}">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                </div>
+            `).join('');
+            
+            attachWatchButtons(document.getElementById('main-search-results'));
+            
+            // Add event listeners
+            document.querySelectorAll('.add-coin-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const coinId = btn.getAttribute('data-coin-id');
+                    const coinName = btn.getAttribute('data-coin-name');
+                    const coinSymbol = btn.getAttribute('data-coin-symbol');
+                    showAddCoinForm(coinId, coinName, coinSymbol);
                 });
-                
-                document.querySelectorAll('.search-result').forEach(item => {
-                    item.addEventListener('click', () => {
-                        const coinId = item.getAttribute('data-coin-id');
-                        showCoinDetails(coinId);
-                    });
+            });
+            
+            document.querySelectorAll('.search-result').forEach(item => {
+                item.addEventListener('click', () => {
+                    const coinId = item.getAttribute('data-coin-id');
+                    showCoinDetails(coinId);
                 });
-                
-            } catch (error) {
-                console.error('Search error:', error);
-                document.getElementById('main-search-results').innerHTML = 
-                    '<p class="text-muted text-center">Search failed. Please try again.</p>';
-            }
-        }, 500);
-        
-        debouncedSearch(query);
+            });
+            
+        } catch (error) {
+            console.error('Search error:', error);
+            document.getElementById('main-search-results').innerHTML = 
+                '<p class="text-muted text-center">Search failed. Please try again.</p>';
+        }
+    }, 500);
+    
+    // Add event listener to search input
+    const mainSearchInput = document.getElementById('main-search-input');
+    mainSearchInput.addEventListener('input', (e) => {
+        debouncedSearch(e.target.value);
     });
 }
 
@@ -1104,13 +2490,13 @@ async function loadTrendingData(category) {
         
         const trendingList = document.getElementById('trending-list');
         trendingList.innerHTML = tokens.map(token => `
-            <div class="token-item trending-item" data-coin-id="${token.id}">
+            <div class="token-item trending-item" data-coin-id="${escapeHtml(token.id)}">
                 <div class="token-icon">
                     <i class="fas fa-coins"></i>
                 </div>
                 <div class="token-info">
-                    <div class="token-name">${token.name}</div>
-                    <div class="token-symbol">${token.symbol}</div>
+                    <div class="token-name">${escapeHtml(token.name)}</div>
+                    <div class="token-symbol">${escapeHtml(token.symbol)}</div>
                     <div class="token-rank">Rank: #${token.rank}</div>
                 </div>
                 <div class="token-price">
@@ -1137,6 +2523,287 @@ async function loadTrendingData(category) {
     }
 }
 
+/**
+ * Open the page the URL hash points at (#/coin/<id> or #/tag/<id>)
+ */
+function handleRoute() {
+    const [, route, param] = window.location.hash.match(/^#\/(coin|tag)\/(.+)$/) || [];
+    
+    if (route === 'coin') {
+        showCoinProfile(decodeURIComponent(param));
+    } else if (route === 'tag') {
+        showTagCoins(decodeURIComponent(param));
+    } else if (['coin', 'tag'].includes(AppState.currentView)) {
+        switchView('home');
+    }
+}
+
+/**
+ * Load a coin's full profile page
+ */
+async function showCoinProfile(coinId) {
+    hideCryptoDetailsModal();
+    switchView('coin');
+    coinView.innerHTML = '<div class="coin-profile"><div class="loading-spinner small"></div></div>';
+    
+    try {
+        const response = await fetch(`/api/coin/${encodeURIComponent(coinId)}?timeframe=${AppState.settings.chart_timeframe}`, {
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        // The user may have moved on while this loaded
+        if (AppState.currentView !== 'coin') return;
+        
+        if (!response.ok) {
+            coinView.innerHTML = `<div class="coin-profile"><p class="text-muted text-center">${escapeHtml(data.error || 'Coin not found')}</p></div>`;
+            return;
+        }
+        
+        checkDataStatus(data);
+        displayCoinProfile(data.coin);
+    } catch (error) {
+        console.error('Coin profile error:', error);
+        coinView.innerHTML = '<div class="coin-profile"><p class="text-muted text-center">Failed to load coin profile</p></div>';
+    }
+}
+
+/**
+ * Render one label/value row of a profile section (nothing when the value is missing)
+ * Both are escaped unless valueIsHtml says the value is markup we built ourselves
+ */
+function renderProfileRow(label, value, valueIsHtml = false) {
+    if (value === null || value === undefined || value === '') return '';
+    
+    return `
+        <div class="profile-row">
+            <span class="stat-label">${escapeHtml(label)}</span>
+            <span class="profile-value">${valueIsHtml ? value : escapeHtml(value)}</span>
+        </div>
+    `;
+}
+
+/**
+ * Render a 0-100% progress bar
+ */
+function renderProgressBar(percent) {
+    const width = Math.max(0, Math.min(100, percent));
+    return `<div class="profile-bar"><div class="profile-bar-fill" style="width: ${width}%"></div></div>`;
+}
+
+/**
+ * Render a coin's official links, grouped by kind (only http(s) links are shown)
+ */
+function renderCoinLinks(links) {
+    return Object.entries(links || {}).flatMap(([kind, urls]) =>
+        (Array.isArray(urls) ? urls : [urls])
+            .map(parseHttpUrl)
+            .filter(Boolean)
+            .map(url => {
+                const { label, icon } = COIN_LINK_TYPES[kind] || { label: kind.replace(/_/g, ' '), icon: 'fas fa-link' };
+                return `
+                    <a class="profile-link" href="${escapeHtml(url.href)}" target="_blank" rel="noopener noreferrer">
+                        <i class="${icon}"></i>
+                        <span>${escapeHtml(label)}</span>
+                        <small class="text-muted">${escapeHtml(url.hostname)}</small>
+                    </a>
+                `;
+            })
+    ).join('');
+}
+
+/**
+ * Parse a link from the API, keeping only http(s) URLs (null otherwise)
+ */
+function parseHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Render the coin profile page (overview, supply, ATH distance, team, links and tags)
+ */
+function displayCoinProfile(coin) {
+    const metrics = coin.metrics || {};
+    const price = metrics.price || 0;
+    
+    // A max supply of 0 means the coin has no cap
+    const maxSupply = metrics.max_supply > 0 ? metrics.max_supply : null;
+    const dilutedSupply = maxSupply || metrics.total_supply || null;
+    const circulatingPercent = maxSupply && metrics.circulating_supply ? metrics.circulating_supply / maxSupply * 100 : null;
+    
+    const athPrice = metrics.ath_price || 0;
+    const percentFromAth = athPrice > 0 ? (price / athPrice - 1) * 100 : null;
+    
+    const linksHtml = renderCoinLinks(coin.links);
+    const description = coin.description || 'No description available';
+    const name = escapeHtml(coin.name);
+    const symbol = escapeHtml(coin.symbol);
+    
+    coinView.innerHTML = `
+        <div class="coin-profile">
+            <div class="coin-price-header">
+                ${renderWatchButton(coin.id, coin.name, coin.symbol)}
+                <h2>${name} <span class="text-muted">${symbol}</span></h2>
+                ${coin.rank ? `<span class="tag-chip">Rank #${coin.rank}</span>` : ''}
+                <div class="current-price-large">${formatCurrency(price)}</div>
+                <div class="price-change-large ${(metrics.percent_change_24h || 0) >= 0 ? 'positive' : 'negative'}">
+                    ${formatPercent(parseFloat(metrics.percent_change_24h || 0))} (24h)
+                </div>
+            </div>
+            
+            ${coin.tags?.length ? `
+                <div class="profile-tags">
+                    ${coin.tags.map(tag => `
+                        <a class="tag-chip" href="#/tag/${encodeURIComponent(tag.id)}">${escapeHtml(tag.name)}</a>
+                    `).join('')}
+                </div>
+            ` : ''}
+            
+            <section class="profile-section">
+                <h4>Overview</h4>
+                ${description.split(/\n+/).map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('')}
+                ${renderProfileRow('Type', coin.type)}
+                ${renderProfileRow('Network', coin.network)}
+                ${renderProfileRow('Contract', coin.address)}
+                ${renderProfileRow('Started', coin.started_at ? new Date(coin.started_at).toLocaleDateString() : null)}
+                ${renderProfileRow('Development', coin.development_status)}
+                ${renderProfileRow('Organization', coin.org_structure)}
+                ${renderProfileRow('Hash Algorithm', coin.hash_algorithm)}
+                ${renderProfileRow('Consensus', coin.proof_type)}
+                ${renderProfileRow('Open Source', typeof coin.open_source === 'boolean' ? (coin.open_source ? 'Yes' : 'No') : null)}
+            </section>
+            
+            <section class="profile-section">
+                <h4>Tokenomics & Supply</h4>
+                ${renderProfileRow('Market Cap', formatCurrency(metrics.market_cap || 0))}
+                ${renderProfileRow('24h Volume', formatCurrency(metrics.volume_24h || 0))}
+                ${renderProfileRow('Fully Diluted Value', dilutedSupply ? formatCurrency(price * dilutedSupply) : null)}
+                ${renderProfileRow('Circulating Supply', metrics.circulating_supply ? `${formatNumber(metrics.circulating_supply)} ${coin.symbol}` : null)}
+                ${renderProfileRow('Total Supply', metrics.total_supply ? `${formatNumber(metrics.total_supply)} ${coin.symbol}` : null)}
+                ${renderProfileRow('Max Supply', maxSupply ? `${formatNumber(maxSupply)} ${coin.symbol}` : '∞')}
+                ${circulatingPercent !== null ? `
+                    ${renderProgressBar(circulatingPercent)}
+                    <small class="text-muted">${circulatingPercent.toFixed(1)}% of the max supply is in circulation</small>
+                ` : ''}
+            </section>
+            
+            ${percentFromAth !== null ? `
+                <section class="profile-section">
+                    <h4>All-Time High</h4>
+                    ${renderProfileRow('ATH Price', formatCurrency(athPrice))}
+                    ${renderProfileRow('ATH Date', metrics.ath_date ? new Date(metrics.ath_date).toLocaleDateString() : null)}
+                    ${renderProfileRow('From ATH', `<span class="price-change ${percentFromAth >= 0 ? 'positive' : 'negative'}">${formatPercent(percentFromAth)}</span>`, true)}
+                    ${percentFromAth < 0 ? renderProfileRow('To Reach ATH', price > 0 ? formatPercent((athPrice / price - 1) * 100) : '—') : ''}
+                    ${renderProgressBar(price / athPrice * 100)}
+                </section>
+            ` : ''}
+            
+            ${coin.team?.length ? `
+                <section class="profile-section">
+                    <h4>Team</h4>
+                    ${coin.team.map(member => renderProfileRow(member.name, member.position)).join('')}
+                </section>
+            ` : ''}
+            
+            ${linksHtml ? `
+                <section class="profile-section">
+                    <h4>Official Links</h4>
+                    <div class="profile-links">${linksHtml}</div>
+                </section>
+            ` : ''}
+            
+            <div class="coin-actions">
+                <button class="secondary-btn" id="profile-details-btn">
+                    <i class="fas fa-chart-line"></i> Chart & Markets
+                </button>
+                <button class="primary-btn" id="profile-add-btn">
+                    <i class="fas fa-plus"></i> Add to Portfolio
+                </button>
+            </div>
+        </div>
+    `;
+    
+    attachWatchButtons(coinView);
+    
+    document.getElementById('profile-details-btn').addEventListener('click', () => {
+        showCoinDetails(coin.id);
+    });
+    
+    document.getElementById('profile-add-btn').addEventListener('click', () => {
+        showAddCryptoModal();
+        showAddCoinForm(coin.id, coin.name, coin.symbol);
+    });
+}
+
+/**
+ * Load the coins carrying a tag (#/tag/<id>)
+ */
+async function showTagCoins(tagId) {
+    hideCryptoDetailsModal();
+    switchView('tag');
+    tagView.innerHTML = `
+        <div class="coin-profile">
+            <div class="token-loading">
+                <div class="loading-shimmer"></div>
+                <div class="loading-shimmer"></div>
+                <div class="loading-shimmer"></div>
+            </div>
+        </div>
+    `;
+    
+    try {
+        const response = await fetch(`/api/tags/${encodeURIComponent(tagId)}/coins`, {
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (AppState.currentView !== 'tag') return;
+        
+        if (!response.ok) {
+            tagView.innerHTML = `<div class="coin-profile"><p class="text-muted text-center">${escapeHtml(data.error || 'Tag not found')}</p></div>`;
+            return;
+        }
+        
+        checkDataStatus(data);
+        
+        tagView.innerHTML = `
+            <div class="coin-profile">
+                <h2>${escapeHtml(data.tag.name)}</h2>
+                ${data.tag.description ? `<p class="text-muted">${escapeHtml(data.tag.description)}</p>` : ''}
+                <p class="text-muted"><small>${data.total} coins</small></p>
+                ${data.coins.map(coin => `
+                    <a class="token-item" href="#/coin/${encodeURIComponent(coin.id)}">
+                        <div class="token-icon">
+                            <i class="fas fa-coins"></i>
+                        </div>
+                        <div class="token-info">
+                            <div class="token-name">${escapeHtml(coin.name)}</div>
+                            <div class="token-symbol">${escapeHtml(coin.symbol)}</div>
+                            ${coin.rank ? `<div class="token-rank">Rank: #${coin.rank}</div>` : ''}
+                        </div>
+                        <div class="token-price">
+                            <div class="current-price">${formatCurrency(coin.price || 0)}</div>
+                            <div class="price-change ${(coin.change_24h || 0) >= 0 ? 'positive' : 'negative'}">
+                                ${formatPercent(parseFloat(coin.change_24h || 0))}
+                            </div>
+                        </div>
+                    </a>
+                `).join('')}
+            </div>
+        `;
+    } catch (error) {
+        console.error('Tag coins error:', error);
+        tagView.innerHTML = '<div class="coin-profile"><p class="text-muted text-center">Failed to load coins for this tag</p></div>';
+    }
+}
+
 /**
  * Load settings view content
  */
@@ -1178,6 +2845,93 @@ function loadSettingsView() {
                         </button>
                     </div>
                 </div>
+                <div class="settings-item">
+                    <div class="settings-label">Display Currency</div>
+                    <div class="settings-value">
+                        <select id="currency-select">
+                            ${renderOptions(AppState.settingsOptions.currencies, AppState.settings.currency)}
+                        </select>
+                    </div>
+                </div>
+                <div class="settings-item">
+                    <div class="settings-label">Default Chart Timeframe</div>
+                    <div class="settings-value">
+                        <select id="timeframe-select">
+                            ${renderOptions(AppState.settingsOptions.chart_timeframes, AppState.settings.chart_timeframe)}
+                        </select>
+                    </div>
+                </div>
+                <div class="settings-item">
+                    <div class="settings-label">Cost Basis Method</div>
+                    <div class="settings-value">
+                        <select id="cost-basis-select">
+                            ${renderOptions(AppState.settingsOptions.cost_basis_methods, AppState.settings.cost_basis_method, COST_BASIS_LABELS)}
+                        </select>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="settings-section">
+                <h3>Notifications</h3>
+                <div class="settings-item">
+                    <div class="settings-label">In-app Notifications</div>
+                    <div class="settings-value">
+                        <button class="toggle-switch notification-toggle ${AppState.settings.notifications.enabled ? 'active' : ''}" data-key="enabled">
+                            <div class="toggle-slider"></div>
+                        </button>
+                    </div>
+                </div>
+                <div class="settings-item">
+                    <div class="settings-label">Price Alerts</div>
+                    <div class="settings-value">
+                        <button class="toggle-switch notification-toggle ${AppState.settings.notifications.price_alerts ? 'active' : ''}" data-key="price_alerts">
+                            <div class="toggle-slider"></div>
+                        </button>
+                    </div>
+                </div>
+                <div class="settings-item">
+                    <div class="settings-label">Portfolio Alerts</div>
+                    <div class="settings-value">
+                        <button class="toggle-switch notification-toggle ${AppState.settings.notifications.portfolio_alerts ? 'active' : ''}" data-key="portfolio_alerts">
+                            <div class="toggle-slider"></div>
+                        </button>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="settings-section">
+                <h3>Price Alerts</h3>
+                <div id="alerts-list" class="alerts-list">
+                    <div class="loading-spinner small"></div>
+                </div>
+                <div class="settings-item">
+                    <div class="settings-label">
+                        <select id="portfolio-alert-type">
+                            ${renderOptions(['portfolio_above', 'portfolio_below'], 'portfolio_above', ALERT_TYPE_LABELS)}
+                        </select>
+                    </div>
+                    <div class="settings-value">
+                        <input type="number" id="portfolio-alert-threshold" step="any" min="0" placeholder="0.00">
+                    </div>
+                </div>
+                <button class="settings-btn" id="create-portfolio-alert-btn">
+                    <i class="fas fa-bell"></i> Add Portfolio Alert
+                </button>
+            </div>
+            
+            <div class="settings-section">
+                <h3>Reports</h3>
+                <div class="settings-item">
+                    <div class="settings-label">Capital Gains Year</div>
+                    <div class="settings-value">
+                        <select id="tax-year-select">
+                            ${getReportYears().map(year => `<option value="${year}">${year}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+                <button class="settings-btn" id="download-tax-report-btn">
+                    <i class="fas fa-file-csv"></i> Download Tax Report (CSV)
+                </button>
             </div>
             
             <div class="settings-section">
@@ -1201,10 +2955,67 @@ function loadSettingsView() {
     document.getElementById('logout-btn')?.addEventListener('click', handleLogout);
     document.getElementById('theme-toggle-small')?.addEventListener('click', toggleTheme);
     document.getElementById('balance-toggle')?.addEventListener('click', toggleBalanceVisibility);
+    document.getElementById('currency-select')?.addEventListener('change', async (e) => {
+        // Prices are quoted by the server in this currency, so reload them
+        if (await saveSettings({ currency: e.target.value })) {
+            await Promise.all([
+                loadPortfolio(),
+                loadPortfolioHistory(),
+                loadMarketOverview(),
+                loadPopularTokens(),
+                loadWatchlist()
+            ]);
+            
+            // The stream quotes in the currency saved when it opened
+            stopPriceStream();
+            startPriceStream();
+        }
+    });
+    document.getElementById('timeframe-select')?.addEventListener('change', (e) => {
+        saveSettings({ chart_timeframe: e.target.value });
+    });
+    document.getElementById('cost-basis-select')?.addEventListener('change', async (e) => {
+        // Gains depend on the accounting method, so reload the portfolio
+        if (await saveSettings({ cost_basis_method: e.target.value })) {
+            await loadPortfolio();
+        }
+    });
+    document.querySelectorAll('.notification-toggle').forEach(toggle => {
+        toggle.addEventListener('click', async () => {
+            const key = toggle.getAttribute('data-key');
+            const enabled = !AppState.settings.notifications[key];
+            if (await saveSettings({ notifications: { ...AppState.settings.notifications, [key]: enabled } })) {
+                toggle.classList.toggle('active', enabled);
+            }
+        });
+    });
+    document.getElementById('create-portfolio-alert-btn')?.addEventListener('click', async () => {
+        const thresholdInput = document.getElementById('portfolio-alert-threshold');
+        if (await createAlert({
+            alert_type: document.getElementById('portfolio-alert-type').value,
+            threshold: parseFloat(thresholdInput.value)
+        })) {
+            thresholdInput.value = '';
+        }
+    });
+    document.getElementById('download-tax-report-btn')?.addEventListener('click', () => {
+        const year = document.getElementById('tax-year-select').value;
+        window.location.href = `/api/reports/tax?year=${year}&format=csv`;
+    });
     document.getElementById('refresh-data-btn')?.addEventListener('click', async () => {
         await loadInitialData();
         showToast('success', 'Refreshed', 'All data has been refreshed');
     });
+    
+    loadAlerts();
+}
+
+/**
+ * Years offered for the tax report (current year and the five before it)
+ */
+function getReportYears() {
+    const currentYear = new Date().getFullYear();
+    return Array.from({ length: 6 }, (_, i) => currentYear - i);
 }
 
 /**
@@ -1213,9 +3024,12 @@ function loadSettingsView() {
 function toggleBalanceVisibility() {
     playSound(clickSound);
     AppState.balanceVisible = !AppState.balanceVisible;
-    localStorage.setItem('balanceVisible', AppState.balanceVisible);
     updateBalanceVisibility();
     
+    if (AppState.isAuthenticated) {
+        saveSettings({ balance_visible: AppState.balanceVisible });
+    }
+    
     // Update toggle switch in settings if visible
     const balanceToggle = document.getElementById('balance-toggle');
     if (balanceToggle) {
@@ -1227,6 +3041,81 @@ function toggleBalanceVisibility() {
     }
 }
 
+/**
+ * Render <option> tags for a settings select
+ */
+function renderOptions(values, selected, labels = {}) {
+    return values.map(value => `
+        <option value="${value}" ${value === selected ? 'selected' : ''}>${labels[value] || value}</option>
+    `).join('');
+}
+
+/**
+ * Load the user's saved settings from the server and apply them
+ */
+async function loadUserSettings() {
+    try {
+        const response = await fetch('/api/settings', {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to load settings');
+        }
+        
+        const data = await response.json();
+        AppState.settingsOptions = data.options || AppState.settingsOptions;
+        applySettings(data.settings);
+        
+    } catch (error) {
+        console.error('Settings load error:', error);
+        showToast('error', 'Settings Error', 'Failed to load your settings');
+    }
+}
+
+/**
+ * Apply settings to app state and UI
+ */
+function applySettings(settings) {
+    AppState.settings = settings;
+    AppState.theme = settings.theme;
+    AppState.balanceVisible = settings.balance_visible;
+    
+    initTheme();
+    updateBalanceVisibility();
+}
+
+/**
+ * Save a partial settings update (returns true on success)
+ */
+async function saveSettings(updates) {
+    try {
+        const response = await fetch('/api/settings', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(updates),
+            credentials: 'include'
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            applySettings(data.settings);
+            showToast('success', 'Settings Saved', 'Your preferences have been updated');
+            return true;
+        }
+        
+        showToast('error', 'Failed', data.error || 'Failed to save settings');
+        return false;
+    } catch (error) {
+        console.error('Settings save error:', error);
+        showToast('error', 'Error', 'Failed to save settings');
+        return false;
+    }
+}
+
 // ======================================
 // 10. EVENT LISTENERS SETUP
 // ======================================
@@ -1297,9 +3186,26 @@ function setupEventListeners() {
         showToast('success', 'Portfolio Refreshed', 'Updated with latest prices');
     });
     
+    // Performance chart ranges
+    performanceRanges.querySelectorAll('.range-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            playSound(clickSound);
+            loadPortfolioHistory(btn.getAttribute('data-range'));
+        });
+    });
+    
+    // Refresh watchlist
+    refreshWatchlistBtn.addEventListener('click', async () => {
+        playSound(clickSound);
+        await loadWatchlist();
+    });
+    
     // Add first crypto button (will be re-attached dynamically)
     addFirstCryptoBtn?.addEventListener('click', showAddCryptoModal);
     
+    // Coin profile and tag pages are addressed by the URL hash
+    window.addEventListener('hashchange', handleRoute);
+    
     // Navigation items
     navItems.forEach(item => {
         item.addEventListener('click', () => {
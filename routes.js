@@ -15,6 +15,39 @@ const db = require('./db');
 // Import DexPaprika service for crypto data
 const dexpaprikaService = require('./services/dexpaprika');
 
+// Import cost-basis engine for lot accounting
+const costBasis = require('./services/costBasis');
+
+// Import capital-gains report builder
+const taxReport = require('./services/taxReport');
+
+// Import settings defaults and validation
+const userSettings = require('./services/userSettings');
+
+// Import FX service for multi-currency quoting
+const fxRates = require('./services/fxRates');
+
+// Import alert validation
+const alerts = require('./services/alerts');
+
+// Import portfolio value history
+const portfolioHistory = require('./services/portfolioHistory');
+
+// Import market-data cache (for monitoring stats)
+const apiCache = require('./services/apiCache');
+
+// Import live price stream (Server-Sent Events)
+const priceStream = require('./services/priceStream');
+
+// Import global market overview
+const marketOverview = require('./services/marketOverview');
+
+// Import local coin catalog (search and symbol lookups)
+const coinCatalog = require('./services/coinCatalog');
+
+// Import DexPaprika on-chain data (networks, tokens by contract address, pools)
+const onchain = require('./services/onchain');
+
 // ======================================
 // MIDDLEWARE FUNCTIONS
 // ======================================
@@ -66,6 +99,210 @@ async function hashToken(token) {
   return await bcrypt.hash(token, 10);
 }
 
+// Helper to pick the fiat currency for a response
+// ?currency= wins, otherwise the user's saved display currency (null if unsupported)
+async function resolveCurrency(req) {
+  if (req.query.currency) {
+    return fxRates.isSupportedCurrency(req.query.currency) ? req.query.currency.toUpperCase() : null;
+  }
+  
+  const settings = await db.getUserSettings(req.user.id);
+  return settings?.currency || fxRates.BASE_CURRENCY;
+}
+
+// Helper to parse a date that must not be in the future (null if invalid)
+function parsePastDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) || date > new Date() ? null : date;
+}
+
+// Helper to convert a holding's USD values with a converter from fxRates
+// purchase_price stays in USD - it is the user's own input and is edited as USD
+function convertHolding(item, convert) {
+  return {
+    ...item,
+    current_price: convert(item.current_price),
+    current_value: convert(item.current_value),
+    average_cost: convert(item.average_cost),
+    cost_basis: convert(item.cost_basis),
+    realized_gain_loss: convert(item.realized_gain_loss),
+    unrealized_gain_loss: convert(item.unrealized_gain_loss),
+    lots: (item.lots || []).map(lot => ({
+      ...lot,
+      price_per_unit: convert(lot.price_per_unit),
+      cost_basis: convert(lot.cost_basis)
+    }))
+  };
+}
+
+// Helper to value holdings at live USD prices and build the portfolio summary
+// Used by the portfolio route and the live price stream; the result is quoted in `currency`
+async function buildPortfolioView(userId, portfolio, currentPrices, currency) {
+  const [transactions, method] = await Promise.all([
+    db.getUserTransactions(userId),
+    db.getCostBasisMethod(userId)
+  ]);
+
+  // Replay the ledger to get each coin's cost basis
+  const basisByCoin = costBasis.computePortfolioCostBasis(transactions, method);
+
+  // Update portfolio with current prices and values
+  const holdings = portfolio.map(item => {
+    const currentPrice = currentPrices[item.coin_id] || item.current_price || 0;
+    const amount = parseFloat(item.amount);
+    const currentValue = amount * currentPrice;
+
+    // Use the ledger's average cost when it has open lots,
+    // otherwise fall back to the stored purchase price
+    const basis = basisByCoin[item.coin_id];
+    const averageCost = basis && basis.amount > 0
+      ? basis.average_cost
+      : parseFloat(item.purchase_price) || 0;
+
+    return {
+      ...item,
+      current_price: currentPrice,
+      current_value: currentValue,
+      average_cost: averageCost,
+      cost_basis: amount * averageCost,
+      lots: basis ? basis.open_lots : [],
+      realized_gain_loss: basis ? basis.realized_gain_loss : 0,
+      unrealized_gain_loss: currentValue - amount * averageCost,
+      // Calculate gain/loss percentage
+      gain_loss_percentage: averageCost > 0
+        ? ((currentPrice - averageCost) / averageCost * 100).toFixed(2)
+        : 0
+    };
+  });
+
+  // Calculate total portfolio value
+  const totalValue = holdings.reduce((sum, item) => {
+    return sum + (item.current_value || 0);
+  }, 0);
+
+  // Calculate total gain/loss against cost basis
+  const totalPurchaseValue = holdings.reduce((sum, item) => {
+    return sum + (item.cost_basis || 0);
+  }, 0);
+
+  // Realized P&L covers every coin in the ledger, including closed positions
+  const totalRealized = Object.values(basisByCoin).reduce((sum, basis) => {
+    return sum + basis.realized_gain_loss;
+  }, 0);
+
+  const totalGainLossPercentage = totalPurchaseValue > 0
+    ? ((totalValue - totalPurchaseValue) / totalPurchaseValue * 100).toFixed(2)
+    : 0;
+
+  // Quote in the requested currency (stored values stay in USD)
+  // The secondary currency is shown as a "~" hint under the balance
+  const convert = await fxRates.getConverter(currency);
+  const secondaryCurrency = currency === 'USD' ? 'NGN' : 'USD';
+  const convertSecondary = await fxRates.getConverter(secondaryCurrency).catch(() => null);
+
+  return {
+    portfolio: holdings.map(item => convertHolding(item, convert)),
+    summary: {
+      total_value: convert(totalValue),
+      total_gain_loss_percentage: totalGainLossPercentage,
+      total_gain_loss_value: convert(totalValue - totalPurchaseValue),
+      total_cost_basis: convert(totalPurchaseValue),
+      total_unrealized_gain_loss: convert(totalValue - totalPurchaseValue),
+      total_realized_gain_loss: convert(totalRealized),
+      cost_basis_method: method,
+      currency,
+      converted: convertSecondary
+        ? { currency: secondaryCurrency, total_value: convertSecondary(totalValue) }
+        : null
+    }
+  };
+}
+
+// Helper to build the ledger adjustments that move a coin's open lots to a holding's edited values
+// Added units cost the edited purchase price (or the position's current cost); removed units leave at market
+// total_value is the market value moved, so history charts count it as money in or out
+async function buildLedgerAdjustments(userId, holding, { amount, purchase_price }) {
+  const [transactions, method] = await Promise.all([
+    db.getUserTransactions(userId, holding.coin_id),
+    db.getCostBasisMethod(userId)
+  ]);
+
+  const basis = costBasis.computeCostBasis(transactions, method);
+  const marketPrice = parseFloat(holding.current_price) || 0;
+  const unitChange = parseFloat((amount - basis.amount).toFixed(8));
+  const adjustments = [];
+
+  if (unitChange !== 0) {
+    const unitCost = purchase_price
+      ?? (basis.amount > 0 ? basis.average_cost : parseFloat(holding.purchase_price) || 0);
+
+    adjustments.push({
+      amount: unitChange,
+      price_per_unit: unitChange > 0 ? unitCost : marketPrice,
+      total_value: unitChange * marketPrice
+    });
+  }
+
+  // An amount of 0 re-prices every open lot
+  if (purchase_price !== undefined) {
+    adjustments.push({ amount: 0, price_per_unit: purchase_price, total_value: 0 });
+  }
+
+  return adjustments.map(adjustment => ({
+    coin_id: holding.coin_id,
+    coin_symbol: holding.coin_symbol,
+    transaction_type: 'adjustment',
+    ...adjustment
+  }));
+}
+
+// Helper to attach live prices (quoted in the converter's currency) to watchlist rows
+function priceWatchlist(watchlist, quotes, convert) {
+  return watchlist.map(item => ({
+    ...item,
+    price: convert(quotes[item.coin_id]?.price || 0),
+    change_24h: quotes[item.coin_id]?.change_24h || 0
+  }));
+}
+
+// Helper to convert a DEX pool's USD values with a converter from fxRates
+function convertPool(pool, convert) {
+  return {
+    ...pool,
+    price: convert(pool.price),
+    volume_24h: convert(pool.volume_24h)
+  };
+}
+
+// Helper to convert chart candles with a converter from fxRates
+function convertCandles(candles, convert) {
+  return candles.map(point => ({
+    ...point,
+    open: convert(point.open),
+    high: convert(point.high),
+    low: convert(point.low),
+    close: convert(point.close),
+    volume: convert(point.volume)
+  }));
+}
+
+// Helper to answer a failed on-chain request (bad network/address, unknown token, API down)
+function sendOnchainError(res, error) {
+  if (error.message.includes('Invalid')) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('exchange rate')) {
+    return res.status(503).json({ error: 'Exchange rate unavailable for this currency' });
+  }
+  if (error.unavailable) {
+    return res.status(503).json({ error: 'On-chain data is temporarily unavailable' });
+  }
+  res.status(500).json({ error: 'Internal server error' });
+}
+
 // Middleware to sanitize and validate user input
 function sanitizeInput(req, res, next) {
   // Clean all string inputs by trimming and escaping
@@ -91,6 +328,33 @@ function sanitizeInput(req, res, next) {
   next();
 }
 
+// Middleware to flag responses built from fallback market data
+// When a market-data provider was unavailable, JSON object responses get a data_status field
+// ({ stale, fallback, sources, as_of }) and an X-Data-Stale header
+function reportDataStatus(req, res, next) {
+  dexpaprikaService.trackDataStatus(() => {
+    const json = res.json.bind(res);
+    
+    res.json = (body) => {
+      const status = dexpaprikaService.getDataStatus();
+      
+      if (status.fallback) {
+        res.set('X-Data-Stale', String(status.stale));
+        if (body && typeof body === 'object' && !Array.isArray(body)) {
+          body = { ...body, data_status: status };
+        }
+      }
+      
+      return json(body);
+    };
+    
+    next();
+  });
+}
+
+// Every route below can report fallback data
+router.use(reportDataStatus);
+
 // ======================================
 // AUTHENTICATION ROUTES
 // ======================================
@@ -269,74 +533,42 @@ router.get('/api/user', authenticateToken, async (req, res) => {
 // ======================================
 
 // Route 5: Get user's complete portfolio
-router.get('/api/portfolio', authenticateToken, async (req, res) => {
+router.get('/api/portfolio', authenticateToken, sanitizeInput, async (req, res) => {
   try {
     const userId = req.user.id;
     
-    // Get portfolio from database
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
     let portfolio = await db.getUserPortfolio(userId);
     
     // Update prices from DexPaprika API
+    let currentPrices = {};
     if (portfolio.length > 0) {
       // Extract coin IDs for price lookup
       const coinIds = portfolio.map(item => item.coin_id);
       
       // Get current prices from API
-      const currentPrices = await dexpaprikaService.getCurrentPrices(coinIds);
-      
-      // Update portfolio with current prices and values
-      const priceUpdates = [];
-      portfolio = portfolio.map(item => {
-        const currentPrice = currentPrices[item.coin_id] || item.current_price || 0;
-        const currentValue = item.amount * currentPrice;
-        
-        // Prepare update for database
-        priceUpdates.push({
-          coin_id: item.coin_id,
-          current_price: currentPrice
-        });
-        
-        return {
-          ...item,
-          current_price: currentPrice,
-          current_value: currentValue,
-          // Calculate gain/loss percentage
-          gain_loss_percentage: item.purchase_price > 0 
-            ? ((currentPrice - item.purchase_price) / item.purchase_price * 100).toFixed(2)
-            : 0
-        };
-      });
+      currentPrices = await dexpaprikaService.getCurrentPrices(coinIds);
       
       // Update database with new prices
-      await db.updatePortfolioPrices(userId, priceUpdates);
+      await db.updatePortfolioPrices(userId, portfolio.map(item => ({
+        coin_id: item.coin_id,
+        current_price: currentPrices[item.coin_id] || item.current_price || 0
+      })));
     }
     
-    // Calculate total portfolio value
-    const totalValue = portfolio.reduce((sum, item) => {
-      return sum + (item.current_value || 0);
-    }, 0);
-    
-    // Calculate total gain/loss
-    const totalPurchaseValue = portfolio.reduce((sum, item) => {
-      return sum + (item.amount * item.purchase_price || 0);
-    }, 0);
-    
-    const totalGainLossPercentage = totalPurchaseValue > 0
-      ? ((totalValue - totalPurchaseValue) / totalPurchaseValue * 100).toFixed(2)
-      : 0;
-    
-    res.json({
-      portfolio,
-      summary: {
-        total_value: totalValue,
-        total_gain_loss_percentage: totalGainLossPercentage,
-        total_gain_loss_value: totalValue - totalPurchaseValue,
-        currency: 'USD'
-      }
-    });
+    res.json(await buildPortfolioView(userId, portfolio, currentPrices, currency));
     
   } catch (error) {
     console.error('  Get portfolio error:', error);
+    
+    if (error.message.includes('exchange rate')) {
+      return res.status(503).json({ error: 'Exchange rate unavailable for this currency' });
+    }
+    
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -345,16 +577,31 @@ router.get('/api/portfolio', authenticateToken, async (req, res) => {
 router.post('/api/portfolio/add', authenticateToken, sanitizeInput, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { coin_id, coin_symbol, coin_name, amount, purchase_price } = req.body;
+    const { coin_id, coin_symbol, coin_name, amount, purchase_price, purchase_date } = req.body;
     
-    // Validate input
-    if (!coin_id || !coin_symbol || !coin_name || !amount || !purchase_price) {
+    // Validate input (a purchase date can stand in for the price)
+    if (!coin_id || !coin_symbol || !coin_name || !amount || (!purchase_price && !purchase_date)) {
       return res.status(400).json({ error: 'All coin details are required' });
     }
     
+    // Validate date (optional, defaults to now, cannot be in the future)
+    const purchaseDate = purchase_date ? parsePastDate(purchase_date) : new Date();
+    if (!purchaseDate) {
+      return res.status(400).json({ error: 'Purchase date must be a valid date in the past' });
+    }
+    
+    // A price typed by the user wins; otherwise use the coin's USD price on the purchase date
+    let purchasePriceSource = 'manual';
+    let purchasePriceNum = parseFloat(purchase_price);
+    
+    if (!purchase_price) {
+      const historical = await dexpaprikaService.getHistoricalPrice(coin_id, purchaseDate);
+      purchasePriceNum = historical.price;
+      purchasePriceSource = 'historical';
+    }
+    
     // Validate numeric values
     const amountNum = parseFloat(amount);
-    const purchasePriceNum = parseFloat(purchase_price);
     
     if (isNaN(amountNum) || isNaN(purchasePriceNum) || amountNum <= 0 || purchasePriceNum <= 0) {
       return res.status(400).json({ error: 'Valid amount and purchase price are required' });
@@ -378,14 +625,30 @@ router.post('/api/portfolio/add', authenticateToken, sanitizeInput, async (req,
     // Add to portfolio
     await db.addToPortfolio(userId, coinData);
     
+    // Record the purchase in the transaction ledger
+    await db.addTransaction(userId, {
+      coin_id,
+      coin_symbol: coinData.coin_symbol,
+      transaction_type: 'buy',
+      amount: amountNum,
+      price_per_unit: purchasePriceNum,
+      total_value: amountNum * purchasePriceNum,
+      transaction_date: purchaseDate
+    });
+    
     res.json({
       message: 'Coin added to portfolio successfully',
-      coin: coinData
+      coin: coinData,
+      purchase_price_source: purchasePriceSource
     });
     
   } catch (error) {
     console.error('  Add to portfolio error:', error);
     
+    if (error.code === 'PRICE_NOT_FOUND') {
+      return res.status(404).json({ error: 'No price recorded for this coin on that date, please enter a purchase price' });
+    }
+    
     if (error.message.includes('not found')) {
       return res.status(404).json({ error: 'Coin not found' });
     }
@@ -400,11 +663,27 @@ router.delete('/api/portfolio/:coinId', authenticateToken, async (req, res) => {
     const userId = req.user.id;
     const coinId = req.params.coinId;
     
-    // In production, we would implement this delete functionality
-    // For now, return a message since we haven't implemented the delete function in db.js
+    if (!dexpaprikaService.isValidCoinId(coinId)) {
+      return res.status(400).json({ error: 'Invalid coin ID' });
+    }
+    
+    const holding = await db.getPortfolioHolding(userId, coinId);
+    
+    if (!holding) {
+      return res.status(404).json({ error: 'Coin not found in portfolio' });
+    }
+    
+    // Close the coin's open lots with an adjustment so a re-added coin starts fresh
+    // Earlier buys and sells stay in the ledger, so realized P&L and tax reports are unchanged
+    const adjustments = await buildLedgerAdjustments(userId, holding, { amount: 0 });
+    for (const adjustment of adjustments) {
+      await db.addTransaction(userId, adjustment);
+    }
+    
+    await db.removeFromPortfolio(userId, coinId);
     
     res.json({
-      message: 'Delete functionality will be implemented in next phase',
+      message: 'Coin removed from portfolio successfully',
       coin_id: coinId
     });
     
@@ -414,6 +693,226 @@ router.delete('/api/portfolio/:coinId', authenticateToken, async (req, res) => {
   }
 });
 
+// Route 17: Realized profit and loss breakdown by day, month or year
+router.get('/api/portfolio/pnl', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const period = req.query.period || 'month';
+    
+    if (!['day', 'month', 'year'].includes(period)) {
+      return res.status(400).json({ error: 'Period must be "day", "month" or "year"' });
+    }
+    
+    const [transactions, method] = await Promise.all([
+      db.getUserTransactions(userId),
+      db.getCostBasisMethod(userId)
+    ]);
+    
+    const basisByCoin = costBasis.computePortfolioCostBasis(transactions, method);
+    
+    // Per-coin realized totals (closed positions included)
+    const byCoin = Object.entries(basisByCoin).map(([coinId, basis]) => ({
+      coin_id: coinId,
+      coin_symbol: transactions.find(tx => tx.coin_id === coinId).coin_symbol,
+      open_amount: basis.amount,
+      realized_gain_loss: basis.realized_gain_loss
+    }));
+    
+    const allDisposals = Object.values(basisByCoin).flatMap(basis => basis.disposals);
+    
+    res.json({
+      period,
+      cost_basis_method: method,
+      total_realized_gain_loss: byCoin.reduce((sum, coin) => sum + coin.realized_gain_loss, 0),
+      by_coin: byCoin,
+      breakdown: costBasis.groupRealizedByPeriod(allDisposals, period),
+      currency: 'USD'
+    });
+    
+  } catch (error) {
+    console.error('  Get P&L error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 32: Get portfolio value history for a chart range (1D, 7D, 30D, 1Y, ALL)
+router.get('/api/portfolio/history', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const range = portfolioHistory.normalizeRange(req.query.range || '7D');
+    
+    if (!range) {
+      return res.status(400).json({ error: `Range must be one of: ${portfolioHistory.RANGES.join(', ')}` });
+    }
+    
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    const history = await portfolioHistory.getPortfolioHistory(userId, range);
+    
+    // Snapshots are stored in USD and converted at today's rate
+    const convert = await fxRates.getConverter(currency);
+    
+    res.json({
+      ...history,
+      points: history.points.map(point => ({ ...point, value: convert(point.value) })),
+      start_value: convert(history.start_value),
+      end_value: convert(history.end_value),
+      change_value: convert(history.change_value),
+      net_flows: convert(history.net_flows),
+      currency
+    });
+    
+  } catch (error) {
+    console.error('  Portfolio history error:', error);
+    
+    if (error.message.includes('exchange rate')) {
+      return res.status(503).json({ error: 'Exchange rate unavailable for this currency' });
+    }
+    
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 19: Edit a holding's amount or purchase price
+router.put('/api/portfolio/:coinId', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const coinId = req.params.coinId;
+    const { amount, purchase_price } = req.body;
+    
+    if (!dexpaprikaService.isValidCoinId(coinId)) {
+      return res.status(400).json({ error: 'Invalid coin ID' });
+    }
+    
+    // Validate input (at least one field must be provided)
+    if (amount === undefined && purchase_price === undefined) {
+      return res.status(400).json({ error: 'Amount or purchase price is required' });
+    }
+    
+    const updates = {};
+    
+    if (amount !== undefined) {
+      updates.amount = parseFloat(amount);
+      if (isNaN(updates.amount) || updates.amount <= 0) {
+        return res.status(400).json({ error: 'Amount must be a positive number' });
+      }
+    }
+    
+    if (purchase_price !== undefined) {
+      updates.purchase_price = parseFloat(purchase_price);
+      if (isNaN(updates.purchase_price) || updates.purchase_price <= 0) {
+        return res.status(400).json({ error: 'Purchase price must be a positive number' });
+      }
+    }
+    
+    const existing = await db.getPortfolioHolding(userId, coinId);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Coin not found in portfolio' });
+    }
+    
+    // Record the edit in the ledger too - cost basis and P&L are replayed from it
+    const adjustments = await buildLedgerAdjustments(userId, existing, {
+      amount: updates.amount ?? parseFloat(existing.amount),
+      purchase_price: updates.purchase_price
+    });
+    for (const adjustment of adjustments) {
+      await db.addTransaction(userId, adjustment);
+    }
+    
+    await db.updatePortfolioHolding(userId, coinId, updates);
+    
+    const holding = await db.getPortfolioHolding(userId, coinId);
+    
+    res.json({
+      message: 'Holding updated successfully',
+      holding
+    });
+    
+  } catch (error) {
+    console.error('  Update holding error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 20: Sell part (or all) of a holding
+router.post('/api/portfolio/:coinId/sell', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const coinId = req.params.coinId;
+    const { amount, price_per_unit } = req.body;
+
+    if (!dexpaprikaService.isValidCoinId(coinId)) {
+      return res.status(400).json({ error: 'Invalid coin ID' });
+    }
+
+    const holding = await db.getPortfolioHolding(userId, coinId);
+    
+    if (!holding) {
+      return res.status(404).json({ error: 'Coin not found in portfolio' });
+    }
+    
+    // Validate amount (cannot sell more than is held)
+    const amountNum = parseFloat(amount);
+    const heldAmount = parseFloat(holding.amount);
+    
+    if (isNaN(amountNum) || amountNum <= 0) {
+      return res.status(400).json({ error: 'Sell amount must be a positive number' });
+    }
+    
+    if (amountNum > heldAmount) {
+      return res.status(400).json({ error: `Cannot sell more than the ${heldAmount} ${holding.coin_symbol} held` });
+    }
+    
+    // Use the given sale price, or the current market price if none was given
+    let priceNum;
+    if (price_per_unit !== undefined && price_per_unit !== '') {
+      priceNum = parseFloat(price_per_unit);
+      if (isNaN(priceNum) || priceNum <= 0) {
+        return res.status(400).json({ error: 'Sale price must be a positive number' });
+      }
+    } else {
+      priceNum = await dexpaprikaService.getCoinCurrentPrice(coinId);
+    }
+    
+    // Record the sale in the transaction ledger
+    const transaction = await db.addTransaction(userId, {
+      coin_id: coinId,
+      coin_symbol: holding.coin_symbol,
+      transaction_type: 'sell',
+      amount: amountNum,
+      price_per_unit: priceNum,
+      total_value: amountNum * priceNum
+    });
+    
+    // Close the position when everything is sold, otherwise shrink it
+    const remaining = heldAmount - amountNum;
+    if (remaining <= 1e-8) {
+      await db.removeFromPortfolio(userId, coinId);
+    } else {
+      await db.updatePortfolioHolding(userId, coinId, { amount: remaining });
+    }
+    
+    res.json({
+      message: remaining <= 1e-8 ? 'Position closed successfully' : 'Partial sell recorded successfully',
+      transaction,
+      remaining_amount: remaining <= 1e-8 ? 0 : remaining
+    });
+    
+  } catch (error) {
+    console.error('  Sell holding error:', error);
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Coin price unavailable, please enter a sale price' });
+    }
+    
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ======================================
 // SEARCH & TRENDING ROUTES (PROTECTED)
 // ======================================
@@ -427,8 +926,21 @@ router.get('/api/search', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Search query must be at least 2 characters' });
     }
     
-    // Search coins using DexPaprika API
-    const searchResults = await dexpaprikaService.searchCoins(searchQuery);
+    // A pasted "network:contractAddress" is looked up on-chain
+    const token = onchain.parseOnchainId(searchQuery.trim());
+    if (token) {
+      const found = await onchain.getToken(token.network, token.address).catch(() => null);
+      
+      return res.json({
+        query: searchQuery,
+        results: found
+          ? [{ id: found.id, symbol: found.symbol, name: found.name, rank: 0, type: 'token', network: found.network }]
+          : []
+      });
+    }
+    
+    // Search the local coin catalog (fuzzy, ranked by match and market-cap rank)
+    const searchResults = await coinCatalog.searchCoins(searchQuery);
     
     res.json({
       query: searchQuery,
@@ -442,35 +954,81 @@ router.get('/api/search', authenticateToken, async (req, res) => {
 });
 
 // Route 9: Get trending coins
-router.get('/api/trending', authenticateToken, async (req, res) => {
+router.get('/api/trending', authenticateToken, sanitizeInput, async (req, res) => {
   try {
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
     // Get trending data from DexPaprika API
     const trendingData = await dexpaprikaService.getTrendingCoins();
     
+    // Convert USD quotes to the requested currency
+    const convert = await fxRates.getConverter(currency);
+    const convertCoins = (coins = []) => coins.map(coin => ({
+      ...coin,
+      price: convert(coin.price),
+      market_cap: convert(coin.market_cap)
+    }));
+    
     res.json({
-      popular: trendingData.popular || [],
-      top_gainers: trendingData.top_gainers || [],
-      top_losers: trendingData.top_losers || [],
-      recently_added: trendingData.recently_added || [] // Additional category
+      popular: convertCoins(trendingData.popular),
+      top_gainers: convertCoins(trendingData.top_gainers),
+      top_losers: convertCoins(trendingData.top_losers),
+      recently_added: convertCoins(trendingData.recently_added), // Additional category
+      currency
     });
     
   } catch (error) {
     console.error(' Trending error:', error);
+    
+    if (error.message.includes('exchange rate')) {
+      return res.status(503).json({ error: 'Exchange rate unavailable for this currency' });
+    }
+    
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Route 10: Get coin details
-router.get('/api/coin/:coinId', authenticateToken, async (req, res) => {
+router.get('/api/coin/:coinId', authenticateToken, sanitizeInput, async (req, res) => {
   try {
     const coinId = req.params.coinId;
     const timeFrame = req.query.timeframe || '7d'; // Default to 7 days
     
+    if (!dexpaprikaService.isValidTimeframe(timeFrame)) {
+      return res.status(400).json({ error: 'Invalid timeframe' });
+    }
+    
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
     // Get coin details from DexPaprika API
     const coinDetails = await dexpaprikaService.getCoinDetails(coinId, timeFrame);
     
+    // Convert USD metrics and chart to the requested currency
+    const convert = await fxRates.getConverter(currency);
+    const metrics = coinDetails.metrics;
+    
     res.json({
-      coin: coinDetails
+      coin: {
+        ...coinDetails,
+        metrics: {
+          ...metrics,
+          price: convert(metrics.price),
+          volume_24h: convert(metrics.volume_24h),
+          market_cap: convert(metrics.market_cap),
+          ath_price: convert(metrics.ath_price),
+          liquidity_usd: convert(metrics.liquidity_usd)
+        },
+        chart_data: convertCandles(coinDetails.chart_data, convert),
+        // On-chain tokens also list the pools they trade in
+        ...(coinDetails.pools && { pools: coinDetails.pools.map(pool => convertPool(pool, convert)) })
+      },
+      currency
     });
     
   } catch (error) {
@@ -480,61 +1038,309 @@ router.get('/api/coin/:coinId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Coin not found' });
     }
     
+    if (error.message.includes('exchange rate')) {
+      return res.status(503).json({ error: 'Exchange rate unavailable for this currency' });
+    }
+    
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// ======================================
-// SETTINGS ROUTES (PROTECTED)
-// ======================================
-
-// Route 11: Get user settings
-router.get('/api/settings', authenticateToken, async (req, res) => {
+// Route 36: Global market overview (market cap, volume, BTC dominance) with daily history
+router.get('/api/market/global', authenticateToken, sanitizeInput, async (req, res) => {
   try {
-    // In a full implementation, we would get settings from database
-    // For now, return default settings
+    const days = parseInt(req.query.days, 10) || marketOverview.DEFAULT_HISTORY_DAYS;
+    
+    if (days < 1 || days > marketOverview.MAX_HISTORY_DAYS) {
+      return res.status(400).json({ error: `Days must be between 1 and ${marketOverview.MAX_HISTORY_DAYS}` });
+    }
+    
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    const overview = await marketOverview.getMarketOverview(days);
+    
+    // Convert USD totals to the requested currency (dominance and changes are percentages)
+    const convert = await fxRates.getConverter(currency);
     
     res.json({
-      settings: {
-        theme: 'light', // Will be fetched from database
-        currency: 'USD',
-        notifications: true
-      }
+      ...overview,
+      total_market_cap: convert(overview.total_market_cap),
+      total_volume_24h: convert(overview.total_volume_24h),
+      history: overview.history.map(snapshot => ({
+        ...snapshot,
+        total_market_cap: convert(snapshot.total_market_cap),
+        total_volume_24h: convert(snapshot.total_volume_24h)
+      })),
+      currency
     });
     
   } catch (error) {
-    console.error(' Get settings error:', error);
+    console.error('  Global market error:', error);
+    
+    if (error.message.includes('exchange rate')) {
+      return res.status(503).json({ error: 'Exchange rate unavailable for this currency' });
+    }
+    
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Route 12: Update user settings
-router.put('/api/settings', authenticateToken, sanitizeInput, async (req, res) => {
+// Route 43: Get a coin's price on a past date (prefills the purchase price when adding a holding)
+router.get('/api/coin/:coinId/price-at', authenticateToken, sanitizeInput, async (req, res) => {
   try {
-    const { theme, currency, notifications } = req.body;
+    const coinId = req.params.coinId;
+    
+    if (!dexpaprikaService.isValidCoinId(coinId)) {
+      return res.status(400).json({ error: 'Invalid coin ID' });
+    }
+    
+    if (!req.query.date) {
+      return res.status(400).json({ error: 'Date is required' });
+    }
     
-    // Validate theme
-    if (theme && !['light', 'dark'].includes(theme)) {
-      return res.status(400).json({ error: 'Theme must be "light" or "dark"' });
+    const date = parsePastDate(req.query.date);
+    if (!date) {
+      return res.status(400).json({ error: 'Date must be a valid date in the past' });
     }
     
-    // In a full implementation, we would update settings in database
-    // For now, return success message
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    const historical = await dexpaprikaService.getHistoricalPrice(coinId, date);
+    const convert = await fxRates.getConverter(currency);
     
     res.json({
-      message: 'Settings updated successfully',
-      settings: {
-        theme: theme || 'light',
-        currency: currency || 'USD',
-        notifications: notifications !== undefined ? notifications : true
-      }
+      coin_id: coinId,
+      date: date.toISOString(),
+      price: convert(historical.price),
+      price_usd: historical.price,
+      price_time: historical.timestamp, // When the price was actually recorded (at or just after date)
+      currency
     });
     
   } catch (error) {
-    console.error(' Update settings error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+    console.error('  Historical price error:', error);
+    
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    if (error.message.includes('exchange rate')) {
+      return res.status(503).json({ error: 'Exchange rate unavailable for this currency' });
+    }
+    
+    if (error.unavailable) {
+      return res.status(503).json({ error: 'Price history is temporarily unavailable' });
+    }
+    
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 44: Get the exchange pairs a coin trades on (?limit= up to 100, largest volume share first)
+router.get('/api/coin/:coinId/markets', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const coinId = req.params.coinId;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    
+    if (!dexpaprikaService.isValidCoinId(coinId)) {
+      return res.status(400).json({ error: 'Invalid coin ID' });
+    }
+    
+    if (limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Limit must be between 1 and 100' });
+    }
+    
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    const [markets, convert] = await Promise.all([
+      dexpaprikaService.getCoinMarkets(coinId),
+      fxRates.getConverter(currency)
+    ]);
+    
+    res.json({
+      coin_id: coinId,
+      markets: markets.slice(0, limit).map(market => ({
+        ...market,
+        price: convert(market.price),
+        volume_24h: convert(market.volume_24h)
+      })),
+      total: markets.length,
+      currency
+    });
+    
+  } catch (error) {
+    console.error('  Coin markets error:', error);
+    
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Coin not found' });
+    }
+    
+    if (error.message.includes('exchange rate')) {
+      return res.status(503).json({ error: 'Exchange rate unavailable for this currency' });
+    }
+    
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 45: Exchange directory, best ranked first (?page=, ?limit= up to 100)
+router.get('/api/exchanges', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 0;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    
+    if (page < 0 || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Page must be 0 or more and limit between 1 and 100' });
+    }
+    
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    const [exchanges, convert] = await Promise.all([
+      dexpaprikaService.getExchanges(),
+      fxRates.getConverter(currency)
+    ]);
+    
+    res.json({
+      exchanges: exchanges.slice(page * limit, (page + 1) * limit).map(exchange => ({
+        ...exchange,
+        volume_24h: convert(exchange.volume_24h),
+        reported_volume_24h: convert(exchange.reported_volume_24h)
+      })),
+      page_info: {
+        page,
+        limit,
+        total_items: exchanges.length,
+        total_pages: Math.ceil(exchanges.length / limit)
+      },
+      currency
+    });
+    
+  } catch (error) {
+    console.error('  Exchange directory error:', error);
+    
+    if (error.message.includes('exchange rate')) {
+      return res.status(503).json({ error: 'Exchange rate unavailable for this currency' });
+    }
+    
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 46: Get a tag (e.g. "defi") and the coins carrying it (?limit= up to 200)
+router.get('/api/tags/:tagId/coins', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const tagId = req.params.tagId;
+    const limit = parseInt(req.query.limit, 10) || 100;
+    
+    if (!/^[a-z0-9-]+$/.test(tagId)) {
+      return res.status(400).json({ error: 'Invalid tag ID' });
+    }
+    
+    if (limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'Limit must be between 1 and 200' });
+    }
+    
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    const [result, convert] = await Promise.all([
+      dexpaprikaService.getCoinsByTag(tagId),
+      fxRates.getConverter(currency)
+    ]);
+    
+    res.json({
+      tag: result.tag,
+      coins: result.coins.slice(0, limit).map(coin => ({
+        ...coin,
+        price: convert(coin.price),
+        volume_24h: convert(coin.volume_24h),
+        market_cap: convert(coin.market_cap)
+      })),
+      total: result.coins.length,
+      currency
+    });
+    
+  } catch (error) {
+    console.error('  Tag coins error:', error);
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    
+    if (error.message.includes('exchange rate')) {
+      return res.status(503).json({ error: 'Exchange rate unavailable for this currency' });
+    }
+    
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ======================================
+// SETTINGS ROUTES (PROTECTED)
+// ======================================
+
+// Route 11: Get user settings
+router.get('/api/settings', authenticateToken, async (req, res) => {
+  try {
+    const storedSettings = await db.getUserSettings(req.user.id);
+    
+    res.json({
+      settings: userSettings.withDefaults(storedSettings || {}),
+      options: userSettings.OPTIONS
+    });
+    
+  } catch (error) {
+    console.error(' Get settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 12: Update user settings (partial updates allowed)
+router.put('/api/settings', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const { error, updates } = userSettings.validateSettingsUpdate(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    await db.updateUserSettings(req.user.id, updates);
+    
+    // Return the full, saved settings
+    const storedSettings = await db.getUserSettings(req.user.id);
+    
+    res.json({
+      message: 'Settings updated successfully',
+      settings: userSettings.withDefaults(storedSettings || {})
+    });
+    
+  } catch (error) {
+    console.error(' Update settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 // ======================================
 // HEALTH CHECK ROUTE (PUBLIC)
@@ -549,6 +1355,726 @@ router.get('/api/health', (req, res) => {
   });
 });
 
+// Route 33: Market-data cache statistics (hits, misses, size) for monitoring
+router.get('/api/health/cache', (req, res) => {
+  res.json({
+    cache: apiCache.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Route 34: Upstream market-data API status (request budget, queue, retries) for monitoring
+router.get('/api/health/upstream', (req, res) => {
+  res.json({
+    upstream: dexpaprikaService.getUpstreamStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Route 37: Local coin catalog status (size, last sync) for monitoring
+router.get('/api/health/catalog', (req, res) => {
+  res.json({
+    catalog: coinCatalog.getCatalogStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ======================================
+// TRANSACTION ROUTES (PROTECTED)
+// ======================================
+
+// Route 14: Get user's transaction ledger
+router.get('/api/transactions', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const coinId = req.query.coin_id || null;
+    
+    const transactions = await db.getUserTransactions(userId, coinId);
+    
+    res.json({
+      transactions,
+      count: transactions.length
+    });
+    
+  } catch (error) {
+    console.error('  Get transactions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 15: Record a buy or sell transaction (applied to the holding too)
+// coin_name is optional and only used when a buy opens a new holding
+router.post('/api/transactions', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { coin_id, coin_symbol, coin_name, transaction_type, amount, price_per_unit, transaction_date } = req.body;
+    
+    // Validate input
+    if (!coin_id || !coin_symbol || !transaction_type || !amount || !price_per_unit) {
+      return res.status(400).json({ error: 'All transaction details are required' });
+    }
+
+    if (typeof coin_id !== 'string' || typeof coin_symbol !== 'string' ||
+        (coin_name !== undefined && typeof coin_name !== 'string')) {
+      return res.status(400).json({ error: 'Coin ID, symbol and name must be text' });
+    }
+
+    if (!['buy', 'sell'].includes(transaction_type)) {
+      return res.status(400).json({ error: 'Transaction type must be "buy" or "sell"' });
+    }
+    
+    // Validate numeric values
+    const amountNum = parseFloat(amount);
+    const priceNum = parseFloat(price_per_unit);
+    
+    if (isNaN(amountNum) || isNaN(priceNum) || amountNum <= 0 || priceNum <= 0) {
+      return res.status(400).json({ error: 'Valid amount and price per unit are required' });
+    }
+    
+    // Validate date (optional, defaults to now, cannot be in the future)
+    let transactionDate = new Date();
+    if (transaction_date) {
+      transactionDate = new Date(transaction_date);
+      if (isNaN(transactionDate.getTime()) || transactionDate > new Date()) {
+        return res.status(400).json({ error: 'Transaction date must be a valid date in the past' });
+      }
+    }
+    
+    // The ledger row and the holding change are written together
+    const transaction = await db.recordTrade(userId, {
+      coin_id,
+      coin_symbol: coin_symbol.toUpperCase(),
+      transaction_type,
+      amount: amountNum,
+      price_per_unit: priceNum,
+      total_value: amountNum * priceNum,
+      transaction_date: transactionDate
+    }, coin_name || null);
+    
+    res.status(201).json({
+      message: 'Transaction recorded successfully',
+      transaction
+    });
+    
+  } catch (error) {
+    console.error('  Add transaction error:', error);
+    
+    if (error.code === 'INSUFFICIENT_HOLDING') {
+      return res.status(400).json({ error: 'Cannot sell more than the amount held' });
+    }
+    
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 16: Delete a transaction (and undo it on the holding)
+router.delete('/api/transactions/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const transactionId = parseInt(req.params.id, 10);
+    
+    if (isNaN(transactionId) || transactionId <= 0) {
+      return res.status(400).json({ error: 'Invalid transaction ID' });
+    }
+    
+    const deleted = await db.deleteTransaction(userId, transactionId);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    
+    res.json({
+      message: 'Transaction deleted successfully',
+      id: transactionId
+    });
+    
+  } catch (error) {
+    console.error('  Delete transaction error:', error);
+    
+    // The units this buy added have been sold since - removing it would leave a negative holding
+    if (error.code === 'INSUFFICIENT_HOLDING') {
+      return res.status(409).json({ error: 'Units from this buy have been sold since, delete the later sells first' });
+    }
+    
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ======================================
+// REPORT ROUTES (PROTECTED)
+// ======================================
+
+// Route 18: Capital-gains tax lot report for a year (JSON or CSV)
+router.get('/api/reports/tax', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const year = parseInt(req.query.year, 10);
+    const format = req.query.format || 'json';
+    
+    // Validate year (no crypto disposals before 2009)
+    const currentYear = new Date().getUTCFullYear();
+    if (!/^\d{4}$/.test(req.query.year || '') || year < 2009 || year > currentYear) {
+      return res.status(400).json({ error: `Year must be between 2009 and ${currentYear}` });
+    }
+    
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be "json" or "csv"' });
+    }
+    
+    const [transactions, method] = await Promise.all([
+      db.getUserTransactions(userId),
+      db.getCostBasisMethod(userId)
+    ]);
+    
+    const report = taxReport.buildTaxReport(transactions, method, year);
+    
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="capital-gains-${year}.csv"`);
+      return res.send(taxReport.formatTaxReportCSV(report));
+    }
+    
+    res.json({ report });
+    
+  } catch (error) {
+    console.error('  Tax report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ======================================
+// WATCHLIST ROUTES (PROTECTED)
+// ======================================
+
+// Route 21: Get user's watchlist with live prices
+router.get('/api/watchlist', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    const watchlist = await db.getUserWatchlist(userId);
+    
+    // Attach live price and 24h change
+    let quotes = {};
+    if (watchlist.length > 0) {
+      quotes = await dexpaprikaService.getCurrentQuotes(watchlist.map(item => item.coin_id));
+    }
+    
+    const convert = await fxRates.getConverter(currency);
+    
+    res.json({
+      watchlist: priceWatchlist(watchlist, quotes, convert),
+      currency
+    });
+    
+  } catch (error) {
+    console.error('  Get watchlist error:', error);
+    
+    if (error.message.includes('exchange rate')) {
+      return res.status(503).json({ error: 'Exchange rate unavailable for this currency' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 22: Add coin to watchlist
+router.post('/api/watchlist', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { coin_id, coin_symbol, coin_name } = req.body;
+    
+    // Validate input
+    if (!coin_id || !coin_symbol || !coin_name) {
+      return res.status(400).json({ error: 'All coin details are required' });
+    }
+    
+    if (typeof coin_id !== 'string' || typeof coin_symbol !== 'string' || typeof coin_name !== 'string') {
+      return res.status(400).json({ error: 'Coin ID, symbol and name must be text' });
+    }
+    
+    const coinData = {
+      coin_id,
+      coin_symbol: coin_symbol.toUpperCase(),
+      coin_name
+    };
+    
+    await db.addToWatchlist(userId, coinData);
+    
+    res.status(201).json({
+      message: 'Coin added to watchlist',
+      coin: coinData
+    });
+    
+  } catch (error) {
+    console.error('  Add to watchlist error:', error);
+    
+    // Handle duplicate (coin already watched)
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Coin already in watchlist' });
+    }
+    
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 23: Remove coin from watchlist
+router.delete('/api/watchlist/:coinId', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const coinId = req.params.coinId;
+    
+    const removed = await db.removeFromWatchlist(userId, coinId);
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Coin not found in watchlist' });
+    }
+    
+    res.json({
+      message: 'Coin removed from watchlist',
+      coin_id: coinId
+    });
+    
+  } catch (error) {
+    console.error('  Remove from watchlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ======================================
+// EXCHANGE RATE ROUTES (PROTECTED)
+// ======================================
+
+// Route 24: Get current exchange rates (units per 1 USD)
+router.get('/api/fx/rates', authenticateToken, async (req, res) => {
+  try {
+    const rates = await fxRates.getRates();
+    
+    res.json({
+      ...rates,
+      supported_currencies: fxRates.SUPPORTED_CURRENCIES
+    });
+    
+  } catch (error) {
+    console.error('  FX rates error:', error);
+    res.status(503).json({ error: 'Exchange rates unavailable' });
+  }
+});
+
+// Route 25: Get stored rate history for one currency
+router.get('/api/fx/history', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const currency = (req.query.currency || '').toUpperCase();
+    const days = parseInt(req.query.days, 10) || 30;
+    
+    if (!fxRates.isSupportedCurrency(currency) || currency === fxRates.BASE_CURRENCY) {
+      return res.status(400).json({ error: 'A supported non-USD currency is required' });
+    }
+    
+    if (days < 1 || days > 365) {
+      return res.status(400).json({ error: 'Days must be between 1 and 365' });
+    }
+    
+    const history = await db.getFxRateHistory(fxRates.BASE_CURRENCY, currency, days);
+    
+    res.json({
+      base: fxRates.BASE_CURRENCY,
+      currency,
+      history
+    });
+    
+  } catch (error) {
+    console.error('  FX history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ======================================
+// PRICE ALERT ROUTES (PROTECTED)
+// ======================================
+
+// Route 26: Get user's alerts
+router.get('/api/alerts', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    const userAlerts = await db.getUserAlerts(userId);
+    
+    res.json({
+      alerts: userAlerts,
+      alert_types: alerts.ALERT_TYPES
+    });
+    
+  } catch (error) {
+    console.error('  Get alerts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 27: Create an alert
+router.post('/api/alerts', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    const { error, alert } = alerts.validateAlert(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    // Note which side of the threshold the value is on now, so an alert that already holds waits for a crossing
+    alert.condition_met = await alerts.observeCondition(userId, alert);
+    
+    const created = await db.createAlert(userId, alert);
+    
+    res.status(201).json({
+      message: 'Alert created successfully',
+      alert: created
+    });
+    
+  } catch (error) {
+    console.error('  Create alert error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 28: Get fired alerts (?unseen=true for only those not yet shown)
+router.get('/api/alerts/events', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const unseenOnly = req.query.unseen === 'true';
+    
+    const events = await db.getAlertEvents(userId, unseenOnly);
+    
+    res.json({ events });
+    
+  } catch (error) {
+    console.error('  Get alert events error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 29: Mark fired alerts as seen
+router.post('/api/alerts/events/seen', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { ids } = req.body;
+    
+    if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({ error: 'ids must be an array of event IDs' });
+    }
+    
+    const updated = await db.markAlertEventsSeen(userId, ids);
+    
+    res.json({
+      message: 'Alerts marked as seen',
+      updated
+    });
+    
+  } catch (error) {
+    console.error('  Mark alert events error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 30: Update an alert's threshold or switch it on/off
+router.put('/api/alerts/:id', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const alertId = parseInt(req.params.id, 10);
+    const { threshold, is_active } = req.body;
+    
+    if (isNaN(alertId) || alertId <= 0) {
+      return res.status(400).json({ error: 'Invalid alert ID' });
+    }
+    
+    if (threshold === undefined && is_active === undefined) {
+      return res.status(400).json({ error: 'Provide a threshold or is_active' });
+    }
+    
+    if (threshold !== undefined && (isNaN(parseFloat(threshold)) || parseFloat(threshold) <= 0)) {
+      return res.status(400).json({ error: 'Threshold must be a positive number' });
+    }
+    
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+      return res.status(400).json({ error: 'is_active must be true or false' });
+    }
+    
+    const updated = await db.updateAlert(userId, alertId, {
+      threshold: threshold !== undefined ? parseFloat(threshold) : undefined,
+      is_active
+    });
+    
+    if (!updated) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    
+    res.json({
+      message: 'Alert updated successfully',
+      id: alertId
+    });
+    
+  } catch (error) {
+    console.error('  Update alert error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Route 31: Delete an alert
+router.delete('/api/alerts/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const alertId = parseInt(req.params.id, 10);
+    
+    if (isNaN(alertId) || alertId <= 0) {
+      return res.status(400).json({ error: 'Invalid alert ID' });
+    }
+    
+    const deleted = await db.deleteAlert(userId, alertId);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    
+    res.json({
+      message: 'Alert deleted successfully',
+      id: alertId
+    });
+    
+  } catch (error) {
+    console.error('  Delete alert error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ======================================
+// LIVE PRICE STREAM (PROTECTED)
+// ======================================
+
+// Route 35: Stream live prices for the user's holdings and watchlist (Server-Sent Events)
+// Each "prices" event carries the same portfolio, summary and watchlist as Routes 5 and 21,
+// recomputed on the server whenever prices change
+router.get('/api/stream/prices', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    // Fail before the stream opens if the currency can't be quoted
+    const convert = await fxRates.getConverter(currency);
+    
+    if (!priceStream.canSubscribe(userId)) {
+      return res.status(429).json({ error: 'Too many open price streams' });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Don't let reverse proxies buffer events
+    });
+    res.flushHeaders();
+    
+    const client = priceStream.subscribe({
+      userId,
+      res,
+      // Reloaded on every update, so coins added while the stream is open are picked up
+      load: async () => {
+        const [portfolio, watchlist] = await Promise.all([
+          db.getUserPortfolio(userId),
+          db.getUserWatchlist(userId)
+        ]);
+        
+        return {
+          coinIds: [...portfolio, ...watchlist].map(item => item.coin_id),
+          build: async (quotes) => {
+            const prices = {};
+            Object.keys(quotes).forEach(coinId => {
+              prices[coinId] = quotes[coinId].price;
+            });
+            
+            return {
+              ...await buildPortfolioView(userId, portfolio, prices, currency),
+              watchlist: priceWatchlist(watchlist, quotes, convert),
+              currency
+            };
+          }
+        };
+      }
+    });
+    
+    req.on('close', () => {
+      priceStream.unsubscribe(client);
+    });
+    
+  } catch (error) {
+    console.error('  Price stream error:', error);
+    
+    if (res.headersSent) {
+      return res.end();
+    }
+    if (error.message.includes('exchange rate')) {
+      return res.status(503).json({ error: 'Exchange rate unavailable for this currency' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ======================================
+// ON-CHAIN DEX ROUTES (PROTECTED)
+// ======================================
+
+// Route 38: Get the networks DexPaprika covers
+router.get('/api/dex/networks', authenticateToken, async (req, res) => {
+  try {
+    const networks = await onchain.getNetworks();
+    
+    res.json({
+      networks
+    });
+    
+  } catch (error) {
+    console.error('  DEX networks error:', error);
+    sendOnchainError(res, error);
+  }
+});
+
+// Route 39: Search tokens on every network
+router.get('/api/dex/search', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const searchQuery = req.query.q;
+    
+    if (!searchQuery || searchQuery.trim().length < 2) {
+      return res.status(400).json({ error: 'Search query must be at least 2 characters' });
+    }
+    
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    const [tokens, convert] = await Promise.all([
+      onchain.searchTokens(searchQuery),
+      fxRates.getConverter(currency)
+    ]);
+    
+    res.json({
+      query: searchQuery,
+      results: tokens.map(token => ({ ...token, price: convert(token.price) })),
+      currency
+    });
+    
+  } catch (error) {
+    console.error('  DEX search error:', error);
+    sendOnchainError(res, error);
+  }
+});
+
+// Route 40: Get a token by contract address, with the pools it trades in
+router.get('/api/dex/networks/:network/tokens/:address', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const { network, address } = req.params;
+    
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    const [token, { pools }, convert] = await Promise.all([
+      onchain.getToken(network, address),
+      onchain.getTokenPools(network, address),
+      fxRates.getConverter(currency)
+    ]);
+    
+    res.json({
+      token: {
+        ...token,
+        price: convert(token.price),
+        volume_24h: convert(token.volume_24h),
+        market_cap: convert(token.market_cap),
+        liquidity_usd: convert(token.liquidity_usd)
+      },
+      pools: pools.map(pool => convertPool(pool, convert)),
+      currency
+    });
+    
+  } catch (error) {
+    console.error('  DEX token error:', error);
+    sendOnchainError(res, error);
+  }
+});
+
+// Route 41: Get a network's most traded pools (?page=, ?limit= up to 100)
+router.get('/api/dex/networks/:network/pools', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 0;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    
+    if (page < 0 || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Page must be 0 or more and limit between 1 and 100' });
+    }
+    
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    const [result, convert] = await Promise.all([
+      onchain.getNetworkPools(req.params.network, { page, limit }),
+      fxRates.getConverter(currency)
+    ]);
+    
+    res.json({
+      pools: result.pools.map(pool => convertPool(pool, convert)),
+      page_info: result.page_info,
+      currency
+    });
+    
+  } catch (error) {
+    console.error('  DEX pools error:', error);
+    sendOnchainError(res, error);
+  }
+});
+
+// Route 42: Get a pool's chart candles (?timeframe= like coin details, ?inversed=true prices the second token)
+router.get('/api/dex/networks/:network/pools/:address/ohlcv', authenticateToken, sanitizeInput, async (req, res) => {
+  try {
+    const { network, address } = req.params;
+    const timeFrame = req.query.timeframe || '7d';
+    
+    if (!dexpaprikaService.isValidTimeframe(timeFrame)) {
+      return res.status(400).json({ error: 'Invalid timeframe' });
+    }
+    
+    const currency = await resolveCurrency(req);
+    if (!currency) {
+      return res.status(400).json({ error: 'Unsupported currency' });
+    }
+    
+    const [pool, candles, convert] = await Promise.all([
+      onchain.getPool(network, address),
+      onchain.getPoolOHLCV(network, address, timeFrame, req.query.inversed === 'true'),
+      fxRates.getConverter(currency)
+    ]);
+    
+    res.json({
+      pool: convertPool(pool, convert),
+      timeframe: timeFrame,
+      chart_data: convertCandles(candles, convert),
+      currency
+    });
+    
+  } catch (error) {
+    console.error('  DEX pool OHLCV error:', error);
+    sendOnchainError(res, error);
+  }
+});
+
 // ======================================
 // ERROR HANDLING MIDDLEWARE
 // ======================================
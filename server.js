@@ -13,6 +13,12 @@ require('dotenv').config();
 // Our custom modules
 const db = require('./db');
 const routes = require('./routes');
+const alerts = require('./services/alerts');
+const portfolioHistory = require('./services/portfolioHistory');
+const apiCache = require('./services/apiCache');
+const priceStream = require('./services/priceStream');
+const marketOverview = require('./services/marketOverview');
+const coinCatalog = require('./services/coinCatalog');
 
 // ======================================
 // STEP 2: CONFIGURATION AND SETUP
@@ -137,6 +143,10 @@ async function initializeServer() {
     await db.initializeDatabase();
     console.log('  Database connected successfully');
     
+    // Load recent market data saved before the last shutdown
+    const warmed = await apiCache.warm();
+    console.log(`  Market data cache warmed with ${warmed} entries`);
+    
     // Start the server
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -145,6 +155,18 @@ async function initializeServer() {
       console.log(`🔒 Environment: ${process.env.NODE_ENV || 'development'}`);
     });
     
+    // Start evaluating price alerts in the background
+    alerts.startAlertWorker();
+    
+    // Start recording portfolio value history
+    portfolioHistory.startSnapshotJob();
+    
+    // Start recording daily global market totals
+    marketOverview.startMarketSnapshotJob();
+    
+    // Load the local coin catalog and keep it synced
+    coinCatalog.startCatalogSync();
+    
   } catch (error) {
     console.error('  Failed to initialize server:', error);
     process.exit(1);
@@ -178,7 +200,8 @@ app.get('/', (req, res) => {
 });
 
 // Catch-all route for frontend routing (for single-page application)
-app.get('*', (req, res) => {
+// Express 5 needs a named wildcard - a bare '*' throws when the route is registered
+app.get('/{*path}', (req, res) => {
   // If the request is for an API route, return 404
   if (req.path.startsWith('/api')) {
     return res.status(404).json({ error: 'API endpoint not found' });
@@ -193,7 +216,7 @@ app.get('*', (req, res) => {
 // ======================================
 
 // 404 handler for unmatched API routes
-app.use('/api/*', (req, res) => {
+app.use('/api/{*path}', (req, res) => {
   res.status(404).json({
     error: 'API endpoint not found',
     path: req.originalUrl
@@ -240,6 +263,11 @@ function gracefulShutdown() {
   
   // Perform cleanup tasks here
   // Example: Close database connections, clear temp files, etc.
+  alerts.stopAlertWorker();
+  portfolioHistory.stopSnapshotJob();
+  marketOverview.stopMarketSnapshotJob();
+  coinCatalog.stopCatalogSync();
+  priceStream.closeAllStreams();
   
   console.log(' Cleanup complete');
   process.exit(0);
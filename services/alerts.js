@@ -0,0 +1,285 @@
+// services/alerts.js
+// Price alert validation and background evaluation for the crypto portfolio app
+// Alerts are stored in the price_alerts table; fired alerts go to alert_events (see db.js)
+
+// ======================================
+// STEP 1: IMPORT REQUIRED MODULES
+// ======================================
+
+// Database functions for alerts, holdings and settings
+const db = require('../db');
+
+// DexPaprika service for live quotes
+const dexpaprikaService = require('./dexpaprika');
+
+// Settings defaults (for users who never touched notifications)
+const userSettings = require('./userSettings');
+require('dotenv').config();
+
+// ======================================
+// STEP 2: CONFIGURATION
+// ======================================
+
+// Supported alert types
+// price_above / price_below         - coin price (USD) crosses the threshold
+// percent_change                    - coin moves at least threshold % (up or down) within 24h
+// portfolio_above / portfolio_below - portfolio total (USD) crosses the threshold
+const ALERT_TYPES = ['price_above', 'price_below', 'percent_change', 'portfolio_above', 'portfolio_below'];
+
+const PORTFOLIO_ALERT_TYPES = ['portfolio_above', 'portfolio_below'];
+
+// Which notification switch silences which alert types
+const NOTIFICATION_SWITCH = {
+  price_above: 'price_alerts',
+  price_below: 'price_alerts',
+  percent_change: 'price_alerts',
+  portfolio_above: 'portfolio_alerts',
+  portfolio_below: 'portfolio_alerts'
+};
+
+// How often the background worker checks alerts (0 disables it)
+const CHECK_INTERVAL = parseInt(process.env.ALERT_CHECK_INTERVAL, 10) >= 0
+  ? parseInt(process.env.ALERT_CHECK_INTERVAL, 10)
+  : 60 * 1000; // 1 minute
+
+// ======================================
+// STEP 3: HELPER FUNCTIONS
+// ======================================
+
+// Check whether an alert type is tied to a single coin
+function isCoinAlert(alertType) {
+  return !PORTFOLIO_ALERT_TYPES.includes(alertType);
+}
+
+// Format a USD amount for alert messages
+function formatUSD(value) {
+  return value.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
+
+// Build the message shown to the user when an alert fires
+function buildMessage(alert, value) {
+  const symbol = alert.coin_symbol || alert.coin_id;
+
+  switch (alert.alert_type) {
+    case 'price_above':
+      return `${symbol} rose above ${formatUSD(alert.threshold)} (now ${formatUSD(value)})`;
+    case 'price_below':
+      return `${symbol} fell below ${formatUSD(alert.threshold)} (now ${formatUSD(value)})`;
+    case 'percent_change':
+      return `${symbol} moved ${value >= 0 ? '+' : ''}${value.toFixed(2)}% in 24h (alert at ±${alert.threshold}%)`;
+    case 'portfolio_above':
+      return `Your portfolio rose above ${formatUSD(alert.threshold)} (now ${formatUSD(value)})`;
+    case 'portfolio_below':
+      return `Your portfolio fell below ${formatUSD(alert.threshold)} (now ${formatUSD(value)})`;
+    default:
+      return `Alert ${alert.id} triggered`;
+  }
+}
+
+// Fetch the latest value for each alert: one quote request covers every coin involved
+// Returns a function mapping an alert to its coin price, 24h % change or portfolio total
+async function loadAlertValues(alerts) {
+  // Holdings of every user with a portfolio alert
+  const holdingsByUser = {};
+  for (const alert of alerts) {
+    if (!isCoinAlert(alert.alert_type) && !holdingsByUser[alert.user_id]) {
+      holdingsByUser[alert.user_id] = await db.getUserPortfolio(alert.user_id);
+    }
+  }
+
+  const coinIds = new Set(alerts.filter(alert => alert.coin_id).map(alert => alert.coin_id));
+  Object.values(holdingsByUser).forEach(holdings => {
+    holdings.forEach(holding => coinIds.add(holding.coin_id));
+  });
+
+  const quotes = coinIds.size > 0 ? await dexpaprikaService.getCurrentQuotes([...coinIds]) : {};
+
+  // Portfolio totals at live prices (stored price if a quote is missing)
+  const portfolioTotals = {};
+  for (const [userId, holdings] of Object.entries(holdingsByUser)) {
+    portfolioTotals[userId] = holdings.reduce((sum, holding) => {
+      const price = quotes[holding.coin_id]?.price || parseFloat(holding.current_price) || 0;
+      return sum + parseFloat(holding.amount) * price;
+    }, 0);
+  }
+
+  return (alert) => {
+    if (alert.alert_type === 'percent_change') return quotes[alert.coin_id]?.change_24h;
+    if (isCoinAlert(alert.alert_type)) return quotes[alert.coin_id]?.price;
+    return portfolioTotals[alert.user_id];
+  };
+}
+
+// ======================================
+// STEP 4: CORE FUNCTIONS
+// ======================================
+
+// Function 1: Validate a new alert
+// Returns { error } on the first invalid field, otherwise { alert } ready for db.createAlert
+function validateAlert(input = {}) {
+  const alertType = input.alert_type;
+
+  if (!ALERT_TYPES.includes(alertType)) {
+    return { error: `Alert type must be one of: ${ALERT_TYPES.join(', ')}` };
+  }
+
+  const threshold = parseFloat(input.threshold);
+  if (isNaN(threshold) || threshold <= 0) {
+    return { error: 'Threshold must be a positive number' };
+  }
+
+  if (!isCoinAlert(alertType)) {
+    return { alert: { alert_type: alertType, threshold } };
+  }
+
+  if (!input.coin_id || !input.coin_symbol) {
+    return { error: 'Coin ID and symbol are required for coin alerts' };
+  }
+
+  return {
+    alert: {
+      alert_type: alertType,
+      coin_id: input.coin_id,
+      coin_symbol: String(input.coin_symbol).toUpperCase(),
+      threshold
+    }
+  };
+}
+
+// Function 2: Check whether an alert's condition holds for the latest value
+// value is the coin price, the 24h % change or the portfolio total depending on the type
+function isTriggered(alert, value) {
+  if (value === null || value === undefined || isNaN(value)) return false;
+
+  switch (alert.alert_type) {
+    case 'price_above':
+    case 'portfolio_above':
+      return value >= alert.threshold;
+    case 'price_below':
+    case 'portfolio_below':
+      return value <= alert.threshold;
+    case 'percent_change':
+      return Math.abs(value) >= alert.threshold;
+    default:
+      return false;
+  }
+}
+
+// Function 3: Check whether an alert should fire
+// Alerts fire on crossing: the condition must have been false at the previous check
+// (condition_met is null until the first observation, which only records the side)
+function hasCrossed(alert, value) {
+  return alert.condition_met === false && isTriggered(alert, value);
+}
+
+// Function 4: Observe a new alert's condition so it only fires once the value crosses the threshold
+// Returns null when no value is available - the first background check records it instead
+async function observeCondition(userId, alert) {
+  try {
+    const valueFor = await loadAlertValues([{ ...alert, user_id: userId }]);
+    const value = valueFor({ ...alert, user_id: userId });
+
+    return value === null || value === undefined || isNaN(value) ? null : isTriggered(alert, value);
+  } catch (error) {
+    console.warn('⚠️ Could not observe alert condition:', error.message);
+    return null;
+  }
+}
+
+// Function 5: Evaluate every active alert once
+// Fetches one set of quotes for all coins involved, then records any alert that fired
+async function checkAlerts() {
+  const alerts = await db.getActiveAlerts();
+  if (alerts.length === 0) return [];
+
+  // Load each user's notification switches once
+  const userIds = [...new Set(alerts.map(alert => alert.user_id))];
+  const settingsByUser = {};
+
+  for (const userId of userIds) {
+    settingsByUser[userId] = userSettings.withDefaults(await db.getUserSettings(userId) || {});
+  }
+
+  const valueFor = await loadAlertValues(alerts);
+  const fired = [];
+
+  for (const alert of alerts) {
+    const value = valueFor(alert);
+    if (value === null || value === undefined || isNaN(value)) continue;
+
+    const notifications = settingsByUser[alert.user_id].notifications;
+    const enabled = notifications.enabled && notifications[NOTIFICATION_SWITCH[alert.alert_type]];
+
+    // Otherwise just remember which side of the threshold the value is on
+    // (a crossing while notifications are off is missed, not saved for later)
+    if (!enabled || !hasCrossed(alert, value)) {
+      const conditionMet = isTriggered(alert, value);
+      if (alert.condition_met !== conditionMet) {
+        await db.setAlertCondition(alert.id, conditionMet);
+      }
+      continue;
+    }
+
+    const message = buildMessage(alert, value);
+    await db.recordAlertTrigger(alert, value, message);
+    fired.push({ alert_id: alert.id, user_id: alert.user_id, value, message });
+  }
+
+  if (fired.length > 0) {
+    console.log(`🔔 ${fired.length} alert(s) triggered`);
+  }
+
+  return fired;
+}
+
+// ======================================
+// STEP 5: BACKGROUND WORKER
+// ======================================
+
+const worker = {
+  timer: null,
+  running: false // Skip a tick if the previous check is still going
+};
+
+// Function 6: Start checking alerts on an interval
+function startAlertWorker(interval = CHECK_INTERVAL) {
+  if (worker.timer || interval <= 0) return;
+
+  worker.timer = setInterval(async () => {
+    if (worker.running) return;
+    worker.running = true;
+
+    try {
+      await checkAlerts();
+    } catch (error) {
+      console.error('  Alert check failed:', error.message);
+    } finally {
+      worker.running = false;
+    }
+  }, interval);
+
+  console.log(`🔔 Alert worker checking every ${Math.round(interval / 1000)}s`);
+}
+
+// Function 7: Stop the background worker
+function stopAlertWorker() {
+  if (worker.timer) {
+    clearInterval(worker.timer);
+    worker.timer = null;
+  }
+}
+
+// ======================================
+// STEP 6: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  validateAlert,
+  isTriggered,
+  hasCrossed,
+  observeCondition,
+  checkAlerts,
+  startAlertWorker,
+  stopAlertWorker,
+  ALERT_TYPES
+};
@@ -0,0 +1,224 @@
+// services/apiCache.js
+// Two-tier cache for upstream market-data responses
+// Memory: bounded LRU with per-entry TTLs, stale-while-revalidate and request coalescing
+// MySQL (api_cache table): keeps responses across restarts and warms the memory tier on boot
+
+// Database functions for the persistent tier
+const db = require('../db');
+require('dotenv').config();
+
+// ======================================
+// STEP 1: CONFIGURATION
+// ======================================
+
+// Default freshness for entries without their own TTL (API_CACHE_TTL)
+const DEFAULT_TTL = parseInt(process.env.API_CACHE_TTL, 10) || 5 * 60 * 1000; // 5 minutes
+
+// How long after expiry an entry may still be served while it is refreshed in the background
+const STALE_TTL = parseInt(process.env.API_CACHE_STALE_TTL, 10) || 60 * 60 * 1000; // 1 hour
+
+// Maximum number of entries before the least recently used ones are evicted
+const MAX_ENTRIES = parseInt(process.env.API_CACHE_MAX_ENTRIES, 10) || 500;
+
+// Persistent tier switch (API_CACHE_PERSIST=false keeps the cache memory-only)
+const PERSIST = process.env.API_CACHE_PERSIST !== 'false';
+
+// How long stored responses are kept after they expire
+const PERSIST_RETENTION = parseInt(process.env.API_CACHE_RETENTION, 10) || 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// ======================================
+// STEP 2: CACHE STATE
+// ======================================
+
+// Map keeps insertion order; entries are re-inserted on use, so the first key is the least recently used
+const entries = new Map(); // key -> { data, fetchedAt, expiresAt }
+
+// In-flight fetches, shared by concurrent callers asking for the same key
+const pending = new Map(); // key -> Promise
+
+const stats = {
+  hits: 0, // Fresh entry served
+  stale_hits: 0, // Expired entry served while refreshing
+  misses: 0, // Caller waited for an upstream fetch
+  coalesced: 0, // Caller joined a fetch already in flight
+  refreshes: 0, // Background revalidations started
+  refresh_errors: 0, // Background revalidations that failed (stale entry kept)
+  evictions: 0, // Entries dropped by the LRU cap
+  persistent_hits: 0, // Memory miss answered by the persistent tier
+  persist_errors: 0 // Failed writes to the persistent tier
+};
+
+// ======================================
+// STEP 3: HELPER FUNCTIONS
+// ======================================
+
+// Mark an entry as most recently used
+function touch(key, entry) {
+  entries.delete(key);
+  entries.set(key, entry);
+}
+
+// Put an entry in memory and evict the least recently used ones over the cap
+function remember(key, entry) {
+  touch(key, entry);
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions++;
+  }
+}
+
+// Store a freshly fetched value in memory and (best effort) in the persistent tier
+function store(key, data, ttl) {
+  const now = Date.now();
+  const entry = { data, fetchedAt: now, expiresAt: now + ttl };
+
+  remember(key, entry);
+
+  if (PERSIST) {
+    db.saveCacheEntry(key, data, entry.fetchedAt, entry.expiresAt).catch(error => {
+      stats.persist_errors++;
+      console.warn(`⚠️ Could not persist cache entry for ${key}:`, error.message);
+    });
+  }
+}
+
+// Look a key up in the persistent tier (only entries still usable fresh or stale)
+async function loadPersisted(key) {
+  try {
+    const stored = await db.getCacheEntry(key);
+    if (!stored || Date.now() >= stored.expiresAt + STALE_TTL) return null;
+
+    const entry = { data: stored.data, fetchedAt: stored.fetchedAt, expiresAt: stored.expiresAt };
+    remember(key, entry);
+    stats.persistent_hits++;
+    return entry;
+  } catch (error) {
+    console.warn(`⚠️ Persistent cache lookup failed for ${key}:`, error.message);
+    return null;
+  }
+}
+
+// Run the fetcher once per key at a time and store the result
+// The fetcher is told whether nobody is waiting on it ({ background: true }), so it can deprioritize itself
+function fetchAndStore(key, ttl, fetcher, background = false) {
+  if (!pending.has(key)) {
+    const request = Promise.resolve()
+      .then(() => fetcher({ background }))
+      .then(data => {
+        store(key, data, ttl);
+        return data;
+      })
+      .finally(() => {
+        pending.delete(key);
+      });
+
+    pending.set(key, request);
+  }
+
+  return pending.get(key);
+}
+
+// ======================================
+// STEP 4: CORE FUNCTIONS
+// ======================================
+
+// Function 1: Get a value, fetching it if needed
+// fresh           -> served from cache
+// stale (in grace) -> served from cache, refreshed in the background
+// missing/too old -> fetched (concurrent callers share one fetch)
+async function getOrFetch(key, ttl = DEFAULT_TTL, fetcher) {
+  let entry = entries.get(key);
+
+  // Memory miss: the persistent tier may still have it (evicted, or from before a restart)
+  if (!entry && PERSIST && !pending.has(key)) {
+    entry = await loadPersisted(key);
+  }
+
+  const now = Date.now();
+
+  if (entry && now < entry.expiresAt) {
+    stats.hits++;
+    touch(key, entry);
+    return entry.data;
+  }
+
+  if (entry && now < entry.expiresAt + STALE_TTL) {
+    stats.stale_hits++;
+    touch(key, entry);
+
+    if (!pending.has(key)) {
+      stats.refreshes++;
+      fetchAndStore(key, ttl, fetcher, true).catch(error => {
+        stats.refresh_errors++;
+        console.warn(`⚠️ Background refresh failed for ${key}:`, error.message);
+      });
+    }
+
+    return entry.data;
+  }
+
+  if (pending.has(key)) {
+    stats.coalesced++;
+  } else {
+    stats.misses++;
+  }
+
+  return fetchAndStore(key, ttl, fetcher);
+}
+
+// Function 2: Get cache statistics for monitoring
+function getStats() {
+  const lookups = stats.hits + stats.stale_hits + stats.misses + stats.coalesced;
+
+  return {
+    ...stats,
+    hit_rate: lookups > 0 ? (stats.hits + stats.stale_hits + stats.coalesced) / lookups : 0,
+    size: entries.size,
+    max_entries: MAX_ENTRIES,
+    in_flight: pending.size,
+    default_ttl: DEFAULT_TTL,
+    stale_ttl: STALE_TTL,
+    persistent: PERSIST
+  };
+}
+
+// Function 3: Drop every entry (stats are kept)
+function clear() {
+  entries.clear();
+}
+
+// Function 4: Load recent responses from the persistent tier into memory
+// Called once on boot so a fresh instance does not hit the upstream API for everything at once
+async function warm() {
+  if (!PERSIST) return 0;
+
+  try {
+    const now = Date.now();
+    await db.pruneCacheEntries(new Date(now - PERSIST_RETENTION));
+
+    const stored = await db.getCacheEntries(new Date(now - STALE_TTL), MAX_ENTRIES);
+
+    // Oldest first, so the newest end up most recently used
+    stored.reverse().forEach(({ key, data, fetchedAt, expiresAt }) => {
+      remember(key, { data, fetchedAt, expiresAt });
+    });
+
+    return stored.length;
+  } catch (error) {
+    console.warn('⚠️ Could not warm the API cache:', error.message);
+    return 0;
+  }
+}
+
+// ======================================
+// STEP 5: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  getOrFetch,
+  getStats,
+  clear,
+  warm,
+  DEFAULT_TTL
+};
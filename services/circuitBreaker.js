@@ -0,0 +1,122 @@
+// services/circuitBreaker.js
+// Circuit breaker for upstream providers
+// After repeated failures a provider is skipped for a while instead of being hit (and waited on) again
+
+// ======================================
+// STEP 1: CONFIGURATION
+// ======================================
+
+// Breaker states
+const STATES = {
+  CLOSED: 'closed', // Healthy - requests go through
+  OPEN: 'open', // Unhealthy - requests are refused until the reset timeout passes
+  HALF_OPEN: 'half_open' // Probing - one trial request decides whether to close or reopen
+};
+
+// ======================================
+// STEP 2: BREAKER
+// ======================================
+
+// Create a breaker that opens after `failureThreshold` consecutive failures
+// and lets one trial request through once `resetTimeoutMs` has passed
+function createCircuitBreaker({ name, failureThreshold = 5, resetTimeoutMs = 30 * 1000 }) {
+  const breaker = {
+    state: STATES.CLOSED,
+    failures: 0, // Consecutive failures
+    openedAt: null,
+    trialInFlight: false,
+    lastError: null
+  };
+
+  const stats = {
+    successes: 0,
+    failures: 0,
+    rejected: 0, // Requests refused while open
+    times_opened: 0
+  };
+
+  // Open the breaker (or reopen it after a failed trial)
+  function trip(error) {
+    if (breaker.state !== STATES.OPEN) {
+      stats.times_opened++;
+      console.warn(`⚠️ ${name} circuit opened after ${breaker.failures} failure(s): ${error?.message || 'unknown error'}`);
+    }
+
+    breaker.state = STATES.OPEN;
+    breaker.openedAt = Date.now();
+  }
+
+  // Check whether a request may be sent now
+  function allowRequest() {
+    if (breaker.state === STATES.OPEN && Date.now() - breaker.openedAt >= resetTimeoutMs) {
+      breaker.state = STATES.HALF_OPEN;
+      breaker.trialInFlight = false;
+    }
+
+    if (breaker.state === STATES.CLOSED) return true;
+
+    if (breaker.state === STATES.HALF_OPEN && !breaker.trialInFlight) {
+      breaker.trialInFlight = true;
+      return true;
+    }
+
+    stats.rejected++;
+    return false;
+  }
+
+  // Record a request that reached the provider and got an answer
+  function recordSuccess() {
+    stats.successes++;
+
+    if (breaker.state !== STATES.CLOSED) {
+      console.log(`✅ ${name} circuit closed - provider is responding again`);
+    }
+
+    breaker.state = STATES.CLOSED;
+    breaker.failures = 0;
+    breaker.trialInFlight = false;
+  }
+
+  // Record a request that failed because the provider was unavailable
+  function recordFailure(error) {
+    stats.failures++;
+    breaker.failures++;
+    breaker.lastError = error?.message || null;
+    breaker.trialInFlight = false;
+
+    if (breaker.state === STATES.HALF_OPEN || breaker.failures >= failureThreshold) {
+      trip(error);
+    }
+  }
+
+  // Record a request that never reached the provider (e.g. refused by our own rate limiter)
+  // Says nothing about the provider's health, so it only frees a half-open trial slot
+  function recordSkipped() {
+    breaker.trialInFlight = false;
+  }
+
+  // Current breaker state for monitoring
+  function getState() {
+    return {
+      name,
+      state: breaker.state,
+      consecutive_failures: breaker.failures,
+      failure_threshold: failureThreshold,
+      reset_timeout_ms: resetTimeoutMs,
+      opened_at: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      last_error: breaker.lastError,
+      ...stats
+    };
+  }
+
+  return { allowRequest, recordSuccess, recordFailure, recordSkipped, getState };
+}
+
+// ======================================
+// STEP 3: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  createCircuitBreaker,
+  STATES
+};
@@ -0,0 +1,312 @@
+// services/coinCatalog.js
+// Local coin catalog for the crypto portfolio app
+// The provider's full coin list is synced into the database on a schedule and held in memory,
+// so search (with typo tolerance) and symbol lookups never wait on the upstream API
+
+// ======================================
+// STEP 1: IMPORT REQUIRED MODULES
+// ======================================
+
+// Database functions for the stored catalog
+const db = require('../db');
+
+// DexPaprika service for the full coin list (and as a fallback before the first sync)
+const dexpaprikaService = require('./dexpaprika');
+require('dotenv').config();
+
+// ======================================
+// STEP 2: CONFIGURATION
+// ======================================
+
+// How often the catalog is re-synced from the provider (0 disables syncing - the stored catalog is still used)
+const CATALOG_SYNC_INTERVAL = parseInt(process.env.COIN_CATALOG_SYNC_INTERVAL, 10) >= 0
+  ? parseInt(process.env.COIN_CATALOG_SYNC_INTERVAL, 10)
+  : 24 * 60 * 60 * 1000; // 1 day
+
+// Match strength, best first - results are ordered by this, then by market-cap rank
+const MATCH_SCORES = {
+  EXACT_SYMBOL: 100,
+  EXACT_NAME: 90,
+  SYMBOL_PREFIX: 70,
+  NAME_PREFIX: 60,
+  WORD_PREFIX: 50,
+  SUBSTRING: 40,
+  ONE_TYPO: 20,
+  TWO_TYPOS: 10
+};
+
+// Typos are only forgiven in queries at least this long (shorter ones match too much)
+const MIN_FUZZY_LENGTH = 3;
+
+// ======================================
+// STEP 3: CATALOG STATE
+// ======================================
+
+// entries: [{ coin, id, symbol, name, words }] - lowercased fields for matching
+// bySymbol: lowercased symbol -> coins sharing it, best ranked first
+const catalog = {
+  entries: [],
+  bySymbol: new Map(),
+  syncedAt: null
+};
+
+// ======================================
+// STEP 4: HELPER FUNCTIONS
+// ======================================
+
+// Sort key for market-cap rank (unranked coins, rank 0, go last)
+function rankOf(coin) {
+  return coin.rank > 0 ? coin.rank : Infinity;
+}
+
+// Active coins first, then by rank
+function compareCoins(a, b) {
+  if (a.is_active !== b.is_active) return a.is_active ? -1 : 1;
+  return rankOf(a) - rankOf(b);
+}
+
+// Edit distance (insert, delete, substitute, swap adjacent letters), giving up above maxDistance
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+
+      current.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// How well one catalog entry matches a lowercased query (0 = no match)
+function scoreEntry(entry, term) {
+  if (entry.symbol === term) return MATCH_SCORES.EXACT_SYMBOL;
+  if (entry.name === term || entry.id === term) return MATCH_SCORES.EXACT_NAME;
+  if (entry.symbol.startsWith(term)) return MATCH_SCORES.SYMBOL_PREFIX;
+  if (entry.name.startsWith(term) || entry.id.startsWith(term)) return MATCH_SCORES.NAME_PREFIX;
+  if (entry.words.some(word => word.startsWith(term))) return MATCH_SCORES.WORD_PREFIX;
+  if (entry.name.includes(term) || entry.id.includes(term)) return MATCH_SCORES.SUBSTRING;
+
+  if (term.length < MIN_FUZZY_LENGTH) return 0;
+
+  // Compare against the symbol, each name word and the start of the name (for half-typed names)
+  const maxTypos = term.length >= 6 ? 2 : 1;
+  const candidates = [entry.symbol, ...entry.words, entry.name.slice(0, term.length)];
+  const typos = Math.min(...candidates.map(candidate => editDistance(term, candidate, maxTypos)));
+
+  if (typos > maxTypos) return 0;
+  return typos === 1 ? MATCH_SCORES.ONE_TYPO : MATCH_SCORES.TWO_TYPOS;
+}
+
+// Rebuild the in-memory indexes from a coin list
+function buildIndex(coins, syncedAt) {
+  const bySymbol = new Map();
+
+  const entries = coins.map(coin => {
+    const symbol = coin.symbol.toLowerCase();
+    const name = coin.name.toLowerCase();
+
+    if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+    bySymbol.get(symbol).push(coin);
+
+    return {
+      coin,
+      id: coin.id,
+      symbol,
+      name,
+      words: name.split(/[\s\-_.()]+/).filter(Boolean)
+    };
+  });
+
+  bySymbol.forEach(list => list.sort(compareCoins));
+
+  catalog.entries = entries;
+  catalog.bySymbol = bySymbol;
+  catalog.syncedAt = syncedAt;
+}
+
+// Public shape of a catalog coin (same as the provider's searchCoins results)
+function toSearchResult(coin) {
+  return {
+    id: coin.id,
+    symbol: coin.symbol,
+    name: coin.name,
+    rank: coin.rank,
+    is_new: coin.is_new,
+    is_active: coin.is_active,
+    type: coin.type
+  };
+}
+
+// ======================================
+// STEP 5: CORE FUNCTIONS
+// ======================================
+
+// Function 1: Load the stored catalog into memory
+async function loadCatalog() {
+  const coins = await db.getCoinCatalog();
+
+  const syncedAt = coins.reduce((latest, coin) =>
+    !latest || coin.synced_at > latest ? coin.synced_at : latest, null);
+
+  buildIndex(coins, syncedAt ? new Date(syncedAt) : null);
+  return coins.length;
+}
+
+// Function 2: Download the provider's full coin list, store it and rebuild the indexes
+// A list served from a failover provider or last known good data is not stored (it may be partial)
+async function syncCatalog() {
+  let coins = [];
+  let dataStatus = null;
+
+  await dexpaprikaService.trackDataStatus(async () => {
+    coins = await dexpaprikaService.getAllCoins();
+    dataStatus = dexpaprikaService.getDataStatus();
+  });
+
+  // The configured provider comes first in the chain (a recorded one still counts as the real source)
+  const primary = dexpaprikaService.getUpstreamStats().failover_chain[0];
+  if (dataStatus.fallback && dataStatus.sources.some(source => source !== primary)) {
+    throw new Error('Coin list came from fallback data - keeping the current catalog');
+  }
+
+  if (coins.length === 0) {
+    throw new Error('Provider returned an empty coin list - keeping the current catalog');
+  }
+
+  const syncedAt = new Date();
+  await db.replaceCoinCatalog(coins, syncedAt);
+  buildIndex(coins, syncedAt);
+
+  return coins.length;
+}
+
+// Function 3: Search the catalog (exact symbol hits first, then prefixes, substrings and near-misses)
+// Until the first sync has finished, searches go to the provider instead
+async function searchCoins(query, limit = 20) {
+  const term = String(query).trim().toLowerCase();
+
+  if (catalog.entries.length === 0) {
+    return dexpaprikaService.searchCoins(term, limit);
+  }
+
+  const matches = [];
+  catalog.entries.forEach(entry => {
+    const score = scoreEntry(entry, term);
+    if (score > 0) matches.push({ coin: entry.coin, score });
+  });
+
+  return matches
+    .sort((a, b) => b.score - a.score || compareCoins(a.coin, b.coin))
+    .slice(0, limit)
+    .map(match => toSearchResult(match.coin));
+}
+
+// Function 4: Look up a coin by symbol (case-insensitive) - the best-ranked coin wins when several share it
+// Registered as the market data service's symbol index, so dexpaprika.getCoinBySymbol() is answered from here
+// Returns null for unknown symbols, and undefined until the catalog is loaded (the provider is asked then)
+function findBySymbol(symbol) {
+  if (catalog.entries.length === 0) return undefined;
+
+  const coins = catalog.bySymbol.get(String(symbol).toLowerCase());
+  return coins ? toSearchResult(coins[0]) : null;
+}
+
+dexpaprikaService.registerSymbolIndex(findBySymbol);
+
+// Function 5: Catalog size and age for monitoring
+function getCatalogStats() {
+  return {
+    coins: catalog.entries.length,
+    symbols: catalog.bySymbol.size,
+    synced_at: catalog.syncedAt ? catalog.syncedAt.toISOString() : null,
+    sync_interval_ms: CATALOG_SYNC_INTERVAL
+  };
+}
+
+// ======================================
+// STEP 6: SCHEDULED SYNC
+// ======================================
+
+const job = {
+  timer: null,
+  running: false // Skip a run if the previous one is still going
+};
+
+// Run one sync, logging instead of throwing
+async function runCatalogSync() {
+  if (job.running) return;
+  job.running = true;
+
+  try {
+    const count = await syncCatalog();
+    console.log(`📚 Coin catalog synced (${count} coins)`);
+  } catch (error) {
+    console.error('  Coin catalog sync failed:', error.message);
+  } finally {
+    job.running = false;
+  }
+}
+
+// Function 6: Load the stored catalog, then keep it synced
+// Syncs right away when the stored catalog is empty or older than the interval
+async function startCatalogSync(interval = CATALOG_SYNC_INTERVAL) {
+  if (job.timer) return;
+
+  try {
+    await loadCatalog();
+  } catch (error) {
+    console.error('  Coin catalog load failed:', error.message);
+  }
+
+  if (interval <= 0) return;
+
+  const age = catalog.syncedAt ? Date.now() - catalog.syncedAt.getTime() : Infinity;
+  if (catalog.entries.length === 0 || age >= interval) {
+    runCatalogSync();
+  }
+
+  job.timer = setInterval(runCatalogSync, interval);
+
+  console.log(`📚 Coin catalog sync every ${Math.round(interval / 60000)} min`);
+}
+
+// Function 7: Stop the catalog sync
+function stopCatalogSync() {
+  if (job.timer) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+}
+
+// ======================================
+// STEP 7: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  searchCoins,
+  findBySymbol,
+  loadCatalog,
+  syncCatalog,
+  getCatalogStats,
+  startCatalogSync,
+  stopCatalogSync
+};
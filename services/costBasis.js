@@ -0,0 +1,261 @@
+// services/costBasis.js
+// Cost-basis engine for the crypto portfolio app
+// Replays a user's buy/sell history to work out what each open position cost
+// Adjustment rows are manual corrections: they move the open lots but are never disposals
+
+// ======================================
+// STEP 1: CONFIGURATION
+// ======================================
+
+// Supported accounting methods
+// fifo    - sells consume the oldest lots first
+// lifo    - sells consume the newest lots first
+// average - every unit is valued at the running weighted-average cost
+const COST_BASIS_METHODS = ['fifo', 'lifo', 'average'];
+
+const DEFAULT_METHOD = 'fifo';
+
+// Amounts below this are treated as zero (avoids floating point dust lots)
+const EPSILON = 1e-12;
+
+// ======================================
+// STEP 2: HELPER FUNCTIONS
+// ======================================
+
+// Validate accounting method
+function isValidMethod(method) {
+  return COST_BASIS_METHODS.includes(method);
+}
+
+// Sort transactions chronologically (ledger order breaks ties)
+function sortTransactions(transactions) {
+  return [...transactions].sort((a, b) => {
+    const diff = new Date(a.transaction_date) - new Date(b.transaction_date);
+    return diff !== 0 ? diff : (a.id || 0) - (b.id || 0);
+  });
+}
+
+// Pick the index of the lot a sell should consume next
+function nextLotIndex(lots, method) {
+  return method === 'lifo' ? lots.length - 1 : 0;
+}
+
+// Re-price every open lot at the pool's average cost (average method only)
+function applyAverageCost(lots) {
+  const totalAmount = lots.reduce((sum, lot) => sum + lot.amount, 0);
+  const totalCost = lots.reduce((sum, lot) => sum + lot.amount * lot.price_per_unit, 0);
+
+  if (totalAmount <= EPSILON) return;
+
+  const averageCost = totalCost / totalAmount;
+  lots.forEach(lot => {
+    lot.price_per_unit = averageCost;
+  });
+}
+
+// Apply a manual correction to the open lots - nothing is realized
+// amount > 0 adds a lot, amount < 0 drops units in the order a sell would, amount 0 re-prices every lot
+function applyAdjustment(lots, tx, method) {
+  const amount = parseFloat(tx.amount);
+  const price = parseFloat(tx.price_per_unit);
+
+  if (amount > EPSILON) {
+    lots.push({
+      transaction_id: tx.id,
+      acquired_at: new Date(tx.transaction_date),
+      amount,
+      price_per_unit: price
+    });
+  } else if (amount < -EPSILON) {
+    let remaining = -amount;
+
+    while (remaining > EPSILON && lots.length > 0) {
+      const index = nextLotIndex(lots, method);
+      const used = Math.min(lots[index].amount, remaining);
+
+      lots[index].amount -= used;
+      remaining -= used;
+
+      if (lots[index].amount <= EPSILON) {
+        lots.splice(index, 1);
+      }
+    }
+  } else {
+    lots.forEach(lot => {
+      lot.price_per_unit = price;
+    });
+  }
+
+  if (method === 'average') {
+    applyAverageCost(lots);
+  }
+}
+
+// ======================================
+// STEP 3: CORE FUNCTIONS
+// ======================================
+
+// Function 1: Compute cost basis for a single coin's transaction history
+// Returns the open lots still held plus one disposal per lot consumed by a sell
+function computeCostBasis(transactions, method = DEFAULT_METHOD) {
+  if (!isValidMethod(method)) {
+    throw new Error(`Unsupported cost basis method: ${method}`);
+  }
+
+  const lots = [];
+  const disposals = [];
+
+  for (const tx of sortTransactions(transactions)) {
+    const amount = parseFloat(tx.amount);
+    const price = parseFloat(tx.price_per_unit);
+    const date = new Date(tx.transaction_date);
+
+    if (isNaN(amount) || isNaN(price)) continue;
+
+    if (tx.transaction_type === 'adjustment') {
+      applyAdjustment(lots, tx, method);
+      continue;
+    }
+
+    if (amount <= 0) continue;
+
+    if (tx.transaction_type === 'buy') {
+      lots.push({
+        transaction_id: tx.id,
+        acquired_at: date,
+        amount,
+        price_per_unit: price
+      });
+
+      if (method === 'average') {
+        applyAverageCost(lots);
+      }
+      continue;
+    }
+
+    // Sell: consume open lots until the sold amount is covered
+    let remaining = amount;
+
+    while (remaining > EPSILON && lots.length > 0) {
+      const index = nextLotIndex(lots, method);
+      const lot = lots[index];
+      const used = Math.min(lot.amount, remaining);
+      const costBasis = used * lot.price_per_unit;
+      const proceeds = used * price;
+
+      disposals.push({
+        sell_transaction_id: tx.id,
+        buy_transaction_id: lot.transaction_id,
+        acquired_at: lot.acquired_at,
+        disposed_at: date,
+        amount: used,
+        proceeds,
+        cost_basis: costBasis,
+        gain_loss: proceeds - costBasis
+      });
+
+      lot.amount -= used;
+      remaining -= used;
+
+      if (lot.amount <= EPSILON) {
+        lots.splice(index, 1);
+      }
+    }
+
+    // Selling more than the ledger holds: record the excess with no known basis
+    if (remaining > EPSILON) {
+      console.warn(`⚠️ Sell of ${tx.coin_id} exceeds recorded buys by ${remaining}`);
+      disposals.push({
+        sell_transaction_id: tx.id,
+        buy_transaction_id: null,
+        acquired_at: null,
+        disposed_at: date,
+        amount: remaining,
+        proceeds: remaining * price,
+        cost_basis: 0,
+        gain_loss: remaining * price
+      });
+    }
+  }
+
+  const openAmount = lots.reduce((sum, lot) => sum + lot.amount, 0);
+  const openCost = lots.reduce((sum, lot) => sum + lot.amount * lot.price_per_unit, 0);
+  const realized = disposals.reduce((sum, disposal) => sum + disposal.gain_loss, 0);
+
+  return {
+    method,
+    amount: openAmount,
+    total_cost: openCost,
+    average_cost: openAmount > EPSILON ? openCost / openAmount : 0,
+    realized_gain_loss: realized,
+    open_lots: lots.map(lot => ({
+      transaction_id: lot.transaction_id,
+      acquired_at: lot.acquired_at,
+      amount: lot.amount,
+      price_per_unit: lot.price_per_unit,
+      cost_basis: lot.amount * lot.price_per_unit
+    })),
+    disposals
+  };
+}
+
+// Function 2: Compute cost basis for every coin in a user's ledger
+// Returns an object keyed by coin_id
+function computePortfolioCostBasis(transactions, method = DEFAULT_METHOD) {
+  const byCoin = {};
+
+  for (const tx of transactions) {
+    if (!byCoin[tx.coin_id]) {
+      byCoin[tx.coin_id] = [];
+    }
+    byCoin[tx.coin_id].push(tx);
+  }
+
+  const results = {};
+  for (const coinId of Object.keys(byCoin)) {
+    results[coinId] = computeCostBasis(byCoin[coinId], method);
+  }
+
+  return results;
+}
+
+// Function 3: Group realized gains by the day, month or year they were booked
+// Period keys are UTC: 2024-03-15, 2024-03 and 2024
+function groupRealizedByPeriod(disposals, period = 'month') {
+  const keyLength = { day: 10, month: 7, year: 4 }[period];
+
+  if (!keyLength) {
+    throw new Error(`Unsupported period: ${period}`);
+  }
+
+  const groups = new Map();
+
+  for (const disposal of disposals) {
+    const key = new Date(disposal.disposed_at).toISOString().substring(0, keyLength);
+
+    if (!groups.has(key)) {
+      groups.set(key, { period: key, proceeds: 0, cost_basis: 0, realized_gain_loss: 0, disposals: 0 });
+    }
+
+    const group = groups.get(key);
+    group.proceeds += disposal.proceeds;
+    group.cost_basis += disposal.cost_basis;
+    group.realized_gain_loss += disposal.gain_loss;
+    group.disposals += 1;
+  }
+
+  return [...groups.values()].sort((a, b) => a.period.localeCompare(b.period));
+}
+
+// ======================================
+// STEP 4: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  computeCostBasis,
+  computePortfolioCostBasis,
+  groupRealizedByPeriod,
+  isValidMethod,
+  COST_BASIS_METHODS,
+  DEFAULT_METHOD
+};
@@ -1,164 +1,256 @@
 // services/dexpaprika.js
-// DexPaprika API service for cryptocurrency data
-// This file handles all external API calls for crypto prices, trends, and charts
+// Market data service for the crypto portfolio app
+// Routes and services call this file; it forwards every call to the configured market-data provider
+// and fails over to secondary providers or last known good data when that provider is unavailable
+// On-chain tokens ("network:contractAddress" IDs) are answered by DexPaprika instead (services/onchain.js)
 
 // ======================================
 // STEP 1: IMPORT REQUIRED MODULES
 // ======================================
 
-// No external modules needed for fetch (built into Node.js 18+)
-// If using older Node.js, you would need to install node-fetch
+// Per-request record of fallback data (so responses can say when they are stale)
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Built-in providers (see services/providers/)
+const coinpaprikaProvider = require('./providers/coinpaprika');
+const fixtureProvider = require('./providers/fixture');
+
+// Circuit breakers for unhealthy providers
+const { createCircuitBreaker } = require('./circuitBreaker');
+
+// Chart timeframes
+const ohlcv = require('./ohlcv');
+
+// DexPaprika on-chain tokens
+const onchain = require('./onchain');
+require('dotenv').config();
 
 // ======================================
-// STEP 2: API CONFIGURATION
+// STEP 2: PROVIDER REGISTRY
 // ======================================
 
-// Base URL for CoinPaprika API
-const BASE_URL = 'https://api.coinpaprika.com/v1';
-
-// API endpoints
-const ENDPOINTS = {
-  // Global crypto data
-  GLOBAL: '/global',
-  
-  // Coin data
-  COINS: '/coins',
-  COIN_BY_ID: (id) => `/coins/${id}`,
-  COIN_TWITTER: (id) => `/coins/${id}/twitter`,
-  
-  // Price data
-  TICKERS: '/tickers',
-  TICKER_BY_ID: (id) => `/tickers/${id}`,
-  HISTORICAL_TICKER: (id) => `/tickers/${id}/historical`,
-  
-  // Market data
-  MARKET: '/coins/markets',
-  
-  // Search
-  SEARCH: '/search',
-  
-  // Trending categories
-  POPULAR: '/coins/most-viewed',
-  TOP_GAINERS: '/coins/top-gainers',
-  TOP_LOSERS: '/coins/top-losers',
-  RECENTLY_ADDED: '/coins/new',
-  
-  // OHLCV data (for charts)
-  OHLCV_TODAY: (id) => `/coins/${id}/ohlcv/today`,
-  OHLCV_LATEST: (id) => `/coins/${id}/ohlcv/latest`,
-  OHLCV_HISTORICAL: (id) => `/coins/${id}/ohlcv/historical`,
-  
-  // Exchanges
-  EXCHANGES: '/exchanges',
-  
-  // People
-  PEOPLE: '/people',
+// Every provider must implement these methods (all async)
+// getCurrentPrices(coinIds)        -> { coinId: price }
+// getCurrentQuotes(coinIds)        -> { coinId: { price, change_24h, volume_24h, market_cap } }
+// getCoinCurrentPrice(coinId)      -> price
+// searchCoins(query, limit)        -> [{ id, symbol, name, rank, ... }]
+// getTrendingCoins()               -> { popular, top_gainers, top_losers, recently_added }
+// getAllCoins()                    -> [{ id, symbol, name, rank, ... }]
+// getCoinBySymbol(symbol)          -> { id, symbol, name, ... }
+// getCoinDetails(coinId, timeframe) -> { id, name, metrics, chart_data, ... }
+// getCoinOHLCV(coinId, timeframe)  -> [{ timestamp, open, high, low, close, volume }] (resampled, see services/ohlcv.js)
+// getGlobalMarketData()            -> { total_market_cap, total_volume_24h, ... }
+// getHistoricalPrice(coinId, date) -> { price, timestamp } (USD price at or just after date)
+//                                     error.code = 'PRICE_NOT_FOUND' when nothing was recorded then
+// getCoinMarkets(coinId)           -> [{ exchange_name, pair, price, volume_24h, volume_share, ... }]
+// getExchanges()                   -> [{ id, name, rank, markets, volume_24h, ... }]
+// getCoinsByTag(tagId)             -> { tag: { id, name, description }, coins: [{ id, symbol, price, ... }] }
+const PROVIDER_METHODS = [
+  'getCurrentPrices',
+  'getCurrentQuotes',
+  'getCoinCurrentPrice',
+  'searchCoins',
+  'getTrendingCoins',
+  'getAllCoins',
+  'getCoinBySymbol',
+  'getCoinDetails',
+  'getCoinOHLCV',
+  'getGlobalMarketData',
+  'getHistoricalPrice',
+  'getCoinMarkets',
+  'getExchanges',
+  'getCoinsByTag'
+];
+
+const providers = {
+  coinpaprika: coinpaprikaProvider, // Live CoinPaprika API (default)
+  fixture: fixtureProvider // Recorded JSON from disk, for offline development and demos
 };
 
-// Cache configuration to reduce API calls
-const cache = {
-  data: new Map(),
-  timestamps: new Map(),
-  TTL: 5 * 60 * 1000, // 5 minutes cache time
-};
+// Register an additional provider (must implement every method in PROVIDER_METHODS)
+function registerProvider(name, provider) {
+  const missing = PROVIDER_METHODS.filter(method => typeof provider?.[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`Market data provider "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  providers[name] = { name, ...provider };
+}
+
+// Local symbol index asked before the providers (services/coinCatalog.js registers its catalog)
+// lookup(symbol) returns the coin, null if the index doesn't list it, or undefined while the index is empty
+let symbolIndex = null;
+
+// Register the local symbol index
+function registerSymbolIndex(lookup) {
+  symbolIndex = lookup;
+}
+
+// Get a provider by name (defaults to MARKET_DATA_PROVIDER, then coinpaprika)
+function getProvider(name = process.env.MARKET_DATA_PROVIDER || 'coinpaprika') {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown market data provider: ${name}`);
+  }
+
+  return provider;
+}
 
 // ======================================
-// STEP 3: HELPER FUNCTIONS
+// STEP 3: FAILOVER
 // ======================================
 
-// Helper function to make API requests with error handling
-async function makeAPIRequest(endpoint, params = {}) {
-  try {
-    // Build URL with query parameters
-    let url = `${BASE_URL}${endpoint}`;
-    
-    // Add query parameters if any
-    if (Object.keys(params).length > 0) {
-      const queryParams = new URLSearchParams(params);
-      url += `?${queryParams.toString()}`;
-    }
-    
-    // Check cache first
-    const cacheKey = url;
-    const cachedData = getFromCache(cacheKey);
-    if (cachedData) {
-      console.log(` Using cached data for: ${endpoint}`);
-      return cachedData;
-    }
-    
-    console.log(` Fetching from API: ${endpoint}`);
-    
-    // Make API request
-    const response = await fetch(url, {
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'CryptoPortfolioApp/1.0'
-      },
-      timeout: 10000 // 10 second timeout
-    });
-    
-    // Check if response is OK
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-    }
-    
-    // Parse JSON response
-    const data = await response.json();
-    
-    // Store in cache
-    storeInCache(cacheKey, data);
-    
-    return data;
-    
-  } catch (error) {
-    console.error(`  API request error for ${endpoint}:`, error.message);
-    
-    // Return appropriate error response
-    throw new Error(`Failed to fetch data from DexPaprika API: ${error.message}`);
+// USE_API_FALLBACK=false disables failover: only the configured provider is asked
+const USE_FALLBACK = process.env.USE_API_FALLBACK !== 'false';
+
+// A provider's circuit opens after this many consecutive failures and is retried after CIRCUIT_BREAKER_RESET
+const BREAKER_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 5;
+const BREAKER_RESET = parseInt(process.env.CIRCUIT_BREAKER_RESET, 10) || 30 * 1000; // 30 seconds
+
+// Most recent successful answers from live providers, used when every provider in the chain fails
+const LAST_KNOWN_GOOD_MAX = 500;
+const lastKnownGood = new Map(); // 'method:args' -> { data, source, savedAt }
+
+const breakers = new Map(); // provider name -> circuit breaker
+const requestStatus = new AsyncLocalStorage(); // { fallbacks: [{ source, stale, as_of }] }
+
+// Providers to ask, in order: the configured one, then MARKET_DATA_FAILOVER (comma-separated)
+function getProviderChain() {
+  const primary = process.env.MARKET_DATA_PROVIDER || 'coinpaprika';
+  if (!USE_FALLBACK) return [primary];
+
+  const failover = (process.env.MARKET_DATA_FAILOVER || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name && name !== primary);
+
+  return [...new Set([primary, ...failover])];
+}
+
+// Get (or create) the circuit breaker for a provider
+function getBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, createCircuitBreaker({
+      name: `Market data provider ${name}`,
+      failureThreshold: BREAKER_THRESHOLD,
+      resetTimeoutMs: BREAKER_RESET
+    }));
   }
+
+  return breakers.get(name);
 }
 
-// Cache management functions
-function getFromCache(key) {
-  const timestamp = cache.timestamps.get(key);
-  const data = cache.data.get(key);
-  
-  if (timestamp && data) {
-    const now = Date.now();
-    if (now - timestamp < cache.TTL) {
+// Keep a successful answer (least recently saved are dropped over the cap)
+function rememberGood(key, data, source) {
+  lastKnownGood.delete(key);
+  lastKnownGood.set(key, { data, source, savedAt: Date.now() });
+
+  while (lastKnownGood.size > LAST_KNOWN_GOOD_MAX) {
+    lastKnownGood.delete(lastKnownGood.keys().next().value);
+  }
+}
+
+// Record that the current request was answered from a fallback
+function noteFallback(fallback) {
+  const store = requestStatus.getStore();
+  if (store) {
+    store.fallbacks.push(fallback);
+  }
+}
+
+// Ask each provider in the chain until one answers, then fall back to last known good data
+// Only "unavailable" errors (timeouts, network, 429/5xx, open circuit) move down the chain;
+// anything else from the configured provider (e.g. coin not found) is passed straight to the caller
+async function callProvider(method, args) {
+  const key = `${method}:${JSON.stringify(args)}`;
+  let firstError = null;
+
+  for (const [index, name] of getProviderChain().entries()) {
+    const provider = getProvider(name);
+    const breaker = getBreaker(name);
+
+    if (!breaker.allowRequest()) {
+      const error = new Error(`Market data provider ${name} is unavailable, try again shortly`);
+      error.unavailable = true;
+      firstError = firstError || error;
+      continue;
+    }
+
+    try {
+      const data = await provider[method](...args);
+      breaker.recordSuccess();
+
+      if (provider.recorded) {
+        noteFallback({ source: name, stale: true, as_of: null });
+      } else {
+        rememberGood(key, data, name);
+        if (index > 0) {
+          noteFallback({ source: name, stale: false, as_of: null });
+        }
+      }
+
       return data;
-    } else {
-      // Cache expired, remove it
-      cache.data.delete(key);
-      cache.timestamps.delete(key);
+    } catch (error) {
+      if (!error.unavailable) {
+        // The provider answered - it just doesn't have this
+        breaker.recordSuccess();
+        if (index === 0) throw error;
+      } else {
+        // Our own rate limiter refusing a request says nothing about the provider's health
+        if (error.local) {
+          breaker.recordSkipped();
+        } else {
+          breaker.recordFailure(error);
+        }
+        console.warn(`⚠️ ${name} could not answer ${method}: ${error.message}`);
+      }
+
+      firstError = firstError || error;
     }
   }
-  return null;
+
+  const saved = USE_FALLBACK ? lastKnownGood.get(key) : null;
+  if (saved) {
+    noteFallback({ source: 'last_known_good', stale: true, as_of: new Date(saved.savedAt).toISOString() });
+    return saved.data;
+  }
+
+  throw firstError;
+}
+
+// Run a callback (e.g. one HTTP request) with its own fallback record
+function trackDataStatus(callback) {
+  return requestStatus.run({ fallbacks: [] }, callback);
 }
 
-function storeInCache(key, data) {
-  cache.data.set(key, data);
-  cache.timestamps.set(key, Date.now());
+// Describe the data used so far in the current trackDataStatus() callback
+// stale: some of it is saved data (last known good or a recorded provider)
+// fallback: some of it did not come from the configured provider
+function getDataStatus() {
+  const fallbacks = requestStatus.getStore()?.fallbacks || [];
+
+  if (fallbacks.length === 0) {
+    return { stale: false, fallback: false };
+  }
+
+  const savedAt = fallbacks.map(fallback => fallback.as_of).filter(Boolean).sort();
+
+  return {
+    stale: fallbacks.some(fallback => fallback.stale),
+    fallback: true,
+    sources: [...new Set(fallbacks.map(fallback => fallback.source))],
+    as_of: savedAt[0] || null // Oldest saved answer used
+  };
 }
 
-// Helper to convert timeframe to days for historical data
-function timeframeToDays(timeframe) {
-  const timeframeMap = {
-    '1h': 0.04, // Approximately 1/24 of a day
-    '4h': 0.17, // Approximately 4/24 of a day
-    '12h': 0.5, // Half a day
-    '1d': 1,
-    '3d': 3,
-    '7d': 7,
-    '14d': 14,
-    '30d': 30,
-    '90d': 90,
-    '180d': 180,
-    '365d': 365,
-    'max': 'max'
+// Split coin IDs into provider-listed coins and on-chain tokens
+function splitCoinIds(coinIds) {
+  return {
+    listed: coinIds.filter(coinId => !onchain.isOnchainId(coinId)),
+    tokens: coinIds.filter(coinId => onchain.isOnchainId(coinId))
   };
-  
-  return timeframeMap[timeframe] || 7; // Default to 7 days
 }
 
 // ======================================
@@ -167,302 +259,145 @@ function timeframeToDays(timeframe) {
 
 // Function 1: Get current prices for multiple coins
 async function getCurrentPrices(coinIds = []) {
-  try {
-    // If no coin IDs provided, get all tickers
-    if (coinIds.length === 0) {
-      const allTickers = await makeAPIRequest(ENDPOINTS.TICKERS, {
-        quotes: 'USD'
-      });
-      
-      // Transform to our format
-      const prices = {};
-      allTickers.forEach(ticker => {
-        prices[ticker.id] = ticker.quotes?.USD?.price || 0;
-      });
-      
-      return prices;
-    }
-    
-    // Get prices for specific coins
-    const prices = {};
-    
-    // We could fetch all tickers and filter, but let's fetch individually for accuracy
-    // (CoinPaprika doesn't have a batch endpoint for specific coins)
-    for (const coinId of coinIds) {
-      try {
-        const ticker = await makeAPIRequest(ENDPOINTS.TICKER_BY_ID(coinId), {
-          quotes: 'USD'
-        });
-        
-        prices[coinId] = ticker.quotes?.USD?.price || 0;
-      } catch (error) {
-        console.warn(`⚠️ Could not get price for ${coinId}:`, error.message);
-        prices[coinId] = 0;
-      }
-    }
-    
-    return prices;
-    
-  } catch (error) {
-    console.error('  Error getting current prices:', error);
-    throw error;
+  if (splitCoinIds(coinIds).tokens.length === 0) {
+    return callProvider('getCurrentPrices', [coinIds]);
   }
+
+  // Reduce each quote to just its price
+  const quotes = await getCurrentQuotes(coinIds);
+
+  const prices = {};
+  Object.keys(quotes).forEach(coinId => {
+    prices[coinId] = quotes[coinId].price;
+  });
+  return prices;
 }
 
 // Function 2: Get current price for a single coin
 async function getCoinCurrentPrice(coinId) {
-  try {
-    const ticker = await makeAPIRequest(ENDPOINTS.TICKER_BY_ID(coinId), {
-      quotes: 'USD'
-    });
-    
-    return ticker.quotes?.USD?.price || 0;
-  } catch (error) {
-    console.error(`  Error getting price for ${coinId}:`, error);
-    throw new Error(`Coin ${coinId} not found or price unavailable`);
+  const parsed = onchain.parseOnchainId(coinId);
+  if (parsed) {
+    return (await onchain.getToken(parsed.network, parsed.address)).price;
   }
+
+  return callProvider('getCoinCurrentPrice', [coinId]);
 }
 
 // Function 3: Search for coins
-async function searchCoins(query, limit = 20) {
-  try {
-    const searchResults = await makeAPIRequest(ENDPOINTS.SEARCH, {
-      q: query,
-      limit: limit,
-      c: 'currencies' // Search only currencies (coins)
-    });
-    
-    // Transform to our format
-    return searchResults.currencies.map(coin => ({
-      id: coin.id,
-      symbol: coin.symbol,
-      name: coin.name,
-      rank: coin.rank,
-      is_new: coin.is_new,
-      is_active: coin.is_active,
-      type: coin.type
-    }));
-    
-  } catch (error) {
-    console.error('  Error searching coins:', error);
-    throw error;
-  }
+function searchCoins(query, limit = 20) {
+  return callProvider('searchCoins', [query, limit]);
 }
 
 // Function 4: Get trending coins in different categories
-async function getTrendingCoins() {
-  try {
-    // Fetch all trending categories in parallel for better performance
-    const [popular, topGainers, topLosers, recentlyAdded] = await Promise.allSettled([
-      makeAPIRequest(ENDPOINTS.POPULAR, { limit: 10 }),
-      makeAPIRequest(ENDPOINTS.TOP_GAINERS, { limit: 10 }),
-      makeAPIRequest(ENDPOINTS.TOP_LOSERS, { limit: 10 }),
-      makeAPIRequest(ENDPOINTS.RECENTLY_ADDED, { limit: 10 })
-    ]);
-    
-    // Process results (handle potential API failures gracefully)
-    const processResult = (result) => {
-      if (result.status === 'fulfilled') {
-        return result.value.map(coin => ({
-          id: coin.id,
-          symbol: coin.symbol,
-          name: coin.name,
-          rank: coin.rank,
-          price: coin.quotes?.USD?.price || 0,
-          change_24h: coin.quotes?.USD?.percent_change_24h || 0,
-          market_cap: coin.quotes?.USD?.market_cap || 0
-        }));
-      }
-      console.warn(' Failed to fetch trending category:', result.reason);
-      return [];
-    };
-    
-    return {
-      popular: processResult(popular),
-      top_gainers: processResult(topGainers),
-      top_losers: processResult(topLosers),
-      recently_added: processResult(recentlyAdded)
-    };
-    
-  } catch (error) {
-    console.error('  Error getting trending coins:', error);
-    throw error;
-  }
+function getTrendingCoins() {
+  return callProvider('getTrendingCoins', []);
 }
 
 // Function 5: Get detailed coin information
-async function getCoinDetails(coinId, timeframe = '7d') {
-  try {
-    // Get basic coin info and current price in parallel
-    const [coinInfo, tickerData, ohlcvData] = await Promise.allSettled([
-      makeAPIRequest(ENDPOINTS.COIN_BY_ID(coinId)),
-      makeAPIRequest(ENDPOINTS.TICKER_BY_ID(coinId), { quotes: 'USD' }),
-      getCoinOHLCV(coinId, timeframe)
-    ]);
-    
-    // Handle potential API failures
-    if (coinInfo.status === 'rejected') {
-      throw new Error(`Coin ${coinId} not found`);
-    }
-    
-    const coin = coinInfo.value;
-    const ticker = tickerData.status === 'fulfilled' ? tickerData.value : null;
-    const chartData = ohlcvData.status === 'fulfilled' ? ohlcvData.value : [];
-    
-    // Get additional metrics if available
-    let additionalMetrics = {};
-    if (ticker) {
-      additionalMetrics = {
-        price: ticker.quotes?.USD?.price || 0,
-        volume_24h: ticker.quotes?.USD?.volume_24h || 0,
-        market_cap: ticker.quotes?.USD?.market_cap || 0,
-        percent_change_1h: ticker.quotes?.USD?.percent_change_1h || 0,
-        percent_change_24h: ticker.quotes?.USD?.percent_change_24h || 0,
-        percent_change_7d: ticker.quotes?.USD?.percent_change_7d || 0,
-        percent_change_30d: ticker.quotes?.USD?.percent_change_30d || 0,
-        ath_price: ticker.quotes?.USD?.ath_price || 0,
-        ath_date: ticker.ath_date,
-        percent_from_ath: ticker.quotes?.USD?.percent_from_price_ath || 0
-      };
-    }
-    
-    // Construct the complete coin details object
-    return {
-      id: coin.id,
-      symbol: coin.symbol,
-      name: coin.name,
-      description: coin.description || 'No description available',
-      rank: coin.rank,
-      is_active: coin.is_active,
-      is_new: coin.is_new,
-      type: coin.type,
-      tags: coin.tags || [],
-      team: coin.team || [],
-      links: coin.links || {},
-      started_at: coin.started_at,
-      development_status: coin.development_status,
-      hardware_wallet: coin.hardware_wallet,
-      org_structure: coin.org_structure,
-      hash_algorithm: coin.hash_algorithm,
-      metrics: {
-        ...additionalMetrics,
-        total_supply: coin.total_supply,
-        max_supply: coin.max_supply,
-        circulating_supply: coin.circulating_supply
-      },
-      chart_data: chartData
-    };
-    
-  } catch (error) {
-    console.error(`  Error getting details for ${coinId}:`, error);
-    throw error;
+function getCoinDetails(coinId, timeframe = '7d') {
+  if (onchain.isOnchainId(coinId)) {
+    return onchain.getTokenDetails(coinId, timeframe);
   }
+
+  return callProvider('getCoinDetails', [coinId, timeframe]);
 }
 
 // Function 6: Get OHLCV data for charts
-async function getCoinOHLCV(coinId, timeframe = '7d') {
-  try {
-    const days = timeframeToDays(timeframe);
-    
-    let ohlcvData = [];
-    
-    if (days === 'max') {
-      // For max, we need to fetch historical data
-      // Note: This might be limited by API constraints
-      ohlcvData = await makeAPIRequest(ENDPOINTS.OHLCV_HISTORICAL(coinId), {
-        start: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-        end: new Date().toISOString().split('T')[0],
-        limit: 365
-      });
-    } else if (days <= 1) {
-      // For today or less
-      ohlcvData = await makeAPIRequest(ENDPOINTS.OHLCV_TODAY(coinId));
-    } else {
-      // For specific number of days
-      ohlcvData = await makeAPIRequest(ENDPOINTS.OHLCV_HISTORICAL(coinId), {
-        start: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-        end: new Date().toISOString().split('T')[0],
-        limit: Math.min(days, 365) // Limit to 365 points max
-      });
-    }
-    
-    // Transform to our chart format
-    return ohlcvData.map(point => ({
-      timestamp: point.time_close || point.time_open || Date.now(),
-      open: point.open,
-      high: point.high,
-      low: point.low,
-      close: point.close,
-      volume: point.volume
-    }));
-    
-  } catch (error) {
-    console.error(`  Error getting OHLCV for ${coinId}:`, error);
-    return []; // Return empty array instead of throwing
+function getCoinOHLCV(coinId, timeframe = '7d') {
+  const parsed = onchain.parseOnchainId(coinId);
+  if (parsed) {
+    return onchain.getTokenOHLCV(parsed.network, parsed.address, timeframe);
   }
+
+  return callProvider('getCoinOHLCV', [coinId, timeframe]);
 }
 
 // Function 7: Get global market data
-async function getGlobalMarketData() {
-  try {
-    const globalData = await makeAPIRequest(ENDPOINTS.GLOBAL);
-    
-    return {
-      total_market_cap: globalData.market_cap_usd,
-      total_volume_24h: globalData.volume_24h_usd,
-      bitcoin_dominance: globalData.bitcoin_dominance_percentage,
-      cryptocurrencies_count: globalData.cryptocurrencies_number,
-      market_cap_change_24h: globalData.market_cap_change_24h,
-      volume_change_24h: globalData.volume_change_24h
-    };
-    
-  } catch (error) {
-    console.error(' Error getting global market data:', error);
-    throw error;
-  }
+function getGlobalMarketData() {
+  return callProvider('getGlobalMarketData', []);
 }
 
 // Function 8: Get all coins (for reference)
-async function getAllCoins() {
-  try {
-    const coins = await makeAPIRequest(ENDPOINTS.COINS);
-    
-    return coins.map(coin => ({
-      id: coin.id,
-      symbol: coin.symbol,
-      name: coin.name,
-      rank: coin.rank,
-      is_active: coin.is_active,
-      is_new: coin.is_new,
-      type: coin.type
-    }));
-    
-  } catch (error) {
-    console.error('  Error getting all coins:', error);
-    throw error;
-  }
+function getAllCoins() {
+  return callProvider('getAllCoins', []);
 }
 
 // Function 9: Get coin by symbol (case-insensitive)
+// Answered from the local symbol index; the providers (which download the full coin list) are only asked while it is empty
 async function getCoinBySymbol(symbol) {
-  try {
-    // First get all coins and filter by symbol
-    const allCoins = await getAllCoins();
-    
-    const coin = allCoins.find(c => 
-      c.symbol.toLowerCase() === symbol.toLowerCase()
-    );
-    
-    if (!coin) {
-      throw new Error(`Coin with symbol ${symbol} not found`);
-    }
-    
-    return coin;
-    
-  } catch (error) {
-    console.error(`  Error getting coin by symbol ${symbol}:`, error);
-    throw error;
+  const coin = symbolIndex ? symbolIndex(symbol) : undefined;
+
+  if (coin === undefined) {
+    return callProvider('getCoinBySymbol', [symbol]);
+  }
+
+  if (!coin) {
+    throw new Error(`Coin with symbol ${symbol} not found`);
   }
+
+  return coin;
+}
+
+// Function 10: Get current quotes (price, 24h change, volume, market cap) for multiple coins
+async function getCurrentQuotes(coinIds = []) {
+  const { listed, tokens } = splitCoinIds(coinIds);
+  if (tokens.length === 0) {
+    return callProvider('getCurrentQuotes', [coinIds]);
+  }
+
+  const [quotes, tokenQuotes] = await Promise.all([
+    listed.length > 0 ? callProvider('getCurrentQuotes', [listed]) : {},
+    onchain.getTokenQuotes(tokens)
+  ]);
+
+  return { ...quotes, ...tokenQuotes };
+}
+
+// Function 11: Get upstream health for monitoring (failover chain, circuit breakers, request budget, DexPaprika)
+// Providers without a remote API (e.g. fixture) report no rate limit
+function getUpstreamStats() {
+  const provider = getProvider();
+  const chain = getProviderChain();
+
+  return {
+    provider: provider.name,
+    fallback_enabled: USE_FALLBACK,
+    failover_chain: chain,
+    circuit_breakers: chain.map(name => getBreaker(name).getState()),
+    last_known_good_entries: lastKnownGood.size,
+    rate_limit: typeof provider.getRateLimitStats === 'function' ? provider.getRateLimitStats() : null,
+    onchain: onchain.getOnchainStats()
+  };
+}
+
+// Function 12: Get a coin's USD price at a past moment ({ price, timestamp })
+function getHistoricalPrice(coinId, date) {
+  const parsed = onchain.parseOnchainId(coinId);
+  if (parsed) {
+    return onchain.getTokenHistoricalPrice(parsed.network, parsed.address, date);
+  }
+
+  return callProvider('getHistoricalPrice', [coinId, new Date(date).toISOString()]);
+}
+
+// Function 13: Get the exchange pairs (or, for on-chain tokens, DEX pools) a coin trades on
+function getCoinMarkets(coinId) {
+  const parsed = onchain.parseOnchainId(coinId);
+  if (parsed) {
+    return onchain.getTokenMarkets(parsed.network, parsed.address);
+  }
+
+  return callProvider('getCoinMarkets', [coinId]);
+}
+
+// Function 14: Get the exchange directory
+function getExchanges() {
+  return callProvider('getExchanges', []);
+}
+
+// Function 15: Get a tag (category) and the coins carrying it
+function getCoinsByTag(tagId) {
+  return callProvider('getCoinsByTag', [tagId]);
 }
 
 // ======================================
@@ -474,114 +409,86 @@ function isValidCoinId(coinId) {
   return coinId && typeof coinId === 'string' && coinId.trim().length > 0;
 }
 
-// Validate timeframe
+// Validate timeframe (see services/ohlcv.js for what each one returns)
 function isValidTimeframe(timeframe) {
-  const validTimeframes = ['1h', '4h', '12h', '1d', '3d', '7d', '14d', '30d', '90d', '180d', '365d', 'max'];
-  return validTimeframes.includes(timeframe);
+  return ohlcv.TIMEFRAMES.includes(timeframe);
 }
 
 // ======================================
-// STEP 6: RATE LIMIT HANDLING
-// ======================================
-
-// Note: CoinPaprika has rate limits (10 requests/minute without API key)
-// We implement basic rate limiting awareness
-let requestCount = 0;
-let resetTime = Date.now() + 60000; // 1 minute from now
-
-function checkRateLimit() {
-  const now = Date.now();
-  
-  // Reset counter if minute has passed
-  if (now > resetTime) {
-    requestCount = 0;
-    resetTime = now + 60000;
-  }
-  
-  // Check if we're approaching limit
-  if (requestCount >= 8) { // Warning at 8 requests
-    console.warn(` Approaching rate limit: ${requestCount}/10 requests this minute`);
-  }
-  
-  if (requestCount >= 10) {
-    throw new Error('Rate limit exceeded (10 requests/minute). Please wait.');
-  }
-  
-  requestCount++;
-}
-
-// ======================================
-// STEP 7: EXPORT ALL FUNCTIONS
+// STEP 6: EXPORT ALL FUNCTIONS
 // ======================================
 
 module.exports = {
   // Price functions
   getCurrentPrices,
+  getCurrentQuotes,
   getCoinCurrentPrice,
-  
+
   // Search and discovery
   searchCoins,
   getTrendingCoins,
   getAllCoins,
   getCoinBySymbol,
-  
+
   // Detailed data
   getCoinDetails,
   getCoinOHLCV,
-  
+
   // Market data
   getGlobalMarketData,
-  
+  getHistoricalPrice,
+  getCoinMarkets,
+  getExchanges,
+  getCoinsByTag,
+
+  // Monitoring and data freshness
+  getUpstreamStats,
+  trackDataStatus,
+  getDataStatus,
+
+  // Provider selection
+  registerProvider,
+  registerSymbolIndex,
+  getProvider,
+  PROVIDER_METHODS,
+
   // Utility functions
   isValidCoinId,
   isValidTimeframe,
-  
+
   // Constants (for reference)
-  ENDPOINTS,
-  BASE_URL
+  ENDPOINTS: coinpaprikaProvider.ENDPOINTS,
+  BASE_URL: coinpaprikaProvider.BASE_URL
 };
 
 // ======================================
-// STEP 8: USAGE EXAMPLES
+// STEP 7: USAGE EXAMPLES
 // ======================================
 
 /*
   Example usage in other files:
-  
+
   // Import the service
   const dexpaprika = require('./services/dexpaprika');
-  
+
   // Get current price of Bitcoin
   const btcPrice = await dexpaprika.getCoinCurrentPrice('btc-bitcoin');
-  
+
   // Search for coins
   const results = await dexpaprika.searchCoins('bitcoin');
-  
+
   // Get trending coins
   const trending = await dexpaprika.getTrendingCoins();
-  
+
   // Get detailed coin info with chart
   const coinDetails = await dexpaprika.getCoinDetails('btc-bitcoin', '7d');
-*/
 
-// ======================================
-// STEP 9: IMPORTANT NOTES
-// ======================================
+  // Work fully offline from recorded data
+  // MARKET_DATA_PROVIDER=fixture npm start
 
-/*
-  IMPORTANT: CoinPaprika API Notes
-  
-  1. Rate Limits: 10 requests per minute without API key
-  2. Coin IDs: Use specific IDs like 'btc-bitcoin' not symbols
-  3. Data Freshness: Prices update every 10-60 seconds
-  4. Free Tier: Sufficient for our app's needs
-  
-  Common Coin IDs:
-  - Bitcoin: btc-bitcoin
-  - Ethereum: eth-ethereum
-  - Binance Coin: bnb-binance-coin
-  - Cardano: ada-cardano
-  - Solana: sol-solana
-  
-  To find a coin's ID, use searchCoins() function.
-*/
\ No newline at end of file
+  // Serve recorded data while CoinPaprika is down (responses are flagged as stale)
+  // MARKET_DATA_FAILOVER=fixture npm start
+
+  // On-chain tokens use "network:contractAddress" IDs
+  const pepe = await dexpaprika.getCoinDetails('ethereum:0x6982508145454ce325ddbe47a25d4ec3d2311933', '7d');
+*/
@@ -0,0 +1,232 @@
+// services/fxRates.js
+// Fiat exchange rate service for the crypto portfolio app
+// All market data is fetched in USD; this service converts it to the user's display currency
+
+// ======================================
+// STEP 1: IMPORT REQUIRED MODULES
+// ======================================
+
+// Database functions for rate history
+const db = require('../db');
+require('dotenv').config();
+
+// ======================================
+// STEP 2: CONFIGURATION
+// ======================================
+
+// All rates are quoted against USD
+const BASE_CURRENCY = 'USD';
+
+// Currencies users can choose as their display currency
+const SUPPORTED_CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'NGN', 'THB', 'JPY', 'CAD', 'AUD',
+  'CHF', 'CNY', 'INR', 'ZAR', 'KES', 'GHS', 'BRL', 'SGD'
+];
+
+// How long fetched rates are reused before asking the source again
+const CACHE_TTL = parseInt(process.env.FX_CACHE_TTL, 10) || 60 * 60 * 1000; // 1 hour
+
+// How soon to ask the source again after a failed refresh (stored or older rates are served meanwhile)
+const RETRY_INTERVAL = parseInt(process.env.FX_RETRY_INTERVAL, 10) || 5 * 60 * 1000; // 5 minutes
+
+// ======================================
+// STEP 3: RATE SOURCES
+// ======================================
+
+// A rate source is an object with a name and an async fetchRates()
+// that resolves to { CURRENCY: units per 1 USD, ... }
+const rateSources = {
+  // Free, keyless API with daily-updated rates
+  'open-er-api': {
+    name: 'open-er-api',
+    async fetchRates() {
+      const response = await fetch(`https://open.er-api.com/v6/latest/${BASE_CURRENCY}`, {
+        headers: { 'Accept': 'application/json' },
+        signal: AbortSignal.timeout(parseInt(process.env.API_TIMEOUT, 10) || 10 * 1000)
+      });
+
+      if (!response.ok) {
+        throw new Error(`FX request failed: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      if (data.result !== 'success' || !data.rates) {
+        throw new Error('FX source returned no rates');
+      }
+
+      return data.rates;
+    }
+  },
+
+  // Fixed rates from the environment, e.g. FX_STATIC_RATES=EUR=0.92,NGN=1400
+  // Useful offline or when rates must not move (falls back to USD_TO_NGN_RATE)
+  static: {
+    name: 'static',
+    async fetchRates() {
+      const rates = { [BASE_CURRENCY]: 1 };
+
+      if (process.env.USD_TO_NGN_RATE) {
+        rates.NGN = parseFloat(process.env.USD_TO_NGN_RATE);
+      }
+
+      (process.env.FX_STATIC_RATES || '').split(',').forEach(pair => {
+        const [currency, rate] = pair.split('=').map(part => part && part.trim());
+        if (currency && !isNaN(parseFloat(rate))) {
+          rates[currency.toUpperCase()] = parseFloat(rate);
+        }
+      });
+
+      return rates;
+    }
+  }
+};
+
+// Register an additional rate source (must provide fetchRates)
+function registerRateSource(name, source) {
+  if (!source || typeof source.fetchRates !== 'function') {
+    throw new Error('Rate source must implement fetchRates()');
+  }
+  rateSources[name] = { name, ...source };
+}
+
+// Get the configured rate source
+function getRateSource() {
+  const name = process.env.FX_RATE_SOURCE || 'open-er-api';
+  const source = rateSources[name];
+
+  if (!source) {
+    throw new Error(`Unknown FX rate source: ${name}`);
+  }
+
+  return source;
+}
+
+// ======================================
+// STEP 4: CACHE
+// ======================================
+
+const cache = {
+  rates: null,
+  fetchedAt: 0, // When the served rates were fetched from their source
+  nextRefreshAt: 0,
+  source: null,
+  pending: null // In-flight refresh, shared by concurrent callers
+};
+
+// Fetch fresh rates, store them in history and the cache
+// Falls back to the newest stored or in-memory rates if the source is unavailable
+async function refreshRates() {
+  const source = getRateSource();
+
+  try {
+    const fetched = await source.fetchRates();
+
+    // Keep only currencies we support
+    const rates = { [BASE_CURRENCY]: 1 };
+    SUPPORTED_CURRENCIES.forEach(currency => {
+      if (fetched[currency]) {
+        rates[currency] = fetched[currency];
+      }
+    });
+
+    cache.rates = rates;
+    cache.fetchedAt = Date.now();
+    cache.nextRefreshAt = cache.fetchedAt + CACHE_TTL;
+    cache.source = source.name;
+
+    // History is best effort - a failed insert should not break quoting
+    db.storeFxRates(source.name, BASE_CURRENCY, rates).catch(error => {
+      console.warn('⚠️ Could not store FX rates:', error.message);
+    });
+
+    return cache.rates;
+
+  } catch (error) {
+    console.error(`  FX rate refresh failed (${source.name}):`, error.message);
+    cache.nextRefreshAt = Date.now() + RETRY_INTERVAL;
+
+    // A failed lookup leaves the in-memory rates as the only fallback
+    const stored = await db.getLatestFxRates(BASE_CURRENCY).catch(dbError => {
+      console.warn('⚠️ Could not load stored FX rates:', dbError.message);
+      return null;
+    });
+
+    // Stored rates keep their original fetch time, and are only used if newer than the ones in memory
+    const storedAt = stored && stored.fetched_at ? new Date(stored.fetched_at).getTime() : 0;
+    if (stored && Object.keys(stored.rates).length > 0 && (!cache.rates || storedAt > cache.fetchedAt)) {
+      cache.rates = { ...stored.rates, [BASE_CURRENCY]: 1 };
+      cache.fetchedAt = storedAt;
+      cache.source = `${stored.source} (stored)`;
+      return cache.rates;
+    }
+
+    // Nothing newer stored - keep serving whatever we had
+    if (cache.rates) {
+      return cache.rates;
+    }
+
+    throw error;
+  }
+}
+
+// ======================================
+// STEP 5: CORE FUNCTIONS
+// ======================================
+
+// Function 1: Get current USD rates for all supported currencies
+async function getRates() {
+  if (!cache.rates || Date.now() >= cache.nextRefreshAt) {
+    if (!cache.pending) {
+      cache.pending = refreshRates().finally(() => {
+        cache.pending = null;
+      });
+    }
+    await cache.pending;
+  }
+
+  return {
+    base: BASE_CURRENCY,
+    rates: cache.rates,
+    source: cache.source,
+    fetched_at: new Date(cache.fetchedAt).toISOString()
+  };
+}
+
+// Function 2: Get the rate for one currency (units per 1 USD)
+async function getRate(currency) {
+  if (currency === BASE_CURRENCY) return 1;
+
+  const { rates } = await getRates();
+
+  if (!rates[currency]) {
+    throw new Error(`No exchange rate available for ${currency}`);
+  }
+
+  return rates[currency];
+}
+
+// Function 3: Get a synchronous USD -> currency converter
+// Lets callers convert many values after a single rate lookup
+async function getConverter(currency) {
+  const rate = await getRate(currency);
+  return (usdAmount) => (usdAmount === null || usdAmount === undefined ? usdAmount : Number(usdAmount) * rate);
+}
+
+// Function 4: Validate a currency code
+function isSupportedCurrency(currency) {
+  return typeof currency === 'string' && SUPPORTED_CURRENCIES.includes(currency.toUpperCase());
+}
+
+// ======================================
+// STEP 6: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  getRates,
+  getRate,
+  getConverter,
+  isSupportedCurrency,
+  registerRateSource,
+  SUPPORTED_CURRENCIES,
+  BASE_CURRENCY
+};
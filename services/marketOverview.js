@@ -0,0 +1,133 @@
+// services/marketOverview.js
+// Global market overview for the crypto portfolio app
+// Live market totals plus a daily history (stored by a scheduled job) for sparklines
+
+// ======================================
+// STEP 1: IMPORT REQUIRED MODULES
+// ======================================
+
+// Database functions for market snapshots
+const db = require('../db');
+
+// DexPaprika service for global market data
+const dexpaprikaService = require('./dexpaprika');
+require('dotenv').config();
+
+// ======================================
+// STEP 2: CONFIGURATION
+// ======================================
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Sparkline length when the caller doesn't ask for one, and the longest allowed
+const DEFAULT_HISTORY_DAYS = 30;
+const MAX_HISTORY_DAYS = 365;
+
+// How often today's market totals are stored (0 disables it)
+// One row is kept per UTC day - later runs on the same day overwrite it
+const MARKET_SNAPSHOT_INTERVAL = parseInt(process.env.MARKET_SNAPSHOT_INTERVAL, 10) >= 0
+  ? parseInt(process.env.MARKET_SNAPSHOT_INTERVAL, 10)
+  : 60 * 60 * 1000; // 1 hour
+
+// ======================================
+// STEP 3: HELPER FUNCTIONS
+// ======================================
+
+// UTC calendar date (YYYY-MM-DD) of a moment
+function utcDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// ======================================
+// STEP 4: CORE FUNCTIONS
+// ======================================
+
+// Function 1: Live market totals with their 24h changes and daily history (USD)
+// The API has no 24h change for BTC dominance, so it is measured against yesterday's stored value
+async function getMarketOverview(days = DEFAULT_HISTORY_DAYS) {
+  const [global, history] = await Promise.all([
+    dexpaprikaService.getGlobalMarketData(),
+    db.getMarketSnapshots(days)
+  ]);
+
+  const yesterday = utcDate(new Date(Date.now() - MS_PER_DAY));
+  const previous = history.find(snapshot => snapshot.date === yesterday);
+
+  return {
+    total_market_cap: global.total_market_cap,
+    market_cap_change_24h: global.market_cap_change_24h ?? null,
+    total_volume_24h: global.total_volume_24h,
+    volume_change_24h: global.volume_change_24h ?? null,
+    bitcoin_dominance: global.bitcoin_dominance,
+    bitcoin_dominance_change_24h: previous
+      ? global.bitcoin_dominance - previous.bitcoin_dominance
+      : null,
+    cryptocurrencies_count: global.cryptocurrencies_count,
+    history
+  };
+}
+
+// Function 2: Store today's market totals
+async function takeMarketSnapshot() {
+  const global = await dexpaprikaService.getGlobalMarketData();
+
+  await db.saveMarketSnapshot({
+    total_market_cap: global.total_market_cap,
+    total_volume_24h: global.total_volume_24h,
+    bitcoin_dominance: global.bitcoin_dominance
+  });
+}
+
+// ======================================
+// STEP 5: SCHEDULED JOB
+// ======================================
+
+const job = {
+  timer: null,
+  running: false // Skip a run if the previous one is still going
+};
+
+// Run one snapshot pass, logging instead of throwing
+async function runMarketSnapshotJob() {
+  if (job.running) return;
+  job.running = true;
+
+  try {
+    await takeMarketSnapshot();
+  } catch (error) {
+    console.error('  Market snapshot failed:', error.message);
+  } finally {
+    job.running = false;
+  }
+}
+
+// Function 3: Start the market snapshot job (takes one snapshot right away)
+function startMarketSnapshotJob(interval = MARKET_SNAPSHOT_INTERVAL) {
+  if (job.timer || interval <= 0) return;
+
+  runMarketSnapshotJob();
+  job.timer = setInterval(runMarketSnapshotJob, interval);
+
+  console.log(`🌍 Market snapshots every ${Math.round(interval / 60000)} min`);
+}
+
+// Function 4: Stop the market snapshot job
+function stopMarketSnapshotJob() {
+  if (job.timer) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+}
+
+// ======================================
+// STEP 6: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  getMarketOverview,
+  takeMarketSnapshot,
+  startMarketSnapshotJob,
+  stopMarketSnapshotJob,
+  DEFAULT_HISTORY_DAYS,
+  MAX_HISTORY_DAYS
+};
@@ -0,0 +1,160 @@
+// services/ohlcv.js
+// Candle resampling for price charts
+// Turns raw price series (daily candles or intraday ticks) into evenly sized, gap-free candles per timeframe
+
+// ======================================
+// STEP 1: CONFIGURATION
+// ======================================
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+// Candle sizes
+const BUCKETS = {
+  '5m': 5 * MS_PER_MINUTE,
+  '1h': MS_PER_HOUR,
+  '4h': 4 * MS_PER_HOUR,
+  '1d': MS_PER_DAY,
+  '1w': 7 * MS_PER_DAY
+};
+
+// Chart timeframes: how far back each one looks (null = all history) and its candle size
+// Sized for roughly 12-180 candles per chart
+const TIMEFRAMES = {
+  '1h': { range: MS_PER_HOUR, bucket: '5m' },
+  '4h': { range: 4 * MS_PER_HOUR, bucket: '5m' },
+  '12h': { range: 12 * MS_PER_HOUR, bucket: '5m' },
+  '1d': { range: MS_PER_DAY, bucket: '1h' },
+  '3d': { range: 3 * MS_PER_DAY, bucket: '1h' },
+  '7d': { range: 7 * MS_PER_DAY, bucket: '4h' },
+  '14d': { range: 14 * MS_PER_DAY, bucket: '4h' },
+  '30d': { range: 30 * MS_PER_DAY, bucket: '1d' },
+  '90d': { range: 90 * MS_PER_DAY, bucket: '1d' },
+  '180d': { range: 180 * MS_PER_DAY, bucket: '1d' },
+  '365d': { range: 365 * MS_PER_DAY, bucket: '1w' },
+  'max': { range: null, bucket: '1w' }
+};
+
+// Weekly candles open on Monday 00:00 UTC (the Unix epoch was a Thursday)
+const WEEK_OFFSET = 4 * MS_PER_DAY;
+
+// ======================================
+// STEP 2: HELPER FUNCTIONS
+// ======================================
+
+// Get the range and candle size for a timeframe (unknown timeframes fall back to 7d)
+function getTimeframePlan(timeframe) {
+  const plan = TIMEFRAMES[timeframe] || TIMEFRAMES['7d'];
+
+  return {
+    range: plan.range,
+    bucket: plan.bucket,
+    bucketMs: BUCKETS[plan.bucket]
+  };
+}
+
+// Start of the candle containing a timestamp (UTC-aligned)
+function bucketStart(timestamp, bucketMs) {
+  const offset = bucketMs === BUCKETS['1w'] ? WEEK_OFFSET : 0;
+  return Math.floor((timestamp - offset) / bucketMs) * bucketMs + offset;
+}
+
+// ======================================
+// STEP 3: CORE FUNCTIONS
+// ======================================
+
+// Function 1: Resample points into candles of bucketMs
+// points: [{ timestamp (ms), open, high, low, close, volume }] in any order, duplicates allowed
+// since: drop candles that start before the one containing this moment (null keeps everything)
+// Returns [{ timestamp (ISO, candle open time), open, high, low, close, volume }] with every
+// candle between the first and last present - empty ones are flat at the previous close with no volume
+// Candles built from one-price points (ticks, no open) open at the previous candle's close
+function resample(points, bucketMs, since = null) {
+  // Sort and keep one point per timestamp (page boundaries overlap)
+  const byTime = new Map();
+  points
+    .filter(point => Number.isFinite(point.timestamp) && Number.isFinite(point.close))
+    .forEach(point => byTime.set(point.timestamp, point));
+
+  const sorted = [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+  const first = since === null ? null : bucketStart(since, bucketMs);
+
+  const candles = new Map(); // bucket start -> candle
+  let lastClose = null; // Close of the latest point seen so far
+  sorted.forEach(point => {
+    const start = bucketStart(point.timestamp, bucketMs);
+    const previousClose = lastClose;
+    lastClose = point.close;
+
+    if (first !== null && start < first) return;
+
+    const candle = candles.get(start);
+    if (!candle) {
+      const open = point.open ?? previousClose ?? point.close;
+      candles.set(start, {
+        start,
+        open,
+        high: Math.max(open, point.high ?? point.close),
+        low: Math.min(open, point.low ?? point.close),
+        close: point.close,
+        volume: point.volume || 0
+      });
+      return;
+    }
+
+    candle.high = Math.max(candle.high, point.high ?? point.close);
+    candle.low = Math.min(candle.low, point.low ?? point.close);
+    candle.close = point.close;
+    candle.volume += point.volume || 0;
+  });
+
+  return fillGaps([...candles.values()], bucketMs).map(candle => ({
+    timestamp: new Date(candle.start).toISOString(),
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume
+  }));
+}
+
+// Function 2: Insert flat candles for buckets with no data (sorted input)
+function fillGaps(candles, bucketMs) {
+  const filled = [];
+
+  candles.forEach(candle => {
+    const previous = filled[filled.length - 1];
+
+    if (previous) {
+      for (let start = previous.start + bucketMs; start < candle.start; start += bucketMs) {
+        filled.push({
+          start,
+          open: previous.close,
+          high: previous.close,
+          low: previous.close,
+          close: previous.close,
+          volume: 0
+        });
+      }
+    }
+
+    filled.push(candle);
+  });
+
+  return filled;
+}
+
+// ======================================
+// STEP 4: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  resample,
+  fillGaps,
+  bucketStart,
+  getTimeframePlan,
+  BUCKETS,
+  TIMEFRAMES: Object.keys(TIMEFRAMES),
+  MS_PER_DAY
+};
@@ -0,0 +1,495 @@
+// services/onchain.js
+// DexPaprika on-chain data for the crypto portfolio app
+// Networks, tokens by contract address, liquidity pools and pool candles from decentralized exchanges
+// Tokens are identified as "network:contractAddress" (e.g. "ethereum:0x6982...1933") wherever a coin ID is accepted
+
+// ======================================
+// STEP 1: IMPORT REQUIRED MODULES
+// ======================================
+
+// Token-bucket limiter for outbound requests
+const { createRateLimiter } = require('./rateLimiter');
+
+// Cached, rate-limited requests with retries and timeouts
+const { createUpstreamClient, apiError } = require('./upstreamClient');
+
+// Circuit breaker so an unreachable API is not waited on for every token
+const { createCircuitBreaker } = require('./circuitBreaker');
+
+// Candle resampling for chart timeframes
+const ohlcv = require('./ohlcv');
+require('dotenv').config();
+
+// ======================================
+// STEP 2: API CONFIGURATION
+// ======================================
+
+// Base URL for the DexPaprika API
+// Point it at the recorded-fixture server (fixtures/dexpaprikaServer.js) to work offline
+const BASE_URL = (process.env.DEXPAPRIKA_API_URL || 'https://api.dexpaprika.com').replace(/\/+$/, '');
+
+// API endpoints
+const ENDPOINTS = {
+  NETWORKS: '/networks',
+  NETWORK_POOLS: (network) => `/networks/${network}/pools`,
+  POOL: (network, pool) => `/networks/${network}/pools/${pool}`,
+  POOL_OHLCV: (network, pool) => `/networks/${network}/pools/${pool}/ohlcv`,
+  TOKEN: (network, token) => `/networks/${network}/tokens/${token}`,
+  TOKEN_POOLS: (network, token) => `/networks/${network}/tokens/${token}/pools`,
+  SEARCH: '/search'
+};
+
+// How long each kind of response stays fresh (first match wins)
+// Anything not listed uses API_CACHE_TTL
+const ENDPOINT_TTLS = [
+  { pattern: /^\/networks$/, ttl: 24 * 60 * 60 * 1000 }, // Network list: 1 day
+  { pattern: /\/ohlcv$/, ttl: 5 * 60 * 1000 }, // Pool candles: 5 minutes
+  { pattern: /\/tokens\/[^/]+\/pools$/, ttl: 5 * 60 * 1000 }, // A token's pools: 5 minutes
+  { pattern: /\/pools$/, ttl: 5 * 60 * 1000 }, // A network's top pools: 5 minutes
+  { pattern: /\/(tokens|pools)\/[^/]+$/, ttl: 60 * 1000 }, // Token or pool quote: 1 minute
+  { pattern: /^\/search$/, ttl: 10 * 60 * 1000 } // Search results: 10 minutes
+];
+
+// Pool candle sizes offered by the API - chart candles are built from the largest one that divides them
+const OHLCV_INTERVALS = [
+  { interval: '5m', ms: 5 * 60 * 1000 },
+  { interval: '1h', ms: 60 * 60 * 1000 },
+  { interval: '24h', ms: ohlcv.MS_PER_DAY }
+];
+
+// The API returns at most this many candles per request ("max" charts are capped to it)
+const MAX_OHLCV_CANDLES = 366;
+
+// "network:contractAddress" - networks are lowercase slugs, addresses keep their case (Solana is case-sensitive)
+const ONCHAIN_ID_PATTERN = /^([a-z0-9-]+):([A-Za-z0-9][A-Za-z0-9:_-]{19,})$/;
+
+// DexPaprika needs no API key; keep well inside its fair-use limits
+const upstreamLimiter = createRateLimiter({
+  name: 'DexPaprika',
+  limit: parseInt(process.env.DEXPAPRIKA_RATE_LIMIT, 10) || 60, // Requests per minute
+  intervalMs: 60 * 1000,
+  maxQueue: parseInt(process.env.API_QUEUE_LIMIT, 10) || 100,
+  maxWaitMs: parseInt(process.env.API_QUEUE_TIMEOUT, 10) || 60 * 1000
+});
+
+const breaker = createCircuitBreaker({
+  name: 'DexPaprika',
+  failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 5,
+  resetTimeoutMs: parseInt(process.env.CIRCUIT_BREAKER_RESET, 10) || 30 * 1000
+});
+
+// Requests to DexPaprika: cached per ENDPOINT_TTLS, retried on 429/5xx, refused while the circuit is open
+const { makeAPIRequest, getStats } = createUpstreamClient({
+  name: 'DexPaprika',
+  baseUrl: BASE_URL,
+  limiter: upstreamLimiter,
+  endpointTTLs: ENDPOINT_TTLS,
+  breaker
+});
+
+// ======================================
+// STEP 3: HELPER FUNCTIONS
+// ======================================
+
+// Helper to check a network slug before it goes into a URL
+function assertNetwork(network) {
+  if (!/^[a-z0-9-]+$/.test(network || '')) {
+    throw apiError(`Invalid network: ${network}`, false);
+  }
+}
+
+// Helper to check a contract or pool address before it goes into a URL
+function assertAddress(address) {
+  if (!/^[A-Za-z0-9][A-Za-z0-9:_-]{19,}$/.test(address || '')) {
+    throw apiError(`Invalid address: ${address}`, false);
+  }
+}
+
+// Helper to reduce a token to the quote fields we use (market cap is fully diluted - DEX tokens have no circulating supply)
+function tokenToQuote(token) {
+  const day = token?.summary?.['24h'] || {};
+
+  return {
+    price: token?.summary?.price_usd || 0,
+    change_24h: day.last_price_usd_change || 0,
+    volume_24h: day.volume_usd || 0,
+    market_cap: token?.summary?.fdv || 0
+  };
+}
+
+// Helper to shape a pool for callers
+function formatPool(pool, network) {
+  return {
+    id: `${pool.chain || network}:${pool.id}`,
+    address: pool.id,
+    network: pool.chain || network,
+    dex_id: pool.dex_id,
+    dex_name: pool.dex_name,
+    price: pool.price_usd ?? pool.last_price_usd ?? 0,
+    change_24h: pool.last_price_change_usd_24h || 0,
+    volume_24h: pool.volume_usd ?? pool['24h']?.volume_usd ?? 0,
+    transactions: pool.transactions ?? pool['24h']?.txns ?? 0,
+    fee: pool.fee ?? null,
+    created_at: pool.created_at || null,
+    tokens: (pool.tokens || []).map(token => ({
+      id: `${token.chain || network}:${token.id}`,
+      address: token.id,
+      symbol: token.symbol,
+      name: token.name
+    }))
+  };
+}
+
+// Helper to pick the raw candle size for a chart candle size
+function intervalFor(bucketMs) {
+  return [...OHLCV_INTERVALS].reverse().find(option => bucketMs % option.ms === 0) || OHLCV_INTERVALS[0];
+}
+
+// Helper to find a token's most traded pool and whether its candles need flipping (null if it has none)
+// Candles price the pool's first token - inversed when ours is the second
+async function topPoolFor(network, address) {
+  const { pools } = await getTokenPools(network, address, { limit: 1 });
+  const pool = pools[0];
+
+  if (!pool) return null;
+
+  return {
+    pool,
+    inversed: pool.tokens[0]?.address.toLowerCase() !== address.toLowerCase()
+  };
+}
+
+// ======================================
+// STEP 4: CORE API FUNCTIONS
+// ======================================
+
+// Function 1: Split a "network:contractAddress" ID (null for ordinary coin IDs like "btc-bitcoin")
+function parseOnchainId(coinId) {
+  const match = ONCHAIN_ID_PATTERN.exec(String(coinId || ''));
+  return match ? { network: match[1], address: match[2] } : null;
+}
+
+// Function 2: Check whether a coin ID refers to an on-chain token
+function isOnchainId(coinId) {
+  return parseOnchainId(coinId) !== null;
+}
+
+// Function 3: Get the supported networks
+async function getNetworks() {
+  const networks = await makeAPIRequest(ENDPOINTS.NETWORKS);
+
+  return networks.map(network => ({
+    id: network.id,
+    name: network.display_name || network.id
+  }));
+}
+
+// Function 4: Get a token by contract address
+async function getToken(network, address) {
+  assertNetwork(network);
+  assertAddress(address);
+
+  let token;
+  try {
+    token = await makeAPIRequest(ENDPOINTS.TOKEN(network, encodeURIComponent(address)));
+  } catch (error) {
+    throw apiError(`Token ${network}:${address} not found`, error.unavailable === true, error.local === true);
+  }
+
+  const summary = token.summary || {};
+
+  return {
+    id: `${network}:${address}`,
+    address,
+    network,
+    symbol: token.symbol,
+    name: token.name,
+    decimals: token.decimals ?? null,
+    description: token.description || '',
+    website: token.website || null,
+    explorer: token.explorer || null,
+    added_at: token.added_at || null,
+    ...tokenToQuote(token),
+    percent_change_1h: summary['1h']?.last_price_usd_change || 0,
+    liquidity_usd: summary.liquidity_usd || 0,
+    pool_count: summary.pools || 0,
+    total_supply: token.total_supply ?? null,
+    last_updated: token.last_updated || null
+  };
+}
+
+// Function 5: Get the pools that trade a token (most traded first)
+async function getTokenPools(network, address, { page = 0, limit = 10 } = {}) {
+  assertNetwork(network);
+  assertAddress(address);
+
+  const result = await makeAPIRequest(ENDPOINTS.TOKEN_POOLS(network, encodeURIComponent(address)), {
+    page,
+    limit,
+    sort: 'desc',
+    order_by: 'volume_usd'
+  });
+
+  return {
+    pools: (result.pools || []).map(pool => formatPool(pool, network)),
+    page_info: result.page_info || null
+  };
+}
+
+// Function 6: Get a network's top pools (most traded first)
+async function getNetworkPools(network, { page = 0, limit = 10 } = {}) {
+  assertNetwork(network);
+
+  const result = await makeAPIRequest(ENDPOINTS.NETWORK_POOLS(network), {
+    page,
+    limit,
+    sort: 'desc',
+    order_by: 'volume_usd'
+  });
+
+  return {
+    pools: (result.pools || []).map(pool => formatPool(pool, network)),
+    page_info: result.page_info || null
+  };
+}
+
+// Function 7: Get one pool
+async function getPool(network, poolAddress) {
+  assertNetwork(network);
+  assertAddress(poolAddress);
+
+  try {
+    const pool = await makeAPIRequest(ENDPOINTS.POOL(network, encodeURIComponent(poolAddress)));
+    return formatPool(pool, network);
+  } catch (error) {
+    throw apiError(`Pool ${network}:${poolAddress} not found`, error.unavailable === true, error.local === true);
+  }
+}
+
+// Function 8: Get a pool's candles for a chart timeframe (see services/ohlcv.js)
+// Prices are the pool's first token in USD; inversed = true prices the second token instead
+async function getPoolOHLCV(network, poolAddress, timeframe = '7d', inversed = false) {
+  assertNetwork(network);
+  assertAddress(poolAddress);
+
+  const plan = ohlcv.getTimeframePlan(timeframe);
+  const source = intervalFor(plan.bucketMs);
+  const now = Date.now();
+  const range = Math.min(plan.range ?? Infinity, MAX_OHLCV_CANDLES * source.ms);
+
+  const candles = await makeAPIRequest(ENDPOINTS.POOL_OHLCV(network, encodeURIComponent(poolAddress)), {
+    start: Math.floor((now - range) / 1000),
+    end: Math.floor(now / 1000),
+    interval: source.interval,
+    limit: MAX_OHLCV_CANDLES,
+    inversed
+  });
+
+  const points = (Array.isArray(candles) ? candles : []).map(candle => ({
+    timestamp: new Date(candle.time_open).getTime(),
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume || 0
+  }));
+
+  // Keep one timeframe's worth, measured back from the newest candle
+  // (the same window the API was asked for, and a sensible one for recordings that ignore it)
+  const newest = Math.max(...points.map(point => point.timestamp));
+  const since = points.length > 0 && plan.range !== null ? newest + source.ms - plan.range : null;
+
+  return ohlcv.resample(points, plan.bucketMs, since);
+}
+
+// Function 9: Get a token's candles from its most traded pool
+async function getTokenOHLCV(network, address, timeframe = '7d') {
+  const top = await topPoolFor(network, address);
+  if (!top) return [];
+
+  return getPoolOHLCV(network, top.pool.address, timeframe, top.inversed);
+}
+
+// Function 10: Get quotes for on-chain tokens ({ id: { price, change_24h, volume_24h, market_cap } })
+// Tokens that cannot be looked up are left out, so callers keep their last stored price
+async function getTokenQuotes(coinIds = []) {
+  const quotes = {};
+
+  await Promise.all(coinIds.map(async coinId => {
+    const parsed = parseOnchainId(coinId);
+    if (!parsed) return;
+
+    try {
+      const token = await getToken(parsed.network, parsed.address);
+      quotes[coinId] = {
+        price: token.price,
+        change_24h: token.change_24h,
+        volume_24h: token.volume_24h,
+        market_cap: token.market_cap
+      };
+    } catch (error) {
+      console.warn(`⚠️ Could not get on-chain price for ${coinId}: ${error.message}`);
+    }
+  }));
+
+  return quotes;
+}
+
+// Function 11: Get token details in the same shape as a provider's getCoinDetails()
+async function getTokenDetails(coinId, timeframe = '7d') {
+  const parsed = parseOnchainId(coinId);
+  if (!parsed) {
+    throw apiError(`Coin ${coinId} not found`, false);
+  }
+
+  const [token, pools, chartData] = await Promise.all([
+    getToken(parsed.network, parsed.address),
+    getTokenPools(parsed.network, parsed.address, { limit: 5 }).catch(() => ({ pools: [] })),
+    getTokenOHLCV(parsed.network, parsed.address, timeframe).catch(() => [])
+  ]);
+
+  return {
+    id: token.id,
+    symbol: token.symbol,
+    name: token.name,
+    description: token.description || 'No description available',
+    rank: 0,
+    is_active: true,
+    is_new: false,
+    type: 'token',
+    network: token.network,
+    address: token.address,
+    decimals: token.decimals,
+    tags: [],
+    team: [],
+    links: {
+      website: token.website ? [token.website] : [],
+      explorer: token.explorer ? [token.explorer] : []
+    },
+    metrics: {
+      price: token.price,
+      volume_24h: token.volume_24h,
+      market_cap: token.market_cap,
+      liquidity_usd: token.liquidity_usd,
+      percent_change_1h: token.percent_change_1h,
+      percent_change_24h: token.change_24h,
+      total_supply: token.total_supply,
+      max_supply: null,
+      circulating_supply: null
+    },
+    pools: pools.pools,
+    chart_data: chartData
+  };
+}
+
+// Function 12: Search tokens across every network
+async function searchTokens(query, limit = 20) {
+  const result = await makeAPIRequest(ENDPOINTS.SEARCH, { query });
+
+  return (result.tokens || []).slice(0, limit).map(token => ({
+    id: `${token.chain}:${token.id}`,
+    address: token.id,
+    network: token.chain,
+    symbol: token.symbol,
+    name: token.name,
+    price: token.price_usd || 0,
+    type: 'token'
+  }));
+}
+
+// Function 13: Get a token's USD price at a past moment from its most traded pool ({ price, timestamp })
+// Hourly candles for the last two weeks, daily ones before that
+async function getTokenHistoricalPrice(network, address, date) {
+  assertNetwork(network);
+  assertAddress(address);
+
+  const timestamp = new Date(date).getTime();
+  const top = await topPoolFor(network, address);
+  const source = Date.now() - timestamp <= 14 * ohlcv.MS_PER_DAY ? OHLCV_INTERVALS[1] : OHLCV_INTERVALS[2];
+
+  const candles = top ? await makeAPIRequest(ENDPOINTS.POOL_OHLCV(network, encodeURIComponent(top.pool.address)), {
+    start: Math.floor(timestamp / 1000),
+    interval: source.interval,
+    limit: 1,
+    inversed: top.inversed
+  }) : [];
+
+  // The candle containing the moment, or the next one (anything later means the pool didn't trade then)
+  const candle = (Array.isArray(candles) ? candles : []).find(c => {
+    const open = new Date(c.time_open).getTime();
+    return open + source.ms > timestamp && open <= timestamp + source.ms;
+  });
+
+  if (!candle) {
+    const error = apiError(`Price for ${network}:${address} at ${new Date(timestamp).toISOString()} not found`, false);
+    error.code = 'PRICE_NOT_FOUND';
+    throw error;
+  }
+
+  return {
+    price: candle.open,
+    timestamp: new Date(candle.time_open).toISOString()
+  };
+}
+
+// Function 14: Get a token's pools in the same shape as a provider's getCoinMarkets()
+// Pools price their first token, so pools where ours is the second have no price
+async function getTokenMarkets(network, address, limit = 20) {
+  const { pools } = await getTokenPools(network, address, { limit });
+  const totalVolume = pools.reduce((sum, pool) => sum + pool.volume_24h, 0);
+
+  return pools.map(pool => ({
+    exchange_id: pool.dex_id,
+    exchange_name: pool.dex_name,
+    pair: pool.tokens.map(token => token.symbol).join('/'),
+    base_symbol: pool.tokens[0]?.symbol || null,
+    quote_symbol: pool.tokens[1]?.symbol || null,
+    category: 'DEX',
+    price: pool.tokens[0]?.address.toLowerCase() === address.toLowerCase() ? pool.price : null,
+    volume_24h: pool.volume_24h,
+    volume_share: totalVolume > 0 ? pool.volume_24h / totalVolume * 100 : 0,
+    outlier: false,
+    market_url: null,
+    last_updated: null
+  }));
+}
+
+// Function 15: Get limiter, retry and breaker statistics for monitoring
+function getOnchainStats() {
+  return {
+    base_url: BASE_URL,
+    rate_limit: getStats(),
+    circuit_breaker: breaker.getState()
+  };
+}
+
+// ======================================
+// STEP 5: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  // Identifiers
+  parseOnchainId,
+  isOnchainId,
+
+  // Networks, tokens and pools
+  getNetworks,
+  getToken,
+  getTokenPools,
+  getNetworkPools,
+  getPool,
+  searchTokens,
+
+  // Charts
+  getPoolOHLCV,
+  getTokenOHLCV,
+
+  // Portfolio pricing
+  getTokenQuotes,
+  getTokenDetails,
+  getTokenHistoricalPrice,
+  getTokenMarkets,
+
+  // Monitoring
+  getOnchainStats
+};
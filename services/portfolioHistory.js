@@ -0,0 +1,216 @@
+// services/portfolioHistory.js
+// Portfolio value history for the crypto portfolio app
+// A scheduled job snapshots every user's holdings; this service also turns snapshots into chart data
+
+// ======================================
+// STEP 1: IMPORT REQUIRED MODULES
+// ======================================
+
+// Database functions for holdings, snapshots and the ledger
+const db = require('../db');
+
+// DexPaprika service for live quotes
+const dexpaprikaService = require('./dexpaprika');
+require('dotenv').config();
+
+// ======================================
+// STEP 2: CONFIGURATION
+// ======================================
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Chart ranges and how far back each one looks (null = everything)
+const RANGES = {
+  '1D': MS_PER_DAY,
+  '7D': 7 * MS_PER_DAY,
+  '30D': 30 * MS_PER_DAY,
+  '1Y': 365 * MS_PER_DAY,
+  'ALL': null
+};
+
+// Longer ranges are thinned out to at most this many chart points
+const MAX_CHART_POINTS = 200;
+
+// How often the snapshot job runs (0 disables it)
+const SNAPSHOT_INTERVAL = parseInt(process.env.SNAPSHOT_INTERVAL, 10) >= 0
+  ? parseInt(process.env.SNAPSHOT_INTERVAL, 10)
+  : 60 * 60 * 1000; // 1 hour
+
+// ======================================
+// STEP 3: HELPER FUNCTIONS
+// ======================================
+
+// Normalize a range name (accepts "all", "7d", ...), null if unknown
+function normalizeRange(range) {
+  const key = String(range || '').toUpperCase();
+  return Object.prototype.hasOwnProperty.call(RANGES, key) ? key : null;
+}
+
+// Keep at most maxPoints evenly spaced points (first and last are always kept)
+function downsample(points, maxPoints = MAX_CHART_POINTS) {
+  if (points.length <= maxPoints) return points;
+
+  const step = (points.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+}
+
+// Net money added to the portfolio between two moments (buys in, sells out, adjustments either way)
+// Flows count when they were entered - that is when snapshots start to include them,
+// even for a buy back-dated to its purchase date (older rows fall back to transaction_date)
+function netFlowBetween(transactions, from, to) {
+  return transactions.reduce((sum, tx) => {
+    const date = new Date(tx.recorded_at || tx.transaction_date);
+    if (date <= from || date > to) return sum;
+
+    // Adjustment values are already signed (units added or removed by hand)
+    const value = parseFloat(tx.total_value) || 0;
+    return sum + (tx.transaction_type === 'sell' ? -value : value);
+  }, 0);
+}
+
+// ======================================
+// STEP 4: CORE FUNCTIONS
+// ======================================
+
+// Function 1: Time-weighted return (%) across consecutive snapshots
+// Each period's growth excludes money added or withdrawn in that period, so deposits don't count as gains
+function computeTimeWeightedReturn(snapshots, transactions = []) {
+  let growth = 1;
+
+  for (let i = 1; i < snapshots.length; i++) {
+    const previous = snapshots[i - 1];
+    const current = snapshots[i];
+
+    // Nothing was invested at the start of this period - no return to measure
+    if (previous.total_value <= 0) continue;
+
+    const flow = netFlowBetween(transactions, new Date(previous.captured_at), new Date(current.captured_at));
+    growth *= (current.total_value - flow) / previous.total_value;
+  }
+
+  return (growth - 1) * 100;
+}
+
+// Function 2: Build chart data and returns for one range
+// Values stay in USD; callers convert for display
+async function getPortfolioHistory(userId, range) {
+  const lookback = RANGES[range];
+  const since = lookback ? new Date(Date.now() - lookback) : null;
+
+  const [snapshots, transactions] = await Promise.all([
+    db.getPortfolioSnapshots(userId, since),
+    db.getUserTransactions(userId)
+  ]);
+
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+
+  const startValue = first ? first.total_value : 0;
+  const endValue = last ? last.total_value : 0;
+  const netFlows = first ? netFlowBetween(transactions, new Date(first.captured_at), new Date(last.captured_at)) : 0;
+
+  return {
+    range,
+    points: downsample(snapshots).map(snapshot => ({
+      timestamp: snapshot.captured_at,
+      value: snapshot.total_value
+    })),
+    start_value: startValue,
+    end_value: endValue,
+    change_value: endValue - startValue,
+    net_flows: netFlows,
+    time_weighted_return: computeTimeWeightedReturn(snapshots, transactions)
+  };
+}
+
+// Function 3: Snapshot every user's portfolio at live prices
+async function takeSnapshots() {
+  const holdings = await db.getAllHoldings();
+  if (holdings.length === 0) return 0;
+
+  // One quote request for every held coin across all users
+  const coinIds = [...new Set(holdings.map(holding => holding.coin_id))];
+  const prices = await dexpaprikaService.getCurrentPrices(coinIds);
+
+  const byUser = {};
+  for (const holding of holdings) {
+    const amount = parseFloat(holding.amount);
+    const price = prices[holding.coin_id] || parseFloat(holding.current_price) || 0;
+
+    if (!byUser[holding.user_id]) {
+      byUser[holding.user_id] = { user_id: holding.user_id, total_value: 0, holdings: [] };
+    }
+
+    byUser[holding.user_id].total_value += amount * price;
+    byUser[holding.user_id].holdings.push({
+      coin_id: holding.coin_id,
+      coin_symbol: holding.coin_symbol,
+      amount,
+      price,
+      value: amount * price
+    });
+  }
+
+  const snapshots = Object.values(byUser);
+  await db.addPortfolioSnapshots(snapshots);
+
+  return snapshots.length;
+}
+
+// ======================================
+// STEP 5: SCHEDULED JOB
+// ======================================
+
+const job = {
+  timer: null,
+  running: false // Skip a run if the previous one is still going
+};
+
+// Run one snapshot pass, logging instead of throwing
+async function runSnapshotJob() {
+  if (job.running) return;
+  job.running = true;
+
+  try {
+    const count = await takeSnapshots();
+    if (count > 0) {
+      console.log(`📸 Stored ${count} portfolio snapshot(s)`);
+    }
+  } catch (error) {
+    console.error('  Portfolio snapshot failed:', error.message);
+  } finally {
+    job.running = false;
+  }
+}
+
+// Function 4: Start the snapshot job (takes one snapshot right away)
+function startSnapshotJob(interval = SNAPSHOT_INTERVAL) {
+  if (job.timer || interval <= 0) return;
+
+  runSnapshotJob();
+  job.timer = setInterval(runSnapshotJob, interval);
+
+  console.log(`📸 Portfolio snapshots every ${Math.round(interval / 60000)} min`);
+}
+
+// Function 5: Stop the snapshot job
+function stopSnapshotJob() {
+  if (job.timer) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+}
+
+// ======================================
+// STEP 6: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  getPortfolioHistory,
+  computeTimeWeightedReturn,
+  takeSnapshots,
+  startSnapshotJob,
+  stopSnapshotJob,
+  normalizeRange,
+  RANGES: Object.keys(RANGES)
+};
@@ -0,0 +1,161 @@
+// services/priceStream.js
+// Live price updates for connected browsers (Server-Sent Events)
+// One timer serves every open stream: a single quote lookup per tick, then one update per client
+
+// ======================================
+// STEP 1: IMPORT REQUIRED MODULES
+// ======================================
+
+// DexPaprika service for live quotes
+const dexpaprikaService = require('./dexpaprika');
+require('dotenv').config();
+
+// ======================================
+// STEP 2: CONFIGURATION
+// ======================================
+
+// How often open streams are refreshed (prices themselves refresh every TICKERS_REFRESH_INTERVAL)
+const STREAM_INTERVAL = parseInt(process.env.PRICE_STREAM_INTERVAL, 10) || 15 * 1000; // 15 seconds
+
+// Open streams allowed per user (one per browser tab)
+const MAX_STREAMS_PER_USER = parseInt(process.env.PRICE_STREAM_MAX_PER_USER, 10) || 5;
+
+// ======================================
+// STEP 3: STREAM STATE
+// ======================================
+
+// Connected clients: { userId, res, load, lastPayload }
+// load() resolves to { coinIds, build(quotes) } - the route decides what an update contains
+const clients = new Set();
+
+const ticker = {
+  timer: null,
+  running: false // Skip a tick if the previous one is still going
+};
+
+// ======================================
+// STEP 4: HELPER FUNCTIONS
+// ======================================
+
+// Write one SSE event
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Quote every coin the given clients need (one lookup), then send each client its update
+// Clients whose data has not changed get a keep-alive comment instead
+async function pushUpdates(targets) {
+  const loaded = await Promise.all(targets.map(client =>
+    client.load().catch(error => {
+      console.error(`  Price stream load failed for user ${client.userId}:`, error.message);
+      return null;
+    })
+  ));
+
+  const coinIds = [...new Set(loaded.flatMap(entry => entry ? entry.coinIds : []))];
+
+  let quotes = {};
+  let dataStatus = null;
+  await dexpaprikaService.trackDataStatus(async () => {
+    if (coinIds.length > 0) {
+      quotes = await dexpaprikaService.getCurrentQuotes(coinIds);
+    }
+    dataStatus = dexpaprikaService.getDataStatus();
+  });
+
+  await Promise.all(targets.map(async (client, index) => {
+    // Disconnected while we were fetching, or nothing to send
+    if (!clients.has(client) || !loaded[index]) return;
+
+    try {
+      const update = await loaded[index].build(quotes);
+      if (dataStatus.fallback) {
+        update.data_status = dataStatus;
+      }
+
+      const payload = JSON.stringify(update);
+      if (payload === client.lastPayload) {
+        client.res.write(': keep-alive\n\n');
+        return;
+      }
+
+      client.lastPayload = payload;
+      writeEvent(client.res, 'prices', { ...update, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error(`  Price stream update failed for user ${client.userId}:`, error.message);
+    }
+  }));
+}
+
+// Refresh every open stream, logging instead of throwing
+async function tick() {
+  if (ticker.running || clients.size === 0) return;
+  ticker.running = true;
+
+  try {
+    await pushUpdates([...clients]);
+  } catch (error) {
+    console.error('  Price stream tick failed:', error.message);
+  } finally {
+    ticker.running = false;
+  }
+}
+
+// ======================================
+// STEP 5: CORE FUNCTIONS
+// ======================================
+
+// Function 1: Check whether a user may open another stream
+function canSubscribe(userId) {
+  const open = [...clients].filter(client => client.userId === userId).length;
+  return open < MAX_STREAMS_PER_USER;
+}
+
+// Function 2: Register an open SSE response and send its first update right away
+// The timer runs only while at least one stream is open
+function subscribe({ userId, res, load }) {
+  const client = { userId, res, load, lastPayload: null };
+  clients.add(client);
+
+  pushUpdates([client]).catch(error => {
+    console.error(`  Price stream initial update failed for user ${userId}:`, error.message);
+  });
+
+  if (!ticker.timer) {
+    ticker.timer = setInterval(tick, STREAM_INTERVAL);
+  }
+
+  return client;
+}
+
+// Function 3: Forget a closed stream
+function unsubscribe(client) {
+  clients.delete(client);
+
+  if (clients.size === 0 && ticker.timer) {
+    clearInterval(ticker.timer);
+    ticker.timer = null;
+  }
+}
+
+// Function 4: Close every open stream (on shutdown, so the server can stop accepting work)
+function closeAllStreams() {
+  clients.forEach(client => client.res.end());
+  clients.clear();
+
+  if (ticker.timer) {
+    clearInterval(ticker.timer);
+    ticker.timer = null;
+  }
+}
+
+// ======================================
+// STEP 6: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  canSubscribe,
+  subscribe,
+  unsubscribe,
+  closeAllStreams
+};
@@ -0,0 +1,774 @@
+// services/providers/coinpaprika.js
+// CoinPaprika market-data provider for the crypto portfolio app
+// This file handles all external API calls for crypto prices, trends, and charts
+// Callers should go through services/dexpaprika.js, which picks the configured provider
+
+// ======================================
+// STEP 1: IMPORT REQUIRED MODULES
+// ======================================
+
+// No external modules needed for fetch (built into Node.js 18+)
+// If using older Node.js, you would need to install node-fetch
+
+// Token-bucket limiter for outbound requests
+const { createRateLimiter, PRIORITY } = require('../rateLimiter');
+
+// Cached, rate-limited requests with retries and timeouts
+const { createUpstreamClient, apiError } = require('../upstreamClient');
+
+// Candle resampling for chart timeframes
+const ohlcv = require('../ohlcv');
+
+// ======================================
+// STEP 2: API CONFIGURATION
+// ======================================
+
+// Base URL for CoinPaprika API
+const BASE_URL = 'https://api.coinpaprika.com/v1';
+
+// API endpoints
+const ENDPOINTS = {
+  // Global crypto data
+  GLOBAL: '/global',
+  
+  // Coin data
+  COINS: '/coins',
+  COIN_BY_ID: (id) => `/coins/${id}`,
+  COIN_TWITTER: (id) => `/coins/${id}/twitter`,
+  
+  // Price data
+  TICKERS: '/tickers',
+  TICKER_BY_ID: (id) => `/tickers/${id}`,
+  HISTORICAL_TICKER: (id) => `/tickers/${id}/historical`,
+  
+  // Market data
+  MARKET: '/coins/markets',
+  COIN_MARKETS: (id) => `/coins/${id}/markets`,
+  
+  // Search
+  SEARCH: '/search',
+  
+  // Trending categories
+  POPULAR: '/coins/most-viewed',
+  TOP_GAINERS: '/coins/top-gainers',
+  TOP_LOSERS: '/coins/top-losers',
+  RECENTLY_ADDED: '/coins/new',
+  
+  // OHLCV data (for charts)
+  OHLCV_TODAY: (id) => `/coins/${id}/ohlcv/today`,
+  OHLCV_LATEST: (id) => `/coins/${id}/ohlcv/latest`,
+  OHLCV_HISTORICAL: (id) => `/coins/${id}/ohlcv/historical`,
+  
+  // Exchanges
+  EXCHANGES: '/exchanges',
+  
+  // Tags (categories like "DeFi" or "Proof Of Work")
+  TAG_BY_ID: (id) => `/tags/${id}`,
+  
+  // People
+  PEOPLE: '/people',
+};
+
+// Snapshot of every ticker from one GET /tickers, indexed by coin ID
+// All price lookups are answered from it, so upstream load does not grow with portfolio size
+// The response itself lives in the API cache (refreshed once per REFRESH_INTERVAL, kept across restarts)
+const tickerSnapshot = {
+  byId: new Map(),
+  source: null, // The cached /tickers response the index was built from
+  REFRESH_INTERVAL: parseInt(process.env.TICKERS_REFRESH_INTERVAL, 10) || 60 * 1000 // 1 minute
+};
+
+// How long each kind of response stays fresh (first match wins)
+// Anything not listed uses API_CACHE_TTL
+const ENDPOINT_TTLS = [
+  { pattern: /^\/tickers$/, ttl: tickerSnapshot.REFRESH_INTERVAL }, // Full ticker snapshot
+  { pattern: /^\/tickers\/[^/]+\/historical$/, ttl: 5 * 60 * 1000 }, // Price history: 5 minutes (its 5m step)
+  { pattern: /^\/tickers\//, ttl: 60 * 1000 }, // Single ticker: 1 minute
+  { pattern: /^\/search$/, ttl: 10 * 60 * 1000 }, // Search results: 10 minutes
+  { pattern: /^\/coins$/, ttl: 24 * 60 * 60 * 1000 }, // Full coin list: 1 day
+  { pattern: /\/ohlcv\/today$/, ttl: 5 * 60 * 1000 }, // Today's candle: 5 minutes
+  { pattern: /\/ohlcv\/historical$/, ttl: 60 * 60 * 1000 }, // Past candles: 1 hour
+  { pattern: /^\/coins\/[^/]+$/, ttl: 60 * 60 * 1000 }, // Coin profile: 1 hour
+  { pattern: /^\/coins\/[^/]+\/markets$/, ttl: 5 * 60 * 1000 }, // A coin's exchange pairs: 5 minutes
+  { pattern: /^\/exchanges/, ttl: 60 * 60 * 1000 }, // Exchanges: 1 hour
+  { pattern: /^\/tags\//, ttl: 60 * 60 * 1000 } // A tag's coins: 1 hour
+];
+
+// ======================================
+// STEP 3: HELPER FUNCTIONS
+// ======================================
+
+// Helper to build the error for a moment with no recorded price (code PRICE_NOT_FOUND, see services/dexpaprika.js)
+function priceNotFoundError(coinId, timestamp) {
+  const error = apiError(`Price for ${coinId} at ${new Date(timestamp).toISOString()} not found`, false);
+  error.code = 'PRICE_NOT_FOUND';
+  return error;
+}
+
+// Requests go through makeAPIRequest(endpoint, params, priority) from the upstream client (see STEP 5)
+
+// Get the ticker snapshot, indexed by coin ID
+// The index is rebuilt only when the cache hands back a different /tickers response
+async function getTickerSnapshot() {
+  const tickers = await makeAPIRequest(ENDPOINTS.TICKERS, { quotes: 'USD' }, PRIORITY.HIGH);
+  
+  if (tickers !== tickerSnapshot.source) {
+    tickerSnapshot.byId = new Map(tickers.map(ticker => [ticker.id, ticker]));
+    tickerSnapshot.source = tickers;
+  }
+  
+  return tickerSnapshot.byId;
+}
+
+// Helper to reduce a ticker to the quote fields we use
+function tickerToQuote(ticker) {
+  return {
+    price: ticker?.quotes?.USD?.price || 0,
+    change_24h: ticker?.quotes?.USD?.percent_change_24h || 0,
+    volume_24h: ticker?.quotes?.USD?.volume_24h || 0,
+    market_cap: ticker?.quotes?.USD?.market_cap || 0
+  };
+}
+
+// Helper to reduce one of a coin's exchange pairs (GET /coins/:id/markets) to the fields we use
+function marketToPair(market) {
+  return {
+    exchange_id: market.exchange_id,
+    exchange_name: market.exchange_name,
+    pair: market.pair,
+    base_symbol: market.pair?.split('/')[0] || null,
+    quote_symbol: market.pair?.split('/')[1] || null,
+    category: market.category || null, // Spot, Derivatives, ...
+    price: market.quotes?.USD?.price || 0,
+    volume_24h: market.quotes?.USD?.volume_24h || 0,
+    volume_share: market.adjusted_volume_24h_share || 0, // Percent of the coin's volume across all pairs
+    outlier: market.outlier === true, // Price far from the other markets
+    market_url: market.market_url || null,
+    last_updated: market.last_updated || null
+  };
+}
+
+// Helper to reduce an exchange (GET /exchanges) to the fields we use
+// Adjusted volume leaves out trading the provider considers fake or wash trading
+function exchangeToSummary(exchange) {
+  return {
+    id: exchange.id,
+    name: exchange.name,
+    rank: exchange.adjusted_rank || null,
+    active: exchange.active !== false,
+    markets: exchange.markets || 0,
+    currencies: exchange.currencies || 0,
+    volume_24h: exchange.quotes?.USD?.adjusted_volume_24h || 0,
+    reported_volume_24h: exchange.quotes?.USD?.reported_volume_24h || 0,
+    fiats: (exchange.fiats || []).map(fiat => fiat.symbol),
+    website: exchange.links?.website?.[0] || null,
+    last_updated: exchange.last_updated || null
+  };
+}
+
+// Exchanges without a rank (inactive or unverified) go last
+function compareExchanges(a, b) {
+  return (a.rank ?? Infinity) - (b.rank ?? Infinity) || b.volume_24h - a.volume_24h;
+}
+
+// Raw price history used to build chart candles
+// Intraday candles come from historical ticks (price + rolling 24h volume), longer ones from daily OHLCV
+// Each request covers at most pageMs, so long ranges are fetched as several pages
+// Page bounds are rounded down to stepMs so repeat requests reuse the same cached URLs
+const HISTORY_SOURCES = {
+  '5m': {
+    endpoint: ENDPOINTS.HISTORICAL_TICKER,
+    stepMs: 5 * 60 * 1000,
+    pageMs: 1000 * 5 * 60 * 1000, // 1000 ticks per page
+    params: (from, to) => ({
+      start: Math.floor(from / 1000),
+      end: Math.floor(to / 1000),
+      interval: '5m',
+      limit: 1000
+    }),
+    toPoint: (tick) => tickToPoint(tick, 5 * 60 * 1000)
+  },
+  '1h': {
+    endpoint: ENDPOINTS.HISTORICAL_TICKER,
+    stepMs: 60 * 60 * 1000,
+    pageMs: 1000 * 60 * 60 * 1000,
+    params: (from, to) => ({
+      start: Math.floor(from / 1000),
+      end: Math.floor(to / 1000),
+      interval: '1h',
+      limit: 1000
+    }),
+    toPoint: (tick) => tickToPoint(tick, 60 * 60 * 1000)
+  },
+  '1d': {
+    endpoint: ENDPOINTS.OHLCV_HISTORICAL,
+    stepMs: ohlcv.MS_PER_DAY,
+    pageMs: 365 * ohlcv.MS_PER_DAY, // The API returns at most 366 daily candles per request
+    params: (from, to) => ({
+      start: new Date(from).toISOString().split('T')[0],
+      end: new Date(to).toISOString().split('T')[0],
+      limit: 366
+    }),
+    toPoint: (candle) => ({
+      timestamp: new Date(candle.time_open).getTime(),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume
+    })
+  }
+};
+
+// Open-ended ranges ("max") stop after this many pages (about 4 years of daily candles)
+// One chart has to fit well inside the upstream budget (API_RATE_LIMIT, 10 requests a minute by default)
+const MAX_HISTORY_PAGES = 4;
+
+// Helper to turn a historical tick into a one-price point
+// Ticks only carry the rolling 24h volume, so each gets its share of it for the tick interval
+function tickToPoint(tick, intervalMs) {
+  return {
+    timestamp: new Date(tick.timestamp).getTime(),
+    close: tick.price,
+    volume: (tick.volume_24h || 0) * intervalMs / ohlcv.MS_PER_DAY
+  };
+}
+
+// Helper to pick the raw series for a candle size (5m ticks, hourly ticks, or daily candles)
+// Ticks are single prices, so hourly candles are built from 5m ticks to get a real high and low
+// (5m candles have nothing finer - resample opens them at the previous close)
+function historySourceFor(bucketMs) {
+  if (bucketMs <= ohlcv.BUCKETS['1h']) return HISTORY_SOURCES['5m'];
+  if (bucketMs < ohlcv.BUCKETS['1d']) return HISTORY_SOURCES['1h'];
+  return HISTORY_SOURCES['1d'];
+}
+
+// Helper to fetch raw history page by page, newest first
+// from = null walks back until the API has nothing older (or MAX_HISTORY_PAGES)
+// If an older page fails, the newer pages already fetched are returned on their own
+async function fetchHistory(coinId, source, from, to) {
+  const pages = [];
+  let pageEnd = Math.floor(to / source.stepMs) * source.stepMs;
+  const start = from === null ? null : Math.floor(from / source.stepMs) * source.stepMs;
+  
+  for (let page = 0; page < MAX_HISTORY_PAGES && (start === null || pageEnd > start); page++) {
+    const pageStart = start === null ? pageEnd - source.pageMs : Math.max(start, pageEnd - source.pageMs);
+    let rows;
+    
+    try {
+      rows = await makeAPIRequest(source.endpoint(coinId), source.params(pageStart, pageEnd));
+    } catch (error) {
+      if (pages.length === 0) throw error;
+      
+      console.warn(`⚠️ History for ${coinId} cut short after ${pages.length} page(s): ${error.message}`);
+      break;
+    }
+    
+    if (!Array.isArray(rows) || rows.length === 0) break;
+    
+    pages.unshift(rows.map(source.toPoint));
+    pageEnd = pageStart;
+  }
+  
+  return pages.flat();
+}
+
+// ======================================
+// STEP 4: CORE API FUNCTIONS
+// ======================================
+
+// Function 1: Get current prices for multiple coins
+async function getCurrentPrices(coinIds = []) {
+  try {
+    const quotes = await getCurrentQuotes(coinIds);
+    
+    // Reduce each quote to just its price
+    const prices = {};
+    Object.keys(quotes).forEach(coinId => {
+      prices[coinId] = quotes[coinId].price;
+    });
+    
+    return prices;
+    
+  } catch (error) {
+    console.error('  Error getting current prices:', error);
+    throw error;
+  }
+}
+
+// Function 2: Get current price for a single coin
+// Coins missing from the snapshot (e.g. just listed) are looked up individually
+async function getCoinCurrentPrice(coinId) {
+  try {
+    const snapshot = await getTickerSnapshot();
+    const ticker = snapshot.get(coinId) || await makeAPIRequest(ENDPOINTS.TICKER_BY_ID(coinId), {
+      quotes: 'USD'
+    });
+    
+    return ticker.quotes?.USD?.price || 0;
+  } catch (error) {
+    console.error(`  Error getting price for ${coinId}:`, error);
+    throw apiError(`Coin ${coinId} not found or price unavailable`, error.unavailable === true, error.local === true);
+  }
+}
+
+// Function 3: Search for coins
+async function searchCoins(query, limit = 20) {
+  try {
+    const searchResults = await makeAPIRequest(ENDPOINTS.SEARCH, {
+      q: query,
+      limit: limit,
+      c: 'currencies' // Search only currencies (coins)
+    });
+    
+    // Transform to our format
+    return searchResults.currencies.map(coin => ({
+      id: coin.id,
+      symbol: coin.symbol,
+      name: coin.name,
+      rank: coin.rank,
+      is_new: coin.is_new,
+      is_active: coin.is_active,
+      type: coin.type
+    }));
+    
+  } catch (error) {
+    console.error('  Error searching coins:', error);
+    throw error;
+  }
+}
+
+// Function 4: Get trending coins in different categories
+async function getTrendingCoins() {
+  try {
+    // Fetch all trending categories in parallel for better performance
+    const [popular, topGainers, topLosers, recentlyAdded] = await Promise.allSettled([
+      makeAPIRequest(ENDPOINTS.POPULAR, { limit: 10 }),
+      makeAPIRequest(ENDPOINTS.TOP_GAINERS, { limit: 10 }),
+      makeAPIRequest(ENDPOINTS.TOP_LOSERS, { limit: 10 }),
+      makeAPIRequest(ENDPOINTS.RECENTLY_ADDED, { limit: 10 })
+    ]);
+    
+    // Process results (handle potential API failures gracefully)
+    const processResult = (result) => {
+      if (result.status === 'fulfilled') {
+        return result.value.map(coin => ({
+          id: coin.id,
+          symbol: coin.symbol,
+          name: coin.name,
+          rank: coin.rank,
+          price: coin.quotes?.USD?.price || 0,
+          change_24h: coin.quotes?.USD?.percent_change_24h || 0,
+          market_cap: coin.quotes?.USD?.market_cap || 0
+        }));
+      }
+      console.warn(' Failed to fetch trending category:', result.reason);
+      return [];
+    };
+    
+    return {
+      popular: processResult(popular),
+      top_gainers: processResult(topGainers),
+      top_losers: processResult(topLosers),
+      recently_added: processResult(recentlyAdded)
+    };
+    
+  } catch (error) {
+    console.error('  Error getting trending coins:', error);
+    throw error;
+  }
+}
+
+// Function 5: Get detailed coin information
+async function getCoinDetails(coinId, timeframe = '7d') {
+  try {
+    // Get basic coin info and current price in parallel
+    const [coinInfo, tickerData, ohlcvData] = await Promise.allSettled([
+      makeAPIRequest(ENDPOINTS.COIN_BY_ID(coinId)),
+      getTickerSnapshot().then(snapshot =>
+        snapshot.get(coinId) || makeAPIRequest(ENDPOINTS.TICKER_BY_ID(coinId), { quotes: 'USD' })
+      ),
+      getCoinOHLCV(coinId, timeframe)
+    ]);
+    
+    // Handle potential API failures
+    if (coinInfo.status === 'rejected') {
+      throw apiError(`Coin ${coinId} not found`, coinInfo.reason?.unavailable === true, coinInfo.reason?.local === true);
+    }
+    
+    const coin = coinInfo.value;
+    const ticker = tickerData.status === 'fulfilled' ? tickerData.value : null;
+    const chartData = ohlcvData.status === 'fulfilled' ? ohlcvData.value : [];
+    
+    // Get additional metrics if available
+    let additionalMetrics = {};
+    if (ticker) {
+      additionalMetrics = {
+        price: ticker.quotes?.USD?.price || 0,
+        volume_24h: ticker.quotes?.USD?.volume_24h || 0,
+        market_cap: ticker.quotes?.USD?.market_cap || 0,
+        percent_change_1h: ticker.quotes?.USD?.percent_change_1h || 0,
+        percent_change_24h: ticker.quotes?.USD?.percent_change_24h || 0,
+        percent_change_7d: ticker.quotes?.USD?.percent_change_7d || 0,
+        percent_change_30d: ticker.quotes?.USD?.percent_change_30d || 0,
+        ath_price: ticker.quotes?.USD?.ath_price || 0,
+        ath_date: ticker.quotes?.USD?.ath_date,
+        percent_from_ath: ticker.quotes?.USD?.percent_from_price_ath || 0
+      };
+    }
+    
+    // Construct the complete coin details object
+    return {
+      id: coin.id,
+      symbol: coin.symbol,
+      name: coin.name,
+      description: coin.description || 'No description available',
+      rank: coin.rank,
+      is_active: coin.is_active,
+      is_new: coin.is_new,
+      type: coin.type,
+      tags: coin.tags || [],
+      team: coin.team || [],
+      links: coin.links || {},
+      started_at: coin.started_at,
+      development_status: coin.development_status,
+      hardware_wallet: coin.hardware_wallet,
+      org_structure: coin.org_structure,
+      hash_algorithm: coin.hash_algorithm,
+      proof_type: coin.proof_type,
+      open_source: coin.open_source,
+      metrics: {
+        ...additionalMetrics,
+        // Supply comes with the ticker, not the coin profile
+        total_supply: ticker?.total_supply ?? coin.total_supply,
+        max_supply: ticker?.max_supply ?? coin.max_supply,
+        circulating_supply: ticker?.circulating_supply ?? coin.circulating_supply
+      },
+      chart_data: chartData
+    };
+    
+  } catch (error) {
+    console.error(`  Error getting details for ${coinId}:`, error);
+    throw error;
+  }
+}
+
+// Function 6: Get OHLCV data for charts
+// Candles are sized per timeframe (see services/ohlcv.js), UTC-aligned and gap-free
+// Coins the API has no history for get no candles; an API that could not answer throws (unavailable)
+async function getCoinOHLCV(coinId, timeframe = '7d') {
+  try {
+    const plan = ohlcv.getTimeframePlan(timeframe);
+    const now = Date.now();
+    const since = plan.range === null ? null : now - plan.range;
+    
+    // Start fetching at the first candle boundary so it is complete
+    const from = since === null ? null : ohlcv.bucketStart(since, plan.bucketMs);
+    const points = await fetchHistory(coinId, historySourceFor(plan.bucketMs), from, now);
+    
+    return ohlcv.resample(points, plan.bucketMs, since);
+    
+  } catch (error) {
+    // Let the facade fail over instead of caching an empty chart as good data
+    if (error.unavailable) throw error;
+    
+    // The API rejected the request (e.g. unknown coin) - there is nothing to chart
+    console.error(`  Error getting OHLCV for ${coinId}:`, error.message);
+    return [];
+  }
+}
+
+// Function 7: Get global market data
+async function getGlobalMarketData() {
+  try {
+    const globalData = await makeAPIRequest(ENDPOINTS.GLOBAL);
+    
+    return {
+      total_market_cap: globalData.market_cap_usd,
+      total_volume_24h: globalData.volume_24h_usd,
+      bitcoin_dominance: globalData.bitcoin_dominance_percentage,
+      cryptocurrencies_count: globalData.cryptocurrencies_number,
+      market_cap_change_24h: globalData.market_cap_change_24h,
+      volume_change_24h: globalData.volume_24h_change_24h
+    };
+    
+  } catch (error) {
+    console.error(' Error getting global market data:', error);
+    throw error;
+  }
+}
+
+// Function 8: Get all coins (for reference)
+async function getAllCoins() {
+  try {
+    const coins = await makeAPIRequest(ENDPOINTS.COINS);
+    
+    return coins.map(coin => ({
+      id: coin.id,
+      symbol: coin.symbol,
+      name: coin.name,
+      rank: coin.rank,
+      is_active: coin.is_active,
+      is_new: coin.is_new,
+      type: coin.type
+    }));
+    
+  } catch (error) {
+    console.error('  Error getting all coins:', error);
+    throw error;
+  }
+}
+
+// Function 9: Get coin by symbol (case-insensitive)
+async function getCoinBySymbol(symbol) {
+  try {
+    // First get all coins and filter by symbol
+    const allCoins = await getAllCoins();
+    
+    const coin = allCoins.find(c => 
+      c.symbol.toLowerCase() === symbol.toLowerCase()
+    );
+    
+    if (!coin) {
+      throw new Error(`Coin with symbol ${symbol} not found`);
+    }
+    
+    return coin;
+    
+  } catch (error) {
+    console.error(`  Error getting coin by symbol ${symbol}:`, error);
+    throw error;
+  }
+}
+
+// Function 10: Get current quotes (price, 24h change, volume, market cap) for multiple coins
+async function getCurrentQuotes(coinIds = []) {
+  try {
+    // CoinPaprika has no batch endpoint for specific coins, so every lookup
+    // is answered from the full /tickers snapshot (one request per refresh window)
+    const snapshot = await getTickerSnapshot();
+    
+    // If no coin IDs provided, return all tickers
+    const ids = coinIds.length > 0 ? coinIds : [...snapshot.keys()];
+    
+    // Transform to our format
+    const quotes = {};
+    ids.forEach(coinId => {
+      const ticker = snapshot.get(coinId);
+      if (!ticker) {
+        console.warn(`⚠️ Could not get price for ${coinId}: not in ticker snapshot`);
+      }
+      quotes[coinId] = tickerToQuote(ticker || null);
+    });
+    
+    return quotes;
+    
+  } catch (error) {
+    console.error('  Error getting current quotes:', error);
+    throw error;
+  }
+}
+
+// Function 11: Get a coin's USD price at a past moment
+// Returns the first tick at or after it; the API keeps less detail further back,
+// so the tick size grows with age (5 minutes for the last day, hourly for a month, then daily)
+async function getHistoricalPrice(coinId, date) {
+  try {
+    const timestamp = new Date(date).getTime();
+    const age = Date.now() - timestamp;
+    const step = age <= ohlcv.MS_PER_DAY
+      ? { interval: '5m', ms: 5 * 60 * 1000 }
+      : age <= 30 * ohlcv.MS_PER_DAY
+        ? { interval: '1h', ms: 60 * 60 * 1000 }
+        : { interval: '1d', ms: ohlcv.MS_PER_DAY };
+    
+    const ticks = await makeAPIRequest(ENDPOINTS.HISTORICAL_TICKER(coinId), {
+      start: Math.floor(timestamp / 1000),
+      interval: step.interval,
+      limit: 1
+    });
+    
+    // A first tick more than one step later means the coin wasn't tracked yet on that date
+    const tick = Array.isArray(ticks) ? ticks[0] : null;
+    if (!tick || new Date(tick.timestamp).getTime() > timestamp + step.ms) {
+      throw priceNotFoundError(coinId, timestamp);
+    }
+    
+    return {
+      price: tick.price,
+      timestamp: new Date(tick.timestamp).toISOString()
+    };
+    
+  } catch (error) {
+    console.error(`  Error getting historical price for ${coinId}:`, error);
+    if (error.unavailable) throw error;
+    throw priceNotFoundError(coinId, date);
+  }
+}
+
+// Function 12: Get the exchange pairs a coin trades on, largest volume share first
+async function getCoinMarkets(coinId) {
+  try {
+    const markets = await makeAPIRequest(ENDPOINTS.COIN_MARKETS(coinId), {
+      quotes: 'USD'
+    });
+    
+    return (Array.isArray(markets) ? markets : [])
+      .map(marketToPair)
+      .sort((a, b) => b.volume_share - a.volume_share);
+    
+  } catch (error) {
+    console.error(`  Error getting markets for ${coinId}:`, error);
+    if (error.unavailable) throw error;
+    throw apiError(`Markets for ${coinId} not found`, false);
+  }
+}
+
+// Function 13: Get the exchange directory, ranked by the provider's adjusted rank
+async function getExchanges() {
+  try {
+    const exchanges = await makeAPIRequest(ENDPOINTS.EXCHANGES, {
+      quotes: 'USD'
+    });
+    
+    return (Array.isArray(exchanges) ? exchanges : [])
+      .map(exchangeToSummary)
+      .sort(compareExchanges);
+    
+  } catch (error) {
+    console.error('  Error getting exchanges:', error);
+    throw error;
+  }
+}
+
+// Function 14: Get a tag and the coins carrying it, best ranked first
+async function getCoinsByTag(tagId) {
+  try {
+    const [tag, snapshot] = await Promise.all([
+      makeAPIRequest(ENDPOINTS.TAG_BY_ID(tagId), { additional_fields: 'coins' }),
+      getTickerSnapshot()
+    ]);
+    
+    // Coins without a ticker (inactive or untracked) are left out
+    const coins = (tag.coins || [])
+      .map(coinId => snapshot.get(coinId))
+      .filter(Boolean)
+      .map(ticker => ({
+        id: ticker.id,
+        symbol: ticker.symbol,
+        name: ticker.name,
+        rank: ticker.rank,
+        ...tickerToQuote(ticker)
+      }))
+      .sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+    
+    return {
+      tag: {
+        id: tag.id,
+        name: tag.name,
+        description: tag.description || '',
+        coin_counter: tag.coin_counter || 0
+      },
+      coins
+    };
+    
+  } catch (error) {
+    console.error(`  Error getting coins for tag ${tagId}:`, error);
+    if (error.unavailable) throw error;
+    throw apiError(`Tag ${tagId} not found`, false);
+  }
+}
+
+// ======================================
+// STEP 5: RATE LIMIT HANDLING
+// ======================================
+
+// CoinPaprika allows 10 requests/minute without an API key
+// Every outbound request takes a token; when they run out, requests wait in a priority queue
+// (live prices first, background refreshes last) instead of failing
+const upstreamLimiter = createRateLimiter({
+  name: 'CoinPaprika',
+  limit: parseInt(process.env.API_RATE_LIMIT, 10) || 10, // Requests per minute
+  intervalMs: 60 * 1000,
+  maxQueue: parseInt(process.env.API_QUEUE_LIMIT, 10) || 100,
+  maxWaitMs: parseInt(process.env.API_QUEUE_TIMEOUT, 10) || 60 * 1000
+});
+
+// Requests to CoinPaprika: cached per ENDPOINT_TTLS, retried on 429/5xx, queued on the limiter
+const upstream = createUpstreamClient({
+  name: 'CoinPaprika',
+  baseUrl: BASE_URL,
+  limiter: upstreamLimiter,
+  endpointTTLs: ENDPOINT_TTLS
+});
+const { makeAPIRequest } = upstream;
+
+// Get limiter and retry statistics for monitoring
+function getRateLimitStats() {
+  return upstream.getStats();
+}
+
+// ======================================
+// STEP 6: EXPORT PROVIDER
+// ======================================
+
+module.exports = {
+  name: 'coinpaprika',
+  
+  // Price functions
+  getCurrentPrices,
+  getCurrentQuotes,
+  getCoinCurrentPrice,
+  
+  // Search and discovery
+  searchCoins,
+  getTrendingCoins,
+  getAllCoins,
+  getCoinBySymbol,
+  
+  // Detailed data
+  getCoinDetails,
+  getCoinOHLCV,
+  
+  // Market data
+  getGlobalMarketData,
+  getHistoricalPrice,
+  getCoinMarkets,
+  getExchanges,
+  getCoinsByTag,
+  
+  // Monitoring
+  getRateLimitStats,
+  
+  // Helpers shared with providers that replay CoinPaprika responses
+  tickerToQuote,
+  marketToPair,
+  exchangeToSummary,
+  compareExchanges,
+  
+  // Constants (for reference)
+  ENDPOINTS,
+  BASE_URL
+};
+
+// ======================================
+// STEP 7: IMPORTANT NOTES
+// ======================================
+
+/*
+  IMPORTANT: CoinPaprika API Notes
+  
+  1. Rate Limits: 10 requests per minute without API key (enforced in STEP 5)
+  2. Coin IDs: Use specific IDs like 'btc-bitcoin' not symbols
+  3. Data Freshness: Prices update every 10-60 seconds
+  4. Free Tier: Sufficient for our app's needs
+  
+  Common Coin IDs:
+  - Bitcoin: btc-bitcoin
+  - Ethereum: eth-ethereum
+  - Binance Coin: bnb-binance-coin
+  - Cardano: ada-cardano
+  - Solana: sol-solana
+  
+  To find a coin's ID, use searchCoins() function.
+*/
\ No newline at end of file
@@ -0,0 +1,385 @@
+// services/providers/fixture.js
+// Offline market-data provider for the crypto portfolio app
+// Serves recorded CoinPaprika responses from disk so the app runs without internet access
+
+// ======================================
+// STEP 1: IMPORT REQUIRED MODULES
+// ======================================
+
+const path = require('path');
+const fs = require('fs');
+
+// Shared helpers for reading CoinPaprika-shaped data
+const { tickerToQuote, marketToPair, exchangeToSummary, compareExchanges } = require('./coinpaprika');
+
+// Candle resampling for chart timeframes
+const ohlcv = require('../ohlcv');
+require('dotenv').config();
+
+// ======================================
+// STEP 2: CONFIGURATION
+// ======================================
+
+// Directory with the recorded responses
+// tickers.json      - GET /tickers
+// global.json       - GET /global
+// coins/<id>.json   - GET /coins/<id> (optional, otherwise built from the ticker)
+// ohlcv/<id>.json   - GET /coins/<id>/ohlcv/historical (optional, daily candles)
+// markets/<id>.json - GET /coins/<id>/markets (optional)
+// exchanges.json    - GET /exchanges (optional)
+const FIXTURE_DIR = process.env.MARKET_FIXTURE_DIR || path.join(__dirname, '..', '..', 'fixtures', 'market');
+
+// Parsed files, read once per process
+const fileCache = new Map();
+
+// ======================================
+// STEP 3: HELPER FUNCTIONS
+// ======================================
+
+// Read a fixture file; returns fallback if it does not exist
+function readFixture(relativePath, fallback = null) {
+  if (fileCache.has(relativePath)) {
+    return fileCache.get(relativePath);
+  }
+
+  const filePath = path.join(FIXTURE_DIR, relativePath);
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  fileCache.set(relativePath, data);
+  return data;
+}
+
+// Fixture files are named after coin IDs - refuse anything that could leave the directory
+function safeCoinId(coinId) {
+  return /^[a-z0-9-]+$/i.test(coinId) ? coinId : null;
+}
+
+// All recorded tickers, ordered by rank
+function getTickers() {
+  const tickers = readFixture('tickers.json');
+
+  if (!tickers) {
+    throw new Error(`No market fixtures found in ${FIXTURE_DIR} (expected tickers.json)`);
+  }
+
+  return [...tickers].sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+}
+
+// Find one recorded ticker by coin ID
+function findTicker(coinId) {
+  return getTickers().find(ticker => ticker.id === coinId) || null;
+}
+
+// Reduce a ticker to the coin summary used by lists
+function tickerToCoin(ticker) {
+  return {
+    id: ticker.id,
+    symbol: ticker.symbol,
+    name: ticker.name,
+    rank: ticker.rank,
+    is_new: false,
+    is_active: true,
+    type: 'coin'
+  };
+}
+
+// Reduce a ticker to the trending list format
+function tickerToTrending(ticker) {
+  return {
+    id: ticker.id,
+    symbol: ticker.symbol,
+    name: ticker.name,
+    rank: ticker.rank,
+    price: ticker.quotes?.USD?.price || 0,
+    change_24h: ticker.quotes?.USD?.percent_change_24h || 0,
+    market_cap: ticker.quotes?.USD?.market_cap || 0
+  };
+}
+
+// ======================================
+// STEP 4: CORE API FUNCTIONS
+// ======================================
+
+// Function 1: Get current prices for multiple coins
+async function getCurrentPrices(coinIds = []) {
+  const quotes = await getCurrentQuotes(coinIds);
+
+  const prices = {};
+  Object.keys(quotes).forEach(coinId => {
+    prices[coinId] = quotes[coinId].price;
+  });
+
+  return prices;
+}
+
+// Function 2: Get current price for a single coin
+async function getCoinCurrentPrice(coinId) {
+  const ticker = findTicker(coinId);
+
+  if (!ticker) {
+    throw new Error(`Coin ${coinId} not found or price unavailable`);
+  }
+
+  return ticker.quotes?.USD?.price || 0;
+}
+
+// Function 3: Search for coins (matches ID, symbol or name)
+async function searchCoins(query, limit = 20) {
+  const term = String(query).toLowerCase();
+
+  return getTickers()
+    .filter(ticker =>
+      ticker.id.includes(term) ||
+      ticker.symbol.toLowerCase().includes(term) ||
+      ticker.name.toLowerCase().includes(term)
+    )
+    .slice(0, limit)
+    .map(tickerToCoin);
+}
+
+// Function 4: Get trending coins in different categories
+// Recorded data has no view counts, so "popular" is simply the top of the rank list
+async function getTrendingCoins() {
+  const tickers = getTickers();
+  const byChange = [...tickers].sort((a, b) =>
+    (b.quotes?.USD?.percent_change_24h || 0) - (a.quotes?.USD?.percent_change_24h || 0)
+  );
+  const byListing = [...tickers].sort((a, b) =>
+    new Date(b.first_data_at || 0) - new Date(a.first_data_at || 0)
+  );
+
+  return {
+    popular: tickers.slice(0, 10).map(tickerToTrending),
+    top_gainers: byChange.slice(0, 10).map(tickerToTrending),
+    top_losers: byChange.reverse().slice(0, 10).map(tickerToTrending),
+    recently_added: byListing.slice(0, 10).map(tickerToTrending)
+  };
+}
+
+// Function 5: Get detailed coin information
+async function getCoinDetails(coinId, timeframe = '7d') {
+  const id = safeCoinId(coinId);
+  const ticker = id ? findTicker(id) : null;
+  const coin = (id && readFixture(`coins/${id}.json`)) || (ticker && tickerToCoin(ticker));
+
+  if (!coin) {
+    throw new Error(`Coin ${coinId} not found`);
+  }
+
+  const usd = ticker?.quotes?.USD || {};
+
+  return {
+    id: coin.id,
+    symbol: coin.symbol,
+    name: coin.name,
+    description: coin.description || 'No description available',
+    rank: coin.rank,
+    is_active: coin.is_active,
+    is_new: coin.is_new,
+    type: coin.type,
+    tags: coin.tags || [],
+    team: coin.team || [],
+    links: coin.links || {},
+    started_at: coin.started_at,
+    development_status: coin.development_status,
+    hardware_wallet: coin.hardware_wallet,
+    org_structure: coin.org_structure,
+    hash_algorithm: coin.hash_algorithm,
+    proof_type: coin.proof_type,
+    open_source: coin.open_source,
+    metrics: {
+      price: usd.price || 0,
+      volume_24h: usd.volume_24h || 0,
+      market_cap: usd.market_cap || 0,
+      percent_change_1h: usd.percent_change_1h || 0,
+      percent_change_24h: usd.percent_change_24h || 0,
+      percent_change_7d: usd.percent_change_7d || 0,
+      percent_change_30d: usd.percent_change_30d || 0,
+      ath_price: usd.ath_price || 0,
+      ath_date: usd.ath_date,
+      percent_from_ath: usd.percent_from_price_ath || 0,
+      total_supply: ticker?.total_supply,
+      max_supply: ticker?.max_supply,
+      circulating_supply: ticker?.circulating_supply
+    },
+    chart_data: await getCoinOHLCV(coinId, timeframe)
+  };
+}
+
+// Function 6: Get OHLCV data for charts
+// Recorded candles are daily, so intraday timeframes get daily candles too
+// Ranges are measured back from the newest recording rather than from now
+async function getCoinOHLCV(coinId, timeframe = '7d') {
+  const id = safeCoinId(coinId);
+  const candles = (id && readFixture(`ohlcv/${id}.json`, [])) || [];
+  if (candles.length === 0) return [];
+
+  const points = candles.map(candle => ({
+    timestamp: new Date(candle.time_open).getTime(),
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume
+  }));
+
+  // The recording "ends" when its newest daily candle closes
+  const plan = ohlcv.getTimeframePlan(timeframe);
+  const recordedUntil = Math.max(...points.map(point => point.timestamp)) + ohlcv.MS_PER_DAY;
+  const since = plan.range === null ? null : recordedUntil - plan.range;
+
+  return ohlcv.resample(points, Math.max(plan.bucketMs, ohlcv.BUCKETS['1d']), since);
+}
+
+// Function 7: Get global market data
+async function getGlobalMarketData() {
+  const globalData = readFixture('global.json');
+
+  if (!globalData) {
+    throw new Error('No recorded global market data (expected global.json)');
+  }
+
+  return {
+    total_market_cap: globalData.market_cap_usd,
+    total_volume_24h: globalData.volume_24h_usd,
+    bitcoin_dominance: globalData.bitcoin_dominance_percentage,
+    cryptocurrencies_count: globalData.cryptocurrencies_number,
+    market_cap_change_24h: globalData.market_cap_change_24h,
+    volume_change_24h: globalData.volume_24h_change_24h
+  };
+}
+
+// Function 8: Get all coins (for reference)
+async function getAllCoins() {
+  return getTickers().map(tickerToCoin);
+}
+
+// Function 9: Get coin by symbol (case-insensitive)
+async function getCoinBySymbol(symbol) {
+  const ticker = getTickers().find(t => t.symbol.toLowerCase() === String(symbol).toLowerCase());
+
+  if (!ticker) {
+    throw new Error(`Coin with symbol ${symbol} not found`);
+  }
+
+  return tickerToCoin(ticker);
+}
+
+// Function 10: Get current quotes (price, 24h change, volume, market cap) for multiple coins
+// Unknown coins get zero quotes, like the live provider
+async function getCurrentQuotes(coinIds = []) {
+  const tickers = getTickers();
+  const byId = new Map(tickers.map(ticker => [ticker.id, ticker]));
+  const ids = coinIds.length > 0 ? coinIds : tickers.map(ticker => ticker.id);
+
+  const quotes = {};
+  ids.forEach(coinId => {
+    quotes[coinId] = tickerToQuote(byId.get(coinId) || null);
+  });
+
+  return quotes;
+}
+
+// Function 11: Get a coin's USD price at a past moment (the open of the recorded day containing it)
+async function getHistoricalPrice(coinId, date) {
+  const id = safeCoinId(coinId);
+  const timestamp = new Date(date).getTime();
+  const candles = (id && readFixture(`ohlcv/${id}.json`, [])) || [];
+
+  const candle = candles.find(c => {
+    const open = new Date(c.time_open).getTime();
+    return timestamp >= open && timestamp < open + ohlcv.MS_PER_DAY;
+  });
+
+  if (!candle) {
+    const error = new Error(`Price for ${coinId} at ${new Date(timestamp).toISOString()} not found`);
+    error.code = 'PRICE_NOT_FOUND';
+    throw error;
+  }
+
+  return {
+    price: candle.open,
+    timestamp: new Date(candle.time_open).toISOString()
+  };
+}
+
+// Function 12: Get the exchange pairs a coin trades on, largest volume share first
+async function getCoinMarkets(coinId) {
+  const id = safeCoinId(coinId);
+  const markets = id && readFixture(`markets/${id}.json`);
+
+  if (!markets) {
+    throw new Error(`Markets for ${coinId} not found`);
+  }
+
+  return markets.map(marketToPair).sort((a, b) => b.volume_share - a.volume_share);
+}
+
+// Function 13: Get the exchange directory, ranked by the provider's adjusted rank
+async function getExchanges() {
+  return readFixture('exchanges.json', []).map(exchangeToSummary).sort(compareExchanges);
+}
+
+// Function 14: Get a tag and the recorded coins carrying it (from the coin profiles in coins/)
+async function getCoinsByTag(tagId) {
+  const coinsDir = path.join(FIXTURE_DIR, 'coins');
+  const profiles = fs.existsSync(coinsDir)
+    ? fs.readdirSync(coinsDir).filter(file => file.endsWith('.json')).map(file => readFixture(`coins/${file}`))
+    : [];
+
+  const tagged = profiles.filter(profile => (profile.tags || []).some(tag => tag.id === tagId));
+  const tag = tagged[0]?.tags.find(t => t.id === tagId);
+
+  if (!tag) {
+    throw new Error(`Tag ${tagId} not found`);
+  }
+
+  const coins = tagged
+    .map(profile => findTicker(profile.id))
+    .filter(Boolean)
+    .map(ticker => ({
+      id: ticker.id,
+      symbol: ticker.symbol,
+      name: ticker.name,
+      rank: ticker.rank,
+      ...tickerToQuote(ticker)
+    }))
+    .sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+
+  return {
+    tag: {
+      id: tag.id,
+      name: tag.name,
+      description: tag.description || '',
+      coin_counter: tag.coin_counter || 0
+    },
+    coins
+  };
+}
+
+// ======================================
+// STEP 5: EXPORT PROVIDER
+// ======================================
+
+module.exports = {
+  name: 'fixture',
+  recorded: true, // Serves saved data, so answers from it are flagged as stale
+  getCurrentPrices,
+  getCurrentQuotes,
+  getCoinCurrentPrice,
+  searchCoins,
+  getTrendingCoins,
+  getAllCoins,
+  getCoinBySymbol,
+  getCoinDetails,
+  getCoinOHLCV,
+  getGlobalMarketData,
+  getHistoricalPrice,
+  getCoinMarkets,
+  getExchanges,
+  getCoinsByTag,
+  FIXTURE_DIR
+};
@@ -0,0 +1,164 @@
+// services/rateLimiter.js
+// Outbound rate limiting for upstream APIs
+// Token bucket with a priority queue, plus exponential backoff with jitter for retries
+
+// ======================================
+// STEP 1: CONFIGURATION
+// ======================================
+
+// Queue priorities (lower runs first)
+const PRIORITY = {
+  HIGH: 0, // A user is waiting on live prices
+  NORMAL: 1, // A user is waiting on anything else
+  LOW: 2 // Background work (cache revalidation, scheduled jobs)
+};
+
+// Build an error for a call the limiter refused without sending it
+function localError(message) {
+  const error = new Error(message);
+  error.local = true;
+  return error;
+}
+
+// ======================================
+// STEP 2: TOKEN BUCKET
+// ======================================
+
+// Create a limiter allowing `limit` requests per `intervalMs` (bursts up to `limit`)
+// Calls over budget wait in a priority queue instead of failing; a call that waits longer
+// than maxWaitMs, or arrives when maxQueue calls are already waiting, is rejected
+// Rejections carry error.local = true: the request never reached the upstream API
+function createRateLimiter({ name, limit, intervalMs = 60 * 1000, maxQueue = 100, maxWaitMs = 60 * 1000 }) {
+  const refillPerMs = limit / intervalMs;
+
+  const bucket = {
+    tokens: limit,
+    refilledAt: Date.now(),
+    queue: [], // { task, priority, seq, queuedAt, resolve, reject }
+    seq: 0, // Keeps FIFO order within a priority
+    timer: null
+  };
+
+  const stats = {
+    scheduled: 0,
+    started: 0,
+    queued: 0, // Calls that had to wait for a token
+    rejected: 0 // Queue full or waited too long
+  };
+
+  // Add tokens for the time since the last refill
+  function refill() {
+    const now = Date.now();
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.refilledAt) * refillPerMs);
+    bucket.refilledAt = now;
+  }
+
+  // Start as many queued calls as there are tokens, then sleep until the next token
+  function drain() {
+    bucket.timer = null;
+    refill();
+
+    const now = Date.now();
+
+    while (bucket.queue.length > 0) {
+      const next = bucket.queue[0];
+
+      if (now - next.queuedAt > maxWaitMs) {
+        bucket.queue.shift();
+        stats.rejected++;
+        next.reject(localError(`${name} rate limit: waited more than ${Math.round(maxWaitMs / 1000)}s for a request slot`));
+        continue;
+      }
+
+      if (bucket.tokens < 1) break;
+
+      bucket.queue.shift();
+      bucket.tokens -= 1;
+      stats.started++;
+      Promise.resolve().then(next.task).then(next.resolve, next.reject);
+    }
+
+    if (bucket.queue.length > 0) {
+      const waitMs = Math.ceil((1 - bucket.tokens) / refillPerMs);
+      bucket.timer = setTimeout(drain, Math.max(waitMs, 10));
+    }
+  }
+
+  // Run a task once a token is available
+  function schedule(task, priority = PRIORITY.NORMAL) {
+    stats.scheduled++;
+
+    if (bucket.queue.length >= maxQueue) {
+      stats.rejected++;
+      return Promise.reject(localError(`${name} rate limit: request queue is full`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { task, priority, seq: bucket.seq++, queuedAt: Date.now(), resolve, reject };
+
+      // Insert after every call of the same or higher priority
+      const index = bucket.queue.findIndex(queued => queued.priority > priority);
+      bucket.queue.splice(index === -1 ? bucket.queue.length : index, 0, entry);
+
+      refill();
+      if (bucket.tokens < 1 || bucket.queue.length > 1) {
+        stats.queued++;
+      }
+
+      if (!bucket.timer) {
+        drain();
+      }
+    });
+  }
+
+  // Current limiter state for monitoring
+  function getStats() {
+    refill();
+    return {
+      name,
+      limit,
+      interval_ms: intervalMs,
+      tokens: Math.floor(bucket.tokens),
+      waiting: bucket.queue.length,
+      ...stats
+    };
+  }
+
+  return { schedule, getStats };
+}
+
+// ======================================
+// STEP 3: RETRY BACKOFF
+// ======================================
+
+// Delay before retry number `attempt` (0-based): exponential, capped, with equal jitter
+// (half of the delay is fixed, the other half random, so retries never come back immediately)
+// A Retry-After header (seconds or HTTP date) wins when the server sends one
+function backoffDelay(attempt, { baseMs = 1000, maxMs = 30 * 1000, retryAfter = null } = {}) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const retryAt = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (retryAt > 0) {
+      return Math.min(retryAt, maxMs);
+    }
+  }
+
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Check whether an HTTP status is worth retrying (rate limited or server error)
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// ======================================
+// STEP 4: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  createRateLimiter,
+  backoffDelay,
+  isRetryableStatus,
+  PRIORITY
+};
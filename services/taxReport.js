@@ -0,0 +1,147 @@
+// services/taxReport.js
+// Capital-gains tax lot report for the crypto portfolio app
+// Turns the cost-basis engine's disposals into a yearly report (JSON or CSV)
+
+// Import cost-basis engine
+const costBasis = require('./costBasis');
+
+// ======================================
+// STEP 1: CONFIGURATION
+// ======================================
+
+// Disposals of lots held for more than this are long-term
+const LONG_TERM_HOLDING_YEARS = 1;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Column order for the CSV export
+const CSV_COLUMNS = [
+  'coin_id',
+  'coin_symbol',
+  'amount',
+  'acquisition_date',
+  'disposal_date',
+  'holding_period_days',
+  'term',
+  'proceeds',
+  'cost_basis',
+  'gain_loss'
+];
+
+// ======================================
+// STEP 2: HELPER FUNCTIONS
+// ======================================
+
+// Classify a disposal as short-term or long-term
+// Disposals with no matching buy in the ledger cannot be classified
+function classifyTerm(acquiredAt, disposedAt) {
+  if (!acquiredAt) return 'unknown';
+
+  const longTermFrom = new Date(acquiredAt);
+  longTermFrom.setUTCFullYear(longTermFrom.getUTCFullYear() + LONG_TERM_HOLDING_YEARS);
+
+  return new Date(disposedAt) > longTermFrom ? 'long' : 'short';
+}
+
+// Format a date as YYYY-MM-DD (UTC)
+function toDateString(date) {
+  return date ? new Date(date).toISOString().split('T')[0] : '';
+}
+
+// Round money values to cents for the report
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Escape a value for CSV output
+function escapeCSV(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ======================================
+// STEP 3: CORE FUNCTIONS
+// ======================================
+
+// Function 1: Build the capital-gains report for one calendar year (UTC)
+function buildTaxReport(transactions, method, year) {
+  const basisByCoin = costBasis.computePortfolioCostBasis(transactions, method);
+
+  // Symbol lookup for the report rows
+  const symbols = {};
+  transactions.forEach(tx => {
+    symbols[tx.coin_id] = tx.coin_symbol;
+  });
+
+  const disposals = [];
+
+  for (const [coinId, basis] of Object.entries(basisByCoin)) {
+    for (const disposal of basis.disposals) {
+      if (new Date(disposal.disposed_at).getUTCFullYear() !== year) continue;
+
+      disposals.push({
+        coin_id: coinId,
+        coin_symbol: symbols[coinId],
+        amount: disposal.amount,
+        acquisition_date: toDateString(disposal.acquired_at),
+        disposal_date: toDateString(disposal.disposed_at),
+        holding_period_days: disposal.acquired_at
+          ? Math.floor((new Date(disposal.disposed_at) - new Date(disposal.acquired_at)) / MS_PER_DAY)
+          : null,
+        term: classifyTerm(disposal.acquired_at, disposal.disposed_at),
+        proceeds: roundMoney(disposal.proceeds),
+        cost_basis: roundMoney(disposal.cost_basis),
+        gain_loss: roundMoney(disposal.gain_loss)
+      });
+    }
+  }
+
+  // Oldest disposal first, matching the order a tax form expects
+  disposals.sort((a, b) => a.disposal_date.localeCompare(b.disposal_date));
+
+  // Totals per holding term
+  const totals = {};
+  for (const term of ['short', 'long', 'unknown']) {
+    const rows = disposals.filter(row => row.term === term);
+    totals[term] = {
+      disposals: rows.length,
+      proceeds: roundMoney(rows.reduce((sum, row) => sum + row.proceeds, 0)),
+      cost_basis: roundMoney(rows.reduce((sum, row) => sum + row.cost_basis, 0)),
+      gain_loss: roundMoney(rows.reduce((sum, row) => sum + row.gain_loss, 0))
+    };
+  }
+
+  return {
+    year,
+    cost_basis_method: method,
+    currency: 'USD',
+    disposals,
+    totals: {
+      short_term: totals.short,
+      long_term: totals.long,
+      unknown_term: totals.unknown,
+      net_gain_loss: roundMoney(totals.short.gain_loss + totals.long.gain_loss + totals.unknown.gain_loss)
+    }
+  };
+}
+
+// Function 2: Render a report as CSV (one row per disposal)
+function formatTaxReportCSV(report) {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  for (const row of report.disposals) {
+    lines.push(CSV_COLUMNS.map(column => escapeCSV(row[column])).join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ======================================
+// STEP 4: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  buildTaxReport,
+  formatTaxReportCSV,
+  classifyTerm
+};
@@ -0,0 +1,170 @@
+// services/upstreamClient.js
+// Shared HTTP client for upstream market-data APIs
+// Cached, rate-limited JSON requests with retries, timeouts and an optional circuit breaker
+
+// ======================================
+// STEP 1: IMPORT REQUIRED MODULES
+// ======================================
+
+// Shared response cache (LRU, stale-while-revalidate, request coalescing)
+const apiCache = require('./apiCache');
+
+// Retry backoff and queue priorities for outbound requests
+const { backoffDelay, isRetryableStatus, PRIORITY } = require('./rateLimiter');
+require('dotenv').config();
+
+// ======================================
+// STEP 2: CONFIGURATION
+// ======================================
+
+// How long one request may take before it is aborted (milliseconds)
+const API_TIMEOUT = parseInt(process.env.API_TIMEOUT, 10) || 10 * 1000; // 10 seconds
+
+// How many times a 429 or 5xx response is retried (0 disables retries)
+const MAX_RETRIES = parseInt(process.env.API_MAX_RETRIES, 10) >= 0
+  ? parseInt(process.env.API_MAX_RETRIES, 10)
+  : 3;
+
+// ======================================
+// STEP 3: ERRORS
+// ======================================
+
+// Build an API error
+// unavailable = the API could not answer (timeout, network, 429/5xx, open circuit), as opposed to rejecting the request (e.g. 404)
+// local = our own rate limiter refused the request, so the API was never asked
+// The market-data facade fails over to another source only for unavailable errors
+function apiError(message, unavailable, local = false) {
+  const error = new Error(message);
+  error.unavailable = unavailable;
+  error.local = local;
+  return error;
+}
+
+// ======================================
+// STEP 4: CLIENT
+// ======================================
+
+// Create a client for one API
+// endpointTTLs = [{ pattern, ttl }] picks how long each kind of response stays fresh (first match wins, default API_CACHE_TTL)
+// Requests wait on `limiter` (see services/rateLimiter.js); with a `breaker` they are refused while its circuit is open
+function createUpstreamClient({ name, baseUrl, limiter, endpointTTLs = [], breaker = null }) {
+  const retryStats = {
+    retries: 0
+  };
+
+  // Pick the cache TTL for an endpoint
+  function getEndpointTTL(endpoint) {
+    const rule = endpointTTLs.find(({ pattern }) => pattern.test(endpoint));
+    return rule ? rule.ttl : apiCache.DEFAULT_TTL;
+  }
+
+  // Fetch and parse one URL
+  // Every attempt waits for a rate-limit token; 429 and 5xx responses are retried with backoff
+  // An attempt is aborted after API_TIMEOUT (time spent waiting in the queue does not count)
+  async function fetchJSON(url, priority = PRIORITY.NORMAL) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+
+      try {
+        response = await limiter.schedule(async () => {
+          const signal = AbortSignal.timeout(API_TIMEOUT);
+          const res = await fetch(url, {
+            headers: {
+              'Accept': 'application/json',
+              'User-Agent': 'CryptoPortfolioApp/1.0'
+            },
+            signal
+          });
+
+          // Read the body under the same timeout
+          return res.ok ? { ok: true, data: await res.json() } : res;
+        }, priority);
+      } catch (error) {
+        if (error.name === 'TimeoutError') {
+          throw apiError(`${name} request timed out after ${API_TIMEOUT}ms`, true);
+        }
+        throw apiError(`${name} request failed: ${error.cause?.message || error.message}`, true, error.local === true);
+      }
+
+      if (response.ok) {
+        return response.data;
+      }
+
+      if (!isRetryableStatus(response.status) || attempt >= MAX_RETRIES) {
+        throw apiError(`${name} request failed: ${response.status} ${response.statusText}`, isRetryableStatus(response.status));
+      }
+
+      const delay = backoffDelay(attempt, { retryAfter: response.headers.get('retry-after') });
+      retryStats.retries++;
+      console.warn(`⚠️ ${name} responded ${response.status}, retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // Fetch through the breaker (when there is one), telling it how the API answered
+  async function fetchThroughBreaker(url, priority) {
+    if (!breaker) {
+      return fetchJSON(url, priority);
+    }
+
+    if (!breaker.allowRequest()) {
+      throw apiError(`${name} is unavailable (circuit open)`, true);
+    }
+
+    try {
+      const data = await fetchJSON(url, priority);
+      breaker.recordSuccess();
+      return data;
+    } catch (error) {
+      if (error.local) {
+        breaker.recordSkipped(); // Refused by our own rate limiter
+      } else if (error.unavailable) {
+        breaker.recordFailure(error);
+      } else {
+        breaker.recordSuccess(); // The API answered - it just rejected the request
+      }
+      throw error;
+    }
+  }
+
+  // Make a cached API request
+  // priority decides the queue position when the request budget is used up
+  async function makeAPIRequest(endpoint, params = {}, priority = PRIORITY.NORMAL) {
+    let url = `${baseUrl}${endpoint}`;
+    if (Object.keys(params).length > 0) {
+      url += `?${new URLSearchParams(params).toString()}`;
+    }
+
+    try {
+      // Served from cache when possible; concurrent requests for the same URL share one fetch
+      // Background revalidations of stale entries queue behind requests a user is waiting on
+      return await apiCache.getOrFetch(url, getEndpointTTL(endpoint), ({ background } = {}) => {
+        console.log(` Fetching from ${name}: ${endpoint}`);
+        return fetchThroughBreaker(url, background ? PRIORITY.LOW : priority);
+      });
+    } catch (error) {
+      console.error(`  ${name} request error for ${endpoint}:`, error.message);
+      throw apiError(`Failed to fetch data from ${name} API: ${error.message}`, error.unavailable === true, error.local === true);
+    }
+  }
+
+  // Limiter and retry statistics for monitoring
+  function getStats() {
+    return {
+      ...limiter.getStats(),
+      ...retryStats,
+      max_retries: MAX_RETRIES
+    };
+  }
+
+  return { makeAPIRequest, fetchJSON, getEndpointTTL, getStats };
+}
+
+// ======================================
+// STEP 5: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  createUpstreamClient,
+  apiError
+};
@@ -0,0 +1,136 @@
+// services/userSettings.js
+// User settings defaults and validation for the crypto portfolio app
+// The settings themselves are stored on the users table (see db.js)
+
+// Import DexPaprika service for timeframe validation
+const dexpaprikaService = require('./dexpaprika');
+
+// Import cost-basis engine for method validation
+const costBasis = require('./costBasis');
+
+// Import FX service for the supported display currencies
+const fxRates = require('./fxRates');
+
+// ======================================
+// STEP 1: CONFIGURATION
+// ======================================
+
+// Allowed values for each setting
+const THEMES = ['light', 'dark'];
+
+// Notification switches (all booleans)
+const NOTIFICATION_KEYS = ['enabled', 'price_alerts', 'portfolio_alerts'];
+
+// Chart timeframes offered in the settings screen
+const CHART_TIMEFRAMES = ['4h', '1d', '7d', '30d', '90d', '365d', 'max'];
+
+// Settings for users who have never changed anything
+const DEFAULT_SETTINGS = {
+  theme: 'light',
+  currency: 'USD',
+  notifications: {
+    enabled: true,
+    price_alerts: true,
+    portfolio_alerts: true
+  },
+  chart_timeframe: '7d',
+  balance_visible: true,
+  cost_basis_method: costBasis.DEFAULT_METHOD
+};
+
+// ======================================
+// STEP 2: CORE FUNCTIONS
+// ======================================
+
+// Function 1: Merge stored settings over the defaults
+function withDefaults(stored = {}) {
+  const settings = { ...DEFAULT_SETTINGS };
+
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (stored[key] !== undefined && stored[key] !== null) {
+      settings[key] = stored[key];
+    }
+  }
+
+  settings.notifications = { ...DEFAULT_SETTINGS.notifications, ...(stored.notifications || {}) };
+
+  return settings;
+}
+
+// Function 2: Validate a (partial) settings update
+// Returns { error } on the first invalid field, otherwise { updates } with only the given fields
+function validateSettingsUpdate(input = {}) {
+  const updates = {};
+
+  if (input.theme !== undefined) {
+    if (!THEMES.includes(input.theme)) {
+      return { error: 'Theme must be "light" or "dark"' };
+    }
+    updates.theme = input.theme;
+  }
+
+  if (input.currency !== undefined) {
+    const currency = String(input.currency).toUpperCase();
+    if (!fxRates.isSupportedCurrency(currency)) {
+      return { error: `Currency must be one of: ${fxRates.SUPPORTED_CURRENCIES.join(', ')}` };
+    }
+    updates.currency = currency;
+  }
+
+  if (input.notifications !== undefined) {
+    const notifications = input.notifications;
+    if (typeof notifications !== 'object' || notifications === null || Array.isArray(notifications)) {
+      return { error: 'Notifications must be an object of on/off switches' };
+    }
+    for (const [key, value] of Object.entries(notifications)) {
+      if (!NOTIFICATION_KEYS.includes(key) || typeof value !== 'boolean') {
+        return { error: `Notification settings must be booleans for: ${NOTIFICATION_KEYS.join(', ')}` };
+      }
+    }
+    updates.notifications = notifications;
+  }
+
+  if (input.chart_timeframe !== undefined) {
+    if (!dexpaprikaService.isValidTimeframe(input.chart_timeframe)) {
+      return { error: 'Invalid chart timeframe' };
+    }
+    updates.chart_timeframe = input.chart_timeframe;
+  }
+
+  if (input.balance_visible !== undefined) {
+    if (typeof input.balance_visible !== 'boolean') {
+      return { error: 'Balance visibility must be true or false' };
+    }
+    updates.balance_visible = input.balance_visible;
+  }
+
+  if (input.cost_basis_method !== undefined) {
+    if (!costBasis.isValidMethod(input.cost_basis_method)) {
+      return { error: `Cost basis method must be one of: ${costBasis.COST_BASIS_METHODS.join(', ')}` };
+    }
+    updates.cost_basis_method = input.cost_basis_method;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { error: 'No valid settings provided' };
+  }
+
+  return { updates };
+}
+
+// ======================================
+// STEP 3: EXPORT ALL FUNCTIONS
+// ======================================
+
+module.exports = {
+  withDefaults,
+  validateSettingsUpdate,
+  DEFAULT_SETTINGS,
+  THEMES,
+  OPTIONS: {
+    themes: THEMES,
+    currencies: fxRates.SUPPORTED_CURRENCIES,
+    chart_timeframes: CHART_TIMEFRAMES,
+    cost_basis_methods: costBasis.COST_BASIS_METHODS
+  }
+};
@@ -0,0 +1,81 @@
+// test/alerts.test.js
+// Alert validation, threshold crossings and one background check
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../db');
+const dexpaprikaService = require('../services/dexpaprika');
+const alerts = require('../services/alerts');
+
+// Stub the database and quote calls checkAlerts makes
+function mockCheck(t, { active, settings = {}, holdings = [], quotes = {} }) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(db, 'getActiveAlerts', async () => active);
+  t.mock.method(db, 'getUserSettings', async (userId) => settings[userId] || null);
+  t.mock.method(db, 'getUserPortfolio', async () => holdings);
+  t.mock.method(db, 'recordAlertTrigger', async () => {});
+  t.mock.method(db, 'setAlertCondition', async () => {});
+  t.mock.method(dexpaprikaService, 'getCurrentQuotes', async () => quotes);
+}
+
+test('coin alerts need a coin, portfolio alerts do not', () => {
+  assert.deepEqual(alerts.validateAlert({ alert_type: 'price_above', threshold: '100', coin_id: 'btc-bitcoin', coin_symbol: 'btc' }), {
+    alert: { alert_type: 'price_above', coin_id: 'btc-bitcoin', coin_symbol: 'BTC', threshold: 100 }
+  });
+  assert.deepEqual(alerts.validateAlert({ alert_type: 'portfolio_below', threshold: 5000, coin_id: 'ignored' }), {
+    alert: { alert_type: 'portfolio_below', threshold: 5000 }
+  });
+
+  assert.match(alerts.validateAlert({ alert_type: 'price_below', threshold: 1 }).error, /Coin ID and symbol/);
+  assert.match(alerts.validateAlert({ alert_type: 'volume_above', threshold: 1 }).error, /Alert type must be one of/);
+  assert.match(alerts.validateAlert({ alert_type: 'price_above', threshold: '-5' }).error, /positive number/);
+});
+
+test('each alert type compares the value against its threshold', () => {
+  assert.equal(alerts.isTriggered({ alert_type: 'price_above', threshold: 100 }, 100), true);
+  assert.equal(alerts.isTriggered({ alert_type: 'price_above', threshold: 100 }, 99.99), false);
+  assert.equal(alerts.isTriggered({ alert_type: 'portfolio_below', threshold: 1000 }, 999), true);
+  assert.equal(alerts.isTriggered({ alert_type: 'percent_change', threshold: 5 }, -6), true);
+  assert.equal(alerts.isTriggered({ alert_type: 'percent_change', threshold: 5 }, 4.9), false);
+  assert.equal(alerts.isTriggered({ alert_type: 'price_below', threshold: 100 }, undefined), false);
+});
+
+test('alerts fire only when the condition changes from false to true', () => {
+  const alert = { alert_type: 'price_above', threshold: 100 };
+
+  assert.equal(alerts.hasCrossed({ ...alert, condition_met: false }, 120), true);
+  assert.equal(alerts.hasCrossed({ ...alert, condition_met: true }, 120), false);
+  assert.equal(alerts.hasCrossed({ ...alert, condition_met: null }, 120), false); // Not observed yet
+  assert.equal(alerts.hasCrossed({ ...alert, condition_met: false }, 80), false);
+});
+
+test('a check fires crossed alerts and records the side of every other one', async (t) => {
+  const btcAbove = { alert_type: 'price_above', coin_id: 'btc-bitcoin', coin_symbol: 'BTC', threshold: 50000 };
+  mockCheck(t, {
+    active: [
+      { id: 1, user_id: 1, ...btcAbove, condition_met: false },
+      { id: 2, user_id: 1, alert_type: 'portfolio_above', threshold: 1000, condition_met: false },
+      { id: 3, user_id: 2, ...btcAbove, condition_met: false }, // Price alerts switched off
+      { id: 4, user_id: 1, ...btcAbove, condition_met: true }, // Already above
+      { id: 5, user_id: 1, ...btcAbove, condition_met: null }, // First observation
+      { id: 6, user_id: 1, alert_type: 'price_below', coin_id: 'btc-bitcoin', coin_symbol: 'BTC', threshold: 40000, condition_met: true },
+      { id: 7, user_id: 1, alert_type: 'price_above', coin_id: 'doge-dogecoin', coin_symbol: 'DOGE', threshold: 1, condition_met: false }
+    ],
+    settings: { 2: { notifications: { price_alerts: false } } },
+    holdings: [{ coin_id: 'eth-ethereum', amount: '2', current_price: '100' }],
+    quotes: {
+      'btc-bitcoin': { price: 60000, change_24h: 1 },
+      'eth-ethereum': { price: 600, change_24h: 3 }
+    }
+  });
+
+  const fired = await alerts.checkAlerts();
+
+  assert.deepEqual(fired.map(alert => [alert.alert_id, alert.value]), [[1, 60000], [2, 1200]]);
+  assert.equal(fired[0].message, 'BTC rose above $50,000.00 (now $60,000.00)');
+  assert.equal(db.recordAlertTrigger.mock.callCount(), 2);
+
+  // No quote for DOGE leaves its alert untouched
+  assert.deepEqual(db.setAlertCondition.mock.calls.map(call => call.arguments), [[3, true], [5, true], [6, false]]);
+});
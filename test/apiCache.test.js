@@ -0,0 +1,91 @@
+// test/apiCache.test.js
+// Memory tier of the API cache: TTLs, stale-while-revalidate, coalescing and the LRU cap
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Memory only, small enough to exercise eviction (read when the module loads)
+process.env.API_CACHE_PERSIST = 'false';
+process.env.API_CACHE_MAX_ENTRIES = '2';
+process.env.API_CACHE_STALE_TTL = '1000';
+
+const apiCache = require('../services/apiCache');
+
+// Move the cache's clock by hand
+function mockClock(t) {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'warn', () => {});
+  return (ms) => { now += ms; };
+}
+
+test.beforeEach(() => apiCache.clear());
+
+test('fresh entries are served without fetching again', async (t) => {
+  const advance = mockClock(t);
+  const fetcher = t.mock.fn(async () => 'value');
+
+  assert.equal(await apiCache.getOrFetch('a', 100, fetcher), 'value');
+  advance(99);
+  assert.equal(await apiCache.getOrFetch('a', 100, fetcher), 'value');
+
+  assert.equal(fetcher.mock.callCount(), 1);
+});
+
+test('stale entries are served while a background refresh runs', async (t) => {
+  const advance = mockClock(t);
+  let version = 0;
+  const fetcher = t.mock.fn(async () => ++version);
+
+  await apiCache.getOrFetch('a', 100, fetcher);
+  advance(500); // Expired, still within the stale grace period
+
+  assert.equal(await apiCache.getOrFetch('a', 100, fetcher), 1);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(fetcher.mock.calls.map(call => call.arguments[0]), [{ background: false }, { background: true }]);
+  assert.equal(await apiCache.getOrFetch('a', 100, fetcher), 2);
+});
+
+test('entries past the stale grace period are fetched again', async (t) => {
+  const advance = mockClock(t);
+  let version = 0;
+
+  await apiCache.getOrFetch('a', 100, async () => ++version);
+  advance(100 + 1000);
+
+  assert.equal(await apiCache.getOrFetch('a', 100, async () => ++version), 2);
+});
+
+test('concurrent misses share one fetch', async (t) => {
+  const fetcher = t.mock.fn(() => new Promise(resolve => setTimeout(() => resolve('value'), 10)));
+
+  const results = await Promise.all([1, 2, 3].map(() => apiCache.getOrFetch('a', 100, fetcher)));
+
+  assert.deepEqual(results, ['value', 'value', 'value']);
+  assert.equal(fetcher.mock.callCount(), 1);
+});
+
+test('failed fetches are not cached', async (t) => {
+  await assert.rejects(apiCache.getOrFetch('a', 100, async () => { throw new Error('down'); }), /down/);
+
+  const fetcher = t.mock.fn(async () => 'value');
+  assert.equal(await apiCache.getOrFetch('a', 100, fetcher), 'value');
+  assert.equal(fetcher.mock.callCount(), 1);
+});
+
+test('the least recently used entry is evicted over the cap', async (t) => {
+  const fetcher = t.mock.fn(async () => 'value');
+
+  await apiCache.getOrFetch('a', 1000, fetcher);
+  await apiCache.getOrFetch('b', 1000, fetcher);
+  await apiCache.getOrFetch('a', 1000, fetcher); // a is now the most recently used
+  await apiCache.getOrFetch('c', 1000, fetcher); // Evicts b
+
+  assert.equal(apiCache.getStats().size, 2);
+  await apiCache.getOrFetch('a', 1000, fetcher);
+  assert.equal(fetcher.mock.callCount(), 3);
+
+  await apiCache.getOrFetch('b', 1000, fetcher);
+  assert.equal(fetcher.mock.callCount(), 4);
+});
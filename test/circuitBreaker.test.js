@@ -0,0 +1,90 @@
+// test/circuitBreaker.test.js
+// Breaker state transitions: closed -> open -> half-open -> closed or open again
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createCircuitBreaker } = require('../services/circuitBreaker');
+
+// A breaker whose clock the test moves by hand
+function createTestBreaker(t, options = {}) {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+
+  const breaker = createCircuitBreaker({ name: 'Test', failureThreshold: 3, resetTimeoutMs: 1000, ...options });
+  return { breaker, advance: (ms) => { now += ms; } };
+}
+
+test('opens after the failure threshold and refuses requests', (t) => {
+  const { breaker } = createTestBreaker(t);
+
+  breaker.recordFailure(new Error('boom'));
+  breaker.recordFailure(new Error('boom'));
+  assert.equal(breaker.getState().state, 'closed');
+  assert.equal(breaker.allowRequest(), true);
+
+  breaker.recordFailure(new Error('boom'));
+  assert.equal(breaker.getState().state, 'open');
+  assert.equal(breaker.allowRequest(), false);
+  assert.equal(breaker.getState().times_opened, 1);
+  assert.equal(breaker.getState().last_error, 'boom');
+});
+
+test('a success resets the consecutive failure count', (t) => {
+  const { breaker } = createTestBreaker(t);
+
+  breaker.recordFailure(new Error('boom'));
+  breaker.recordFailure(new Error('boom'));
+  breaker.recordSuccess();
+  breaker.recordFailure(new Error('boom'));
+
+  assert.equal(breaker.getState().state, 'closed');
+  assert.equal(breaker.getState().consecutive_failures, 1);
+});
+
+test('lets a single trial through after the reset timeout, and closes if it succeeds', (t) => {
+  const { breaker, advance } = createTestBreaker(t, { failureThreshold: 1 });
+
+  breaker.recordFailure(new Error('boom'));
+  advance(999);
+  assert.equal(breaker.allowRequest(), false);
+
+  advance(1);
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.getState().state, 'half_open');
+  assert.equal(breaker.allowRequest(), false); // Only one trial at a time
+
+  breaker.recordSuccess();
+  assert.equal(breaker.getState().state, 'closed');
+  assert.equal(breaker.allowRequest(), true);
+});
+
+test('a failed trial reopens the breaker for another reset timeout', (t) => {
+  const { breaker, advance } = createTestBreaker(t, { failureThreshold: 1 });
+
+  breaker.recordFailure(new Error('boom'));
+  advance(1000);
+  assert.equal(breaker.allowRequest(), true);
+
+  breaker.recordFailure(new Error('still down'));
+  assert.equal(breaker.getState().state, 'open');
+  assert.equal(breaker.allowRequest(), false);
+
+  advance(1000);
+  assert.equal(breaker.allowRequest(), true);
+});
+
+test('a skipped trial frees the slot without counting as a failure', (t) => {
+  const { breaker, advance } = createTestBreaker(t, { failureThreshold: 1 });
+
+  breaker.recordFailure(new Error('boom'));
+  advance(1000);
+  assert.equal(breaker.allowRequest(), true);
+
+  breaker.recordSkipped();
+  assert.equal(breaker.getState().state, 'half_open');
+  assert.equal(breaker.getState().failures, 1);
+  assert.equal(breaker.allowRequest(), true);
+});
@@ -0,0 +1,54 @@
+// test/coinCatalog.test.js
+// Symbol lookups answered from the local catalog, with the provider only asked before it is loaded
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Offline provider, in case a lookup reaches it
+process.env.MARKET_DATA_PROVIDER = 'fixture';
+
+const db = require('../db');
+const dexpaprikaService = require('../services/dexpaprika');
+const fixtureProvider = require('../services/providers/fixture');
+const coinCatalog = require('../services/coinCatalog');
+
+// A catalog row as db.getCoinCatalog returns it
+function coin(id, symbol, name, rank, isActive = true) {
+  return { id, symbol, name, rank, is_active: isActive, is_new: false, type: 'coin', synced_at: new Date('2024-01-01') };
+}
+
+test('lookups go to the provider while the catalog is empty', async (t) => {
+  t.mock.method(db, 'getCoinCatalog', async () => []);
+  t.mock.method(fixtureProvider, 'getCoinBySymbol', async () => ({ id: 'btc-bitcoin', symbol: 'BTC', name: 'Bitcoin' }));
+  await coinCatalog.loadCatalog();
+
+  const found = await dexpaprikaService.getCoinBySymbol('btc');
+
+  assert.equal(found.id, 'btc-bitcoin');
+  assert.equal(fixtureProvider.getCoinBySymbol.mock.callCount(), 1);
+});
+
+test('a loaded catalog answers lookups without asking the provider', async (t) => {
+  t.mock.method(db, 'getCoinCatalog', async () => [
+    coin('eth-ethereum-classic-fork', 'ETH', 'Ethereum Fork', 900),
+    coin('eth-ethereum', 'ETH', 'Ethereum', 2),
+    coin('eth-old', 'ETH', 'Old Ethereum', 1, false),
+    coin('btc-bitcoin', 'BTC', 'Bitcoin', 1)
+  ]);
+  t.mock.method(fixtureProvider, 'getCoinBySymbol', async () => assert.fail('provider asked'));
+  await coinCatalog.loadCatalog();
+
+  // Active coins win over inactive ones, then the best rank
+  assert.equal((await dexpaprikaService.getCoinBySymbol('eth')).id, 'eth-ethereum');
+  assert.deepEqual(await dexpaprikaService.getCoinBySymbol('BTC'), {
+    id: 'btc-bitcoin',
+    symbol: 'BTC',
+    name: 'Bitcoin',
+    rank: 1,
+    is_new: false,
+    is_active: true,
+    type: 'coin'
+  });
+
+  await assert.rejects(dexpaprikaService.getCoinBySymbol('nope'), /Coin with symbol nope not found/);
+});
@@ -0,0 +1,139 @@
+// test/costBasis.test.js
+// Lot replay for the cost-basis engine (FIFO, LIFO, average and manual adjustments)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const costBasis = require('../services/costBasis');
+
+// Build a ledger row the way db.getUserTransactions returns it (DECIMAL columns come back as strings)
+function tx(id, type, amount, price, date) {
+  return {
+    id,
+    coin_id: 'btc-bitcoin',
+    coin_symbol: 'BTC',
+    transaction_type: type,
+    amount: String(amount),
+    price_per_unit: String(price),
+    total_value: String(amount * price),
+    transaction_date: new Date(date)
+  };
+}
+
+// Sum of the gains booked by every disposal
+function realized(basis) {
+  return basis.disposals.reduce((sum, disposal) => sum + disposal.gain_loss, 0);
+}
+
+// Two buys at different prices, then a sell that spans into the second lot
+const ledger = [
+  tx(1, 'buy', 1, 100, '2024-01-01'),
+  tx(2, 'buy', 1, 200, '2024-02-01'),
+  tx(3, 'sell', 1.5, 300, '2024-03-01')
+];
+
+test('fifo sells the oldest lot first', () => {
+  const basis = costBasis.computeCostBasis(ledger, 'fifo');
+
+  assert.equal(basis.amount, 0.5);
+  assert.equal(basis.average_cost, 200);
+  assert.equal(realized(basis), 450 - (100 + 100));
+  assert.deepEqual(basis.disposals.map(d => [d.buy_transaction_id, d.amount]), [[1, 1], [2, 0.5]]);
+});
+
+test('lifo sells the newest lot first', () => {
+  const basis = costBasis.computeCostBasis(ledger, 'lifo');
+
+  assert.equal(basis.amount, 0.5);
+  assert.equal(basis.average_cost, 100);
+  assert.equal(realized(basis), 450 - (200 + 50));
+  assert.deepEqual(basis.disposals.map(d => [d.buy_transaction_id, d.amount]), [[2, 1], [1, 0.5]]);
+});
+
+test('average values every unit at the running average cost', () => {
+  const basis = costBasis.computeCostBasis(ledger, 'average');
+
+  assert.equal(basis.amount, 0.5);
+  assert.equal(basis.average_cost, 150);
+  assert.equal(realized(basis), 450 - 225);
+});
+
+test('ledger order breaks ties between rows on the same date', () => {
+  const sameDay = [
+    tx(2, 'sell', 1, 150, '2024-01-01'),
+    tx(1, 'buy', 1, 100, '2024-01-01')
+  ];
+
+  const basis = costBasis.computeCostBasis(sameDay, 'fifo');
+
+  assert.equal(basis.amount, 0);
+  assert.equal(basis.disposals[0].buy_transaction_id, 1);
+  assert.equal(realized(basis), 50);
+});
+
+test('selling more than the ledger holds records the excess with no basis', (t) => {
+  t.mock.method(console, 'warn', () => {});
+
+  const basis = costBasis.computeCostBasis([
+    tx(1, 'buy', 1, 100, '2024-01-01'),
+    tx(2, 'sell', 3, 100, '2024-02-01')
+  ], 'fifo');
+
+  const excess = basis.disposals.find(d => d.buy_transaction_id === null);
+  assert.equal(excess.amount, 2);
+  assert.equal(excess.cost_basis, 0);
+  assert.equal(excess.acquired_at, null);
+});
+
+test('computePortfolioCostBasis keys results by coin', () => {
+  const eth = { ...tx(9, 'buy', 2, 10, '2024-01-01'), coin_id: 'eth-ethereum', coin_symbol: 'ETH' };
+  const results = costBasis.computePortfolioCostBasis([...ledger, eth]);
+
+  assert.deepEqual(Object.keys(results).sort(), ['btc-bitcoin', 'eth-ethereum']);
+  assert.equal(results['eth-ethereum'].total_cost, 20);
+  assert.equal(results['btc-bitcoin'].method, costBasis.DEFAULT_METHOD);
+});
+
+test('unknown methods are rejected', () => {
+  assert.equal(costBasis.isValidMethod('hifo'), false);
+  assert.throws(() => costBasis.computeCostBasis(ledger, 'hifo'), /Unsupported cost basis method/);
+});
+
+test('realized_gain_loss totals every disposal', () => {
+  const basis = costBasis.computeCostBasis(ledger, 'fifo');
+
+  assert.equal(basis.realized_gain_loss, realized(basis));
+});
+
+test('groupRealizedByPeriod sums disposals per UTC month', () => {
+  const { disposals } = costBasis.computeCostBasis([
+    ...ledger,
+    tx(4, 'sell', 0.5, 300, '2024-04-15')
+  ], 'fifo');
+
+  const months = costBasis.groupRealizedByPeriod(disposals, 'month');
+
+  assert.deepEqual(months.map(m => [m.period, m.disposals]), [['2024-03', 2], ['2024-04', 1]]);
+  assert.equal(months[1].realized_gain_loss, 50);
+  assert.deepEqual(costBasis.groupRealizedByPeriod(disposals, 'year').map(y => y.period), ['2024']);
+  assert.throws(() => costBasis.groupRealizedByPeriod(disposals, 'week'), /Unsupported period/);
+});
+
+test('adjustments move open lots without realizing anything', () => {
+  const adjusted = [
+    ...ledger.slice(0, 2),
+    tx(3, 'adjustment', -1.5, 300, '2024-03-01'), // Remove units (oldest first under fifo)
+    tx(4, 'adjustment', 1, 50, '2024-03-02'), // Add a lot
+    tx(5, 'adjustment', 0, 120, '2024-03-03') // Re-price every open lot
+  ];
+
+  const basis = costBasis.computeCostBasis(adjusted, 'fifo');
+
+  assert.equal(basis.amount, 1.5);
+  assert.equal(basis.average_cost, 120);
+  assert.equal(basis.disposals.length, 0);
+  assert.equal(basis.realized_gain_loss, 0);
+
+  // The surviving part of the February lot keeps its acquisition date
+  assert.deepEqual(basis.open_lots.map(lot => lot.transaction_id), [2, 4]);
+});
@@ -0,0 +1,112 @@
+// test/fxRates.test.js
+// USD conversion, rate caching and the stored-rate fallback
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../db');
+const fxRates = require('../services/fxRates');
+
+const TTL = parseInt(process.env.FX_CACHE_TTL, 10) || 60 * 60 * 1000;
+const RETRY_INTERVAL = parseInt(process.env.FX_RETRY_INTERVAL, 10) || 5 * 60 * 1000;
+
+// A rate source the tests control; set sourceRates to an Error to make it fail
+let sourceRates = { EUR: 0.5, GBP: 0.25, XYZ: 9 };
+let fetches = 0;
+fxRates.registerRateSource('test', {
+  async fetchRates() {
+    fetches++;
+    if (sourceRates instanceof Error) throw sourceRates;
+    return sourceRates;
+  }
+});
+process.env.FX_RATE_SOURCE = 'test';
+
+// The rate cache lives for the whole file, so the clock only moves forward
+let now = 1_000_000;
+function useClock(t) {
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(db, 'storeFxRates', async () => {});
+}
+
+test('fetched rates are limited to supported currencies and stored', async (t) => {
+  useClock(t);
+
+  const { rates, source } = await fxRates.getRates();
+
+  assert.deepEqual(rates, { USD: 1, EUR: 0.5, GBP: 0.25 });
+  assert.equal(source, 'test');
+  assert.deepEqual(db.storeFxRates.mock.calls[0].arguments, ['test', 'USD', rates]);
+});
+
+test('converters multiply USD amounts by the rate and pass empty values through', async (t) => {
+  useClock(t);
+
+  const toEur = await fxRates.getConverter('EUR');
+
+  assert.equal(toEur(10), 5);
+  assert.equal(toEur('4'), 2);
+  assert.equal(toEur(null), null);
+  assert.equal(await fxRates.getRate('USD'), 1);
+});
+
+test('rates are reused until the cache TTL passes', async (t) => {
+  useClock(t);
+  const before = fetches;
+
+  now += TTL - 1;
+  await fxRates.getRates();
+  assert.equal(fetches, before);
+
+  now += 2;
+  sourceRates = { EUR: 0.6 };
+  assert.equal(await fxRates.getRate('EUR'), 0.6);
+  assert.equal(fetches, before + 1);
+});
+
+test('a failed refresh falls back to the newest stored rates', async (t) => {
+  useClock(t);
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(db, 'getLatestFxRates', async () => ({
+    rates: { EUR: 0.9 },
+    source: 'open-er-api',
+    fetched_at: new Date(now - 1000)
+  }));
+
+  now += TTL + 1;
+  sourceRates = new Error('source down');
+  const result = await fxRates.getRates();
+
+  assert.deepEqual(result.rates, { USD: 1, EUR: 0.9 });
+  assert.equal(result.source, 'open-er-api (stored)');
+  assert.equal(result.fetched_at, new Date(now - 1000).toISOString()); // Keeps its original fetch time
+});
+
+test('currencies without a rate are rejected', async (t) => {
+  useClock(t);
+
+  await assert.rejects(fxRates.getRate('GBP'), /No exchange rate available for GBP/);
+  assert.equal(fxRates.isSupportedCurrency('eur'), true);
+  assert.equal(fxRates.isSupportedCurrency('XYZ'), false);
+  assert.equal(fxRates.isSupportedCurrency(5), false);
+});
+
+test('rates in memory are served when stored rates cannot be loaded, and retried later', async (t) => {
+  useClock(t);
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(db, 'getLatestFxRates', async () => { throw new Error('database down'); });
+  const before = fetches;
+
+  now += RETRY_INTERVAL;
+  assert.equal(await fxRates.getRate('EUR'), 0.9);
+  assert.equal(fetches, before + 1);
+
+  now += RETRY_INTERVAL - 1;
+  await fxRates.getRates();
+  assert.equal(fetches, before + 1);
+
+  now += 1;
+  sourceRates = { EUR: 0.7 };
+  assert.equal(await fxRates.getRate('EUR'), 0.7);
+});
@@ -0,0 +1,88 @@
+// test/ohlcv.test.js
+// Candle resampling, bucket alignment and gap filling
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ohlcv = require('../services/ohlcv');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = ohlcv.MS_PER_DAY;
+
+test('buckets are UTC-aligned and weeks open on Monday', () => {
+  const timestamp = Date.UTC(2024, 4, 15, 13, 37); // Wednesday
+
+  assert.equal(ohlcv.bucketStart(timestamp, ohlcv.BUCKETS['1h']), Date.UTC(2024, 4, 15, 13));
+  assert.equal(ohlcv.bucketStart(timestamp, ohlcv.BUCKETS['4h']), Date.UTC(2024, 4, 15, 12));
+  assert.equal(ohlcv.bucketStart(timestamp, ohlcv.BUCKETS['1w']), Date.UTC(2024, 4, 13)); // Monday
+});
+
+test('unknown timeframes fall back to 7d', () => {
+  assert.deepEqual(ohlcv.getTimeframePlan('nope'), ohlcv.getTimeframePlan('7d'));
+  assert.equal(ohlcv.getTimeframePlan('1d').bucketMs, HOUR);
+});
+
+test('daily candles are merged into weekly ones', () => {
+  const monday = Date.UTC(2024, 4, 13);
+  const days = [0, 1, 2].map(i => ({
+    timestamp: monday + i * DAY,
+    open: 10 + i,
+    high: 20 + i,
+    low: 5 - i,
+    close: 11 + i,
+    volume: 100
+  }));
+
+  const [week] = ohlcv.resample(days, ohlcv.BUCKETS['1w']);
+
+  assert.deepEqual(week, {
+    timestamp: new Date(monday).toISOString(),
+    open: 10,
+    high: 22,
+    low: 3,
+    close: 13,
+    volume: 300
+  });
+});
+
+test('tick-only candles open at the previous close', () => {
+  const candles = ohlcv.resample([
+    { timestamp: 0, close: 1 },
+    { timestamp: HOUR, close: 2 },
+    { timestamp: HOUR + 30 * 60 * 1000, close: 1.5 }
+  ], HOUR);
+
+  assert.deepEqual(candles.map(c => [c.open, c.high, c.low, c.close]), [[1, 1, 1, 1], [1, 2, 1, 1.5]]);
+});
+
+test('missing buckets are filled flat at the previous close', () => {
+  const candles = ohlcv.resample([
+    { timestamp: 0, open: 1, high: 3, low: 1, close: 2, volume: 5 },
+    { timestamp: 3 * HOUR, open: 4, high: 4, low: 4, close: 4, volume: 1 }
+  ], HOUR);
+
+  assert.equal(candles.length, 4);
+  assert.deepEqual(candles[1], {
+    timestamp: new Date(HOUR).toISOString(),
+    open: 2,
+    high: 2,
+    low: 2,
+    close: 2,
+    volume: 0
+  });
+  assert.equal(candles[3].open, 4);
+});
+
+test('duplicates are dropped, input order does not matter, and since trims the start', () => {
+  const points = [
+    { timestamp: 2 * HOUR, close: 3 },
+    { timestamp: 0, close: 1 },
+    { timestamp: HOUR, close: 2 },
+    { timestamp: HOUR, close: 2 }
+  ];
+
+  const candles = ohlcv.resample(points, HOUR, HOUR + 1);
+
+  assert.deepEqual(candles.map(c => c.timestamp), [new Date(HOUR).toISOString(), new Date(2 * HOUR).toISOString()]);
+  assert.equal(candles[0].open, 1); // The trimmed point still provides the opening price
+});
@@ -0,0 +1,71 @@
+// test/onchain.test.js
+// On-chain token IDs, and historical prices picked from the recorded DexPaprika candles (fixtures/dex)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFixtureServer } = require('../fixtures/dexpaprikaServer');
+
+// Memory-only cache (read when the modules load)
+process.env.API_CACHE_PERSIST = 'false';
+
+// The recordings end mid-January 2025 - run the clock from just after their hourly candles start
+const NOW = Date.parse('2025-01-13T00:00:00Z');
+const PEPE = '0x6982508145454ce325ddbe47a25d4ec3d2311933';
+
+let server;
+let onchain;
+
+test.before(async () => {
+  test.mock.method(Date, 'now', () => NOW);
+  test.mock.method(console, 'log', () => {});
+
+  server = createFixtureServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.DEXPAPRIKA_API_URL = `http://127.0.0.1:${server.address().port}`;
+
+  onchain = require('../services/onchain');
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('parseOnchainId splits network and address, keeping the address case', () => {
+  assert.deepEqual(onchain.parseOnchainId(`ethereum:${PEPE}`), { network: 'ethereum', address: PEPE });
+  assert.deepEqual(
+    onchain.parseOnchainId('solana:EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm'),
+    { network: 'solana', address: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm' }
+  );
+});
+
+test('parseOnchainId rejects ordinary coin IDs and malformed ones', () => {
+  for (const coinId of ['btc-bitcoin', 'Ethereum:' + PEPE, 'ethereum:0x123', `ethereum:/${PEPE}`, '', null, undefined]) {
+    assert.equal(onchain.parseOnchainId(coinId), null, String(coinId));
+  }
+  assert.equal(onchain.isOnchainId(`ethereum:${PEPE}`), true);
+});
+
+test('recent moments are priced from the hourly candle containing them', async () => {
+  const price = await onchain.getTokenHistoricalPrice('ethereum', PEPE, '2025-01-12T13:30:00Z');
+
+  assert.deepEqual(price, { price: 0.0000171876, timestamp: '2025-01-12T13:00:00.000Z' });
+});
+
+test('a moment just before the first candle takes the next one', async () => {
+  const price = await onchain.getTokenHistoricalPrice('ethereum', PEPE, '2025-01-12T11:30:00Z');
+
+  assert.deepEqual(price, { price: 0.0000172893, timestamp: '2025-01-12T12:00:00.000Z' });
+});
+
+test('moments older than two weeks are priced from daily candles', async () => {
+  const price = await onchain.getTokenHistoricalPrice('ethereum', PEPE, '2024-10-18T12:00:00Z');
+
+  assert.deepEqual(price, { price: 0.00000986272, timestamp: '2024-10-18T00:00:00.000Z' });
+});
+
+test('moments with no candle nearby are not found', async () => {
+  await assert.rejects(onchain.getTokenHistoricalPrice('ethereum', PEPE, '2024-01-01T00:00:00Z'), (error) => {
+    assert.equal(error.code, 'PRICE_NOT_FOUND');
+    assert.equal(error.unavailable, false);
+    return true;
+  });
+});
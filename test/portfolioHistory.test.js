@@ -0,0 +1,91 @@
+// test/portfolioHistory.test.js
+// Time-weighted returns and chart data built from portfolio snapshots
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../db');
+const portfolioHistory = require('../services/portfolioHistory');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A snapshot as db.getPortfolioSnapshots returns it, taken `day` days after Jan 1st 2024
+function snapshot(day, totalValue) {
+  return { captured_at: new Date(Date.UTC(2024, 0, 1) + day * DAY), total_value: totalValue };
+}
+
+// A ledger row dated `day` days after Jan 1st 2024
+function tx(type, totalValue, day) {
+  return {
+    transaction_type: type,
+    total_value: String(totalValue),
+    transaction_date: new Date(Date.UTC(2024, 0, 1) + day * DAY)
+  };
+}
+
+function assertPercent(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}%, got ${actual}%`);
+}
+
+test('money added during a period is not counted as a gain', () => {
+  const twr = portfolioHistory.computeTimeWeightedReturn(
+    [snapshot(0, 100), snapshot(1, 250)],
+    [tx('buy', 100, 0.5)]
+  );
+
+  assertPercent(twr, 50);
+});
+
+test('money withdrawn during a period is not counted as a loss', () => {
+  const twr = portfolioHistory.computeTimeWeightedReturn(
+    [snapshot(0, 200), snapshot(1, 100)],
+    [tx('sell', 120, 0.5)]
+  );
+
+  assertPercent(twr, 10);
+});
+
+test('manual adjustments count as flows in the direction of their signed value', () => {
+  const twr = portfolioHistory.computeTimeWeightedReturn(
+    [snapshot(0, 200), snapshot(1, 100), snapshot(2, 150)],
+    [tx('adjustment', -100, 0.5), tx('adjustment', 50, 1.5)]
+  );
+
+  assertPercent(twr, 0);
+});
+
+test('flows count from when they were recorded, not their back-dated trade date', () => {
+  const backDated = { ...tx('buy', 100, -30), recorded_at: new Date(Date.UTC(2024, 0, 1) + 0.5 * DAY) };
+  const twr = portfolioHistory.computeTimeWeightedReturn([snapshot(0, 100), snapshot(1, 220)], [backDated]);
+
+  assertPercent(twr, 20);
+});
+
+test('period returns are chained and empty starting periods are skipped', () => {
+  const twr = portfolioHistory.computeTimeWeightedReturn(
+    [snapshot(0, 0), snapshot(1, 100), snapshot(2, 110), snapshot(3, 121)],
+    [tx('buy', 100, 0.5), tx('buy', 999, -1)] // The second buy predates every snapshot
+  );
+
+  assertPercent(twr, 21);
+});
+
+test('range names are case-insensitive and unknown ones are rejected', () => {
+  assert.equal(portfolioHistory.normalizeRange('7d'), '7D');
+  assert.equal(portfolioHistory.normalizeRange('all'), 'ALL');
+  assert.equal(portfolioHistory.normalizeRange('2W'), null);
+  assert.equal(portfolioHistory.normalizeRange(undefined), null);
+});
+
+test('history reports the change in value and the net flows over the range', async (t) => {
+  t.mock.method(db, 'getPortfolioSnapshots', async () => [snapshot(0, 100), snapshot(1, 250), snapshot(2, 300)]);
+  t.mock.method(db, 'getUserTransactions', async () => [tx('buy', 100, 0.5)]);
+
+  const history = await portfolioHistory.getPortfolioHistory(1, 'ALL');
+
+  assert.equal(db.getPortfolioSnapshots.mock.calls[0].arguments[1], null);
+  assert.deepEqual(history.points.map(point => point.value), [100, 250, 300]);
+  assert.equal(history.change_value, 200);
+  assert.equal(history.net_flows, 100);
+  assertPercent(history.time_weighted_return, 80); // 1.5 x 1.2
+});
@@ -0,0 +1,85 @@
+// test/rateLimiter.test.js
+// Token bucket queueing and retry backoff
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRateLimiter, backoffDelay, isRetryableStatus, PRIORITY } = require('../services/rateLimiter');
+
+test('backoff grows exponentially with equal jitter and stays under the cap', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepEqual([0, 1, 2].map(attempt => backoffDelay(attempt)), [500, 1000, 2000]);
+  assert.equal(backoffDelay(10, { maxMs: 5000 }), 2500);
+
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.equal(backoffDelay(2), 4000);
+  assert.equal(backoffDelay(10, { maxMs: 5000 }), 5000);
+});
+
+test('Retry-After wins over the computed backoff (capped)', () => {
+  assert.equal(backoffDelay(0, { retryAfter: '3' }), 3000);
+  assert.equal(backoffDelay(0, { retryAfter: '120', maxMs: 10000 }), 10000);
+
+  const inTwoSeconds = new Date(Date.now() + 2000).toUTCString();
+  const delay = backoffDelay(0, { retryAfter: inTwoSeconds });
+  assert.ok(delay > 0 && delay <= 2000);
+});
+
+test('only 429 and 5xx responses are retried', () => {
+  assert.equal(isRetryableStatus(429), true);
+  assert.equal(isRetryableStatus(503), true);
+  assert.equal(isRetryableStatus(404), false);
+});
+
+test('calls within the budget start right away', async () => {
+  const limiter = createRateLimiter({ name: 'Test', limit: 3, intervalMs: 60 * 1000 });
+
+  const results = await Promise.all([1, 2, 3].map(n => limiter.schedule(async () => n)));
+
+  assert.deepEqual(results, [1, 2, 3]);
+  assert.equal(limiter.getStats().queued, 0);
+});
+
+test('queued calls run by priority once tokens refill', async () => {
+  const limiter = createRateLimiter({ name: 'Test', limit: 1, intervalMs: 50 });
+  const order = [];
+
+  await limiter.schedule(async () => order.push('first'));
+  await Promise.all([
+    limiter.schedule(async () => order.push('low'), PRIORITY.LOW),
+    limiter.schedule(async () => order.push('normal'), PRIORITY.NORMAL),
+    limiter.schedule(async () => order.push('high'), PRIORITY.HIGH)
+  ]);
+
+  assert.deepEqual(order, ['first', 'high', 'normal', 'low']);
+});
+
+test('a full queue rejects locally without running the task', async () => {
+  const limiter = createRateLimiter({ name: 'Test', limit: 1, intervalMs: 50, maxQueue: 1 });
+  let ran = false;
+
+  await limiter.schedule(async () => {});
+  const waiting = limiter.schedule(async () => {});
+
+  await assert.rejects(limiter.schedule(async () => { ran = true; }), (error) => {
+    assert.match(error.message, /queue is full/);
+    assert.equal(error.local, true);
+    return true;
+  });
+
+  await waiting;
+  assert.equal(ran, false);
+  assert.equal(limiter.getStats().rejected, 1);
+});
+
+test('calls that wait longer than maxWaitMs are rejected locally', async () => {
+  const limiter = createRateLimiter({ name: 'Test', limit: 1, intervalMs: 200, maxWaitMs: 20 });
+
+  await limiter.schedule(async () => {});
+  const first = limiter.schedule(async () => 'ran');
+  const second = limiter.schedule(async () => 'ran');
+
+  // The next token is ~200ms away, so both have waited too long when it arrives
+  assert.equal(await first.catch(error => error.local), true);
+  assert.equal(await second.catch(error => error.local), true);
+});
@@ -0,0 +1,99 @@
+// test/routes.test.js
+// Ledger routes keep the holding in step with every recorded or deleted transaction
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../db');
+const router = require('../routes');
+
+// Call a route's own handler (after authentication and sanitizing) with a fake request
+async function callRoute(method, path, { body = {}, params = {} } = {}) {
+  const layer = router.stack.find(layer => layer.route?.path === path && layer.route.methods[method]);
+  const handlers = layer.route.stack;
+
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    }
+  };
+
+  await handlers[handlers.length - 1].handle({ user: { id: 1 }, body, params, query: {} }, res);
+  return res;
+}
+
+// The error db.js throws when a change would take a holding below zero
+function insufficientHolding() {
+  const error = new Error('Not enough BTC held');
+  error.code = 'INSUFFICIENT_HOLDING';
+  return error;
+}
+
+test('a recorded transaction is written together with its holding change', async (t) => {
+  t.mock.method(db, 'addTransaction', async () => assert.fail('ledger-only write'));
+  t.mock.method(db, 'recordTrade', async (userId, transaction) => ({ id: 7, ...transaction }));
+
+  const res = await callRoute('post', '/api/transactions', {
+    body: { coin_id: 'btc-bitcoin', coin_symbol: 'btc', coin_name: 'Bitcoin', transaction_type: 'buy', amount: '2', price_per_unit: '100' }
+  });
+
+  assert.equal(res.statusCode, 201);
+  const [userId, transaction, coinName] = db.recordTrade.mock.calls[0].arguments;
+  assert.equal(userId, 1);
+  assert.equal(coinName, 'Bitcoin');
+  assert.deepEqual(
+    [transaction.coin_symbol, transaction.transaction_type, transaction.amount, transaction.total_value],
+    ['BTC', 'buy', 2, 200]
+  );
+});
+
+test('a sell larger than the holding is rejected', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(db, 'recordTrade', async () => { throw insufficientHolding(); });
+
+  const res = await callRoute('post', '/api/transactions', {
+    body: { coin_id: 'btc-bitcoin', coin_symbol: 'BTC', transaction_type: 'sell', amount: 5, price_per_unit: 100 }
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /more than the amount held/);
+});
+
+test('non-text coin details are rejected before anything is written', async (t) => {
+  t.mock.method(db, 'recordTrade', async () => assert.fail('should not write'));
+
+  const res = await callRoute('post', '/api/transactions', {
+    body: { coin_id: 'btc-bitcoin', coin_symbol: 'BTC', coin_name: ['Bitcoin'], transaction_type: 'buy', amount: 1, price_per_unit: 1 }
+  });
+
+  assert.equal(res.statusCode, 400);
+});
+
+test('deleting a transaction whose units were sold since is refused', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(db, 'deleteTransaction', async () => { throw insufficientHolding(); });
+
+  const res = await callRoute('delete', '/api/transactions/:id', { params: { id: '3' } });
+
+  assert.equal(res.statusCode, 409);
+  assert.deepEqual(db.deleteTransaction.mock.calls[0].arguments, [1, 3]);
+});
+
+test('selling from a blank coin ID is rejected before the holding is read', async (t) => {
+  t.mock.method(db, 'getPortfolioHolding', async () => assert.fail('should not read'));
+
+  const res = await callRoute('post', '/api/portfolio/:coinId/sell', {
+    params: { coinId: '  ' },
+    body: { amount: 1 }
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Invalid coin ID');
+});
@@ -0,0 +1,74 @@
+// test/taxReport.test.js
+// Short/long-term split and CSV output of the yearly tax report
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const taxReport = require('../services/taxReport');
+
+function tx(id, type, amount, price, date) {
+  return {
+    id,
+    coin_id: 'btc-bitcoin',
+    coin_symbol: 'BTC',
+    transaction_type: type,
+    amount: String(amount),
+    price_per_unit: String(price),
+    total_value: String(amount * price),
+    transaction_date: new Date(date)
+  };
+}
+
+test('lots held for more than a year are long-term', () => {
+  assert.equal(taxReport.classifyTerm('2023-03-01', '2024-03-02'), 'long');
+  assert.equal(taxReport.classifyTerm('2023-03-01', '2024-03-01'), 'short');
+  assert.equal(taxReport.classifyTerm('2024-01-01', '2024-06-01'), 'short');
+  assert.equal(taxReport.classifyTerm(null, '2024-06-01'), 'unknown');
+});
+
+test('a sell spanning an old and a new lot is split by term', () => {
+  const report = taxReport.buildTaxReport([
+    tx(1, 'buy', 1, 100, '2023-01-01'),
+    tx(2, 'buy', 1, 200, '2024-01-01'),
+    tx(3, 'sell', 1.5, 300, '2024-06-01')
+  ], 'fifo', 2024);
+
+  assert.deepEqual(report.disposals.map(row => [row.term, row.amount]), [['long', 1], ['short', 0.5]]);
+  assert.equal(report.totals.long_term.gain_loss, 200);
+  assert.equal(report.totals.short_term.gain_loss, 50);
+  assert.equal(report.totals.unknown_term.disposals, 0);
+  assert.equal(report.totals.net_gain_loss, 250);
+});
+
+test('only disposals in the requested year are reported', () => {
+  const ledger = [
+    tx(1, 'buy', 2, 100, '2023-01-01'),
+    tx(2, 'sell', 1, 150, '2023-06-01'),
+    tx(3, 'sell', 1, 250, '2024-06-01')
+  ];
+
+  assert.equal(taxReport.buildTaxReport(ledger, 'fifo', 2023).totals.net_gain_loss, 50);
+  assert.equal(taxReport.buildTaxReport(ledger, 'fifo', 2024).totals.net_gain_loss, 150);
+  assert.equal(taxReport.buildTaxReport(ledger, 'fifo', 2022).disposals.length, 0);
+});
+
+test('sells with no recorded buy land in the unknown term', () => {
+  const report = taxReport.buildTaxReport([tx(1, 'sell', 1, 100, '2024-02-01')], 'fifo', 2024);
+
+  assert.equal(report.disposals[0].term, 'unknown');
+  assert.equal(report.disposals[0].holding_period_days, null);
+  assert.equal(report.totals.unknown_term.gain_loss, 100);
+});
+
+test('CSV has a header and one row per disposal', () => {
+  const report = taxReport.buildTaxReport([
+    tx(1, 'buy', 1, 100, '2024-01-01'),
+    tx(2, 'sell', 1, 150, '2024-02-01')
+  ], 'fifo', 2024);
+
+  const lines = taxReport.formatTaxReportCSV(report).trim().split('\n');
+
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0].split(',')[0], 'coin_id');
+  assert.equal(lines[1], 'btc-bitcoin,BTC,1,2024-01-01,2024-02-01,31,short,150,100,50');
+});
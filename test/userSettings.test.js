@@ -0,0 +1,67 @@
+// test/userSettings.test.js
+// Settings defaults and validation of partial updates
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const userSettings = require('../services/userSettings');
+
+test('stored settings are merged over the defaults', () => {
+  const settings = userSettings.withDefaults({
+    theme: 'dark',
+    currency: null,
+    notifications: { price_alerts: false }
+  });
+
+  assert.equal(settings.theme, 'dark');
+  assert.equal(settings.currency, userSettings.DEFAULT_SETTINGS.currency);
+  assert.deepEqual(settings.notifications, { enabled: true, price_alerts: false, portfolio_alerts: true });
+  assert.deepEqual(userSettings.withDefaults(), userSettings.DEFAULT_SETTINGS);
+});
+
+test('a valid update keeps only the given fields and normalizes the currency', () => {
+  const { updates, error } = userSettings.validateSettingsUpdate({
+    theme: 'light',
+    currency: 'eur',
+    chart_timeframe: '30d',
+    balance_visible: false,
+    cost_basis_method: 'lifo'
+  });
+
+  assert.equal(error, undefined);
+  assert.deepEqual(updates, {
+    theme: 'light',
+    currency: 'EUR',
+    chart_timeframe: '30d',
+    balance_visible: false,
+    cost_basis_method: 'lifo'
+  });
+});
+
+test('invalid values are rejected with a message', () => {
+  const invalid = [
+    [{ theme: 'blue' }, /Theme/],
+    [{ currency: 'XYZ' }, /Currency must be one of/],
+    [{ notifications: ['enabled'] }, /Notifications must be an object/],
+    [{ notifications: { enabled: 'yes' } }, /must be booleans/],
+    [{ notifications: { sms: true } }, /must be booleans/],
+    [{ chart_timeframe: '2y' }, /Invalid chart timeframe/],
+    [{ balance_visible: 'false' }, /Balance visibility/],
+    [{ cost_basis_method: 'hifo' }, /Cost basis method/]
+  ];
+
+  invalid.forEach(([input, message]) => {
+    assert.match(userSettings.validateSettingsUpdate(input).error, message);
+  });
+});
+
+test('the first invalid field fails the whole update', () => {
+  assert.deepEqual(userSettings.validateSettingsUpdate({ theme: 'dark', balance_visible: 1 }), {
+    error: 'Balance visibility must be true or false'
+  });
+});
+
+test('an update without known settings is rejected', () => {
+  assert.equal(userSettings.validateSettingsUpdate({}).error, 'No valid settings provided');
+  assert.equal(userSettings.validateSettingsUpdate({ language: 'fr' }).error, 'No valid settings provided');
+});